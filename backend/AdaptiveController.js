@@ -0,0 +1,215 @@
+// Adaptive signal controller for the one-way passage.
+// In automatic mode it cycles through the site's directions on its own (inbound
+// and outbound, plus e.g. a side access), sizing each green from the queue and
+// arrival figures reported by the vision feed.
+//
+// A green is either timed (its length is known when it starts: adaptive or
+// fixed-time) or actuated: held for the minimum green, then extended as long
+// as the detection reports arrivals for the served direction, ending once no
+// vehicle arrived for gapSeconds (gap-out) or at the maximum green (max-out).
+
+import { systemClock } from './Clock.js';
+
+// Green limits and the green used until the feed recommends one (seconds).
+// Changed at runtime through the configuration (see Config.js).
+export const greenConfig = {
+  minSeconds: 10,
+  maxSeconds: 90,
+  defaultSeconds: 20,
+  // Actuated greens end once no vehicle arrived for this long
+  gapSeconds: 3
+};
+
+// Saturation headway: seconds needed to discharge one queued vehicle
+const HEADWAY_SECONDS = 2;
+// Start-up lost time at the beginning of each green
+const STARTUP_LOST_SECONDS = 3;
+// Time given to the lights to settle on all-red before the first automatic green
+const SAFE_START_MS = 3000;
+// Delay before retrying a phase change that could not be made
+const RETRY_MS = 5000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const oppositeDirection = (direction) => (direction === 'inbound' ? 'outbound' : 'inbound');
+
+// Work out how long the next green should last from the latest vehicle data.
+// The feed's own green_light_duration is treated as the recommended green; it is
+// stretched when the waiting queue (plus vehicles still arriving while it drains)
+// needs longer to clear, and always kept within the min/max limits.
+export function computeGreenSeconds(vehicleData = {}, config = greenConfig) {
+  const recommended = Number(vehicleData.green_light_duration) || config.defaultSeconds;
+  const waiting = Math.max(Number(vehicleData.vehicles_waiting) || 0, 0);
+  const perMinute = Math.max(Number(vehicleData.vehicles_per_minute) || 0, 0);
+
+  // Arrivals keep joining the queue while it discharges, so the effective
+  // discharge rate shrinks as the arrival rate approaches saturation.
+  const saturation = Math.min((perMinute / 60) * HEADWAY_SECONDS, 0.9);
+  const queueClearance = waiting > 0
+    ? (waiting * HEADWAY_SECONDS + STARTUP_LOST_SECONDS) / (1 - saturation)
+    : 0;
+
+  return Math.round(clamp(Math.max(recommended, queueClearance), config.minSeconds, config.maxSeconds));
+}
+
+// Create the controller loop.
+// - getVehicleData(): latest vehicle data
+// - serveDirection(direction, onGreen): give green to the given direction (and red to
+//   the other), calling onGreen() once it is actually green
+// - stopAll(): bring every light to red
+// - onPhase({ direction, greenSeconds, nextChangeAt }): called whenever a new phase starts
+// - nextDirection(direction): direction served after the given one
+// - greenSeconds(direction): length of the next green; sized from the vehicle data by default
+// - actuation(direction): { minSeconds, maxSeconds, gapSeconds } when the next green is
+//   actuated, null when it is timed
+// - onDecision({ direction, state, message, at, nextChangeAt }): why an actuated green is
+//   held, extended or ended; state is 'min-green', 'extending', 'gap-out' or 'max-out'
+// - clock: time source and timers (see Clock.js)
+export function createAdaptiveController({
+  getVehicleData,
+  serveDirection,
+  stopAll,
+  onPhase = () => {},
+  nextDirection = oppositeDirection,
+  greenSeconds: sizeGreen = () => computeGreenSeconds(getVehicleData()),
+  actuation = () => null,
+  onDecision = () => {},
+  clock = systemClock
+}) {
+  let timer = null;
+  let running = false;
+  // Actuated green being served: { direction, startedAt, minEndsAt, maxEndsAt, gapMs, lastArrivalAt, limits }
+  let actuated = null;
+
+  function schedule(fn, ms) {
+    clock.clearTimeout(timer);
+    timer = clock.setTimeout(fn, ms);
+  }
+
+  function runPhase(direction) {
+    if (!running) return;
+
+    try {
+      serveDirection(direction, () => startGreen(direction));
+    } catch (error) {
+      // Keep the cycle alive and try the same direction again shortly
+      console.error(`[Controller] ❌ Could not serve ${direction}:`, error.message);
+      schedule(() => runPhase(direction), RETRY_MS);
+    }
+  }
+
+  // The green is sized when it actually starts, after any clearance interval
+  function startGreen(direction) {
+    if (!running) return;
+
+    const limits = actuation(direction);
+    if (limits) {
+      startActuatedGreen(direction, limits);
+      return;
+    }
+
+    const greenSeconds = sizeGreen(direction);
+    onPhase({
+      direction,
+      greenSeconds,
+      nextChangeAt: new Date(clock.now() + greenSeconds * 1000).toISOString()
+    });
+    console.log(`[Controller] 🔁 ${direction} green for ${greenSeconds}s`);
+
+    schedule(() => runPhase(nextDirection(direction)), greenSeconds * 1000);
+  }
+
+  function startActuatedGreen(direction, limits) {
+    const startedAt = clock.now();
+    actuated = {
+      direction,
+      startedAt,
+      minEndsAt: startedAt + limits.minSeconds * 1000,
+      maxEndsAt: startedAt + limits.maxSeconds * 1000,
+      gapMs: limits.gapSeconds * 1000,
+      lastArrivalAt: null,
+      limits
+    };
+    onPhase({
+      direction,
+      greenSeconds: limits.minSeconds,
+      nextChangeAt: new Date(actuated.minEndsAt).toISOString()
+    });
+    decide('min-green', `Minimum green of ${limits.minSeconds}s`, actuated.minEndsAt);
+    console.log(`[Controller] 🔁 ${direction} actuated green, ${limits.minSeconds}-${limits.maxSeconds}s`);
+    schedule(checkGap, limits.minSeconds * 1000);
+  }
+
+  function decide(state, message, nextChangeAt) {
+    onDecision({
+      direction: actuated.direction,
+      state,
+      message,
+      at: new Date(clock.now()).toISOString(),
+      nextChangeAt: nextChangeAt === null ? null : new Date(nextChangeAt).toISOString()
+    });
+  }
+
+  // Past the minimum green: end the green once the gap since the last arrival
+  // has run out or the maximum green is reached, otherwise check again then
+  function checkGap() {
+    const now = clock.now();
+    const { direction, startedAt, maxEndsAt, gapMs, lastArrivalAt, limits } = actuated;
+    const gapEndsAt = (lastArrivalAt ?? startedAt) + gapMs;
+
+    if (now >= maxEndsAt) {
+      endActuatedGreen('max-out', `Maximum green of ${limits.maxSeconds}s reached with vehicles still arriving`);
+    } else if (now >= gapEndsAt) {
+      const idleSeconds = Math.round((now - (lastArrivalAt ?? startedAt)) / 1000);
+      endActuatedGreen('gap-out', `No arrivals on ${direction} for ${idleSeconds}s after ${Math.round((now - startedAt) / 1000)}s of green`);
+    } else {
+      const endsAt = Math.min(gapEndsAt, maxEndsAt);
+      decide('extending', `Extended by arrivals on ${direction}; gap-out after ${limits.gapSeconds}s without one`, endsAt);
+      schedule(checkGap, endsAt - now);
+    }
+  }
+
+  function endActuatedGreen(state, message) {
+    const { direction } = actuated;
+    decide(state, message, null);
+    console.log(`[Controller] ⏭️ ${direction} ${state}: ${message}`);
+    actuated = null;
+    runPhase(nextDirection(direction));
+  }
+
+  // The detection reported vehicles arriving for a direction; extends its
+  // green while it is served actuated
+  function detect(direction) {
+    if (!running || actuated?.direction !== direction) return;
+    const now = clock.now();
+    const extending = now >= actuated.minEndsAt;
+    actuated.lastArrivalAt = now;
+    if (extending) checkGap();
+  }
+
+  // Resume automatic operation from a safe state: every light is brought to red
+  // first and the first green is only given once the passage had time to settle.
+  function start(direction) {
+    if (running) return;
+    running = true;
+    stopAll();
+    console.log(`[Controller] ▶️ Automatic mode resumed, starting with ${direction}`);
+    schedule(() => runPhase(direction), SAFE_START_MS);
+  }
+
+  function stop(reason = 'manual command') {
+    if (!running) return;
+    running = false;
+    clock.clearTimeout(timer);
+    timer = null;
+    actuated = null;
+    console.log(`[Controller] ⏸️ Automatic mode suspended (${reason})`);
+  }
+
+  return {
+    start,
+    stop,
+    detect,
+    isRunning: () => running
+  };
+}
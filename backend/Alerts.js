@@ -0,0 +1,224 @@
+// Alerts raised from a site's vision feed: the anomalies the cameras report
+// (e.g. sudden_stop, wrong_way) and configurable rules on the vehicle data (a
+// queue longer than N vehicles, speeding while vehicles are in the passage).
+// An alert stays open, with its first and last sighting, until an operator
+// resolves it; acknowledging it tells the others someone is looking into it.
+//
+//   { id, code, severity, direction, message, status, active, firstSeen, lastSeen,
+//     occurrences, clearedAt, acknowledged: { by, at, note }, resolved: { by, at, note } }
+//
+// status is 'open', 'acknowledged' or 'resolved'; active is whether the feed
+// still reports the condition. A condition that comes back while its alert is
+// unresolved counts as another occurrence of the same alert.
+
+import { randomBytes } from 'crypto';
+
+import { systemClock, isoNow } from './Clock.js';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Severity of the anomalies the feed is known to report; any other is a warning
+export const ANOMALY_SEVERITY = {
+  wrong_way: 'critical',
+  stopped_vehicle: 'critical',
+  sudden_stop: 'warning'
+};
+
+// Rule thresholds; 0 turns a rule off
+export const alertConfig = {
+  queueLength: Number(process.env.ALERT_QUEUE_LENGTH) || 15,
+  passageSpeedKmh: Number(process.env.ALERT_PASSAGE_SPEED_KMH) || 50
+};
+
+// Resolved alerts kept per site; unresolved ones are always kept
+const MAX_RESOLVED = 100;
+const SPEED_FIELDS = { bspeed: 'Bus', cspeed: 'Car', mspeed: 'Motorcycle', tspeed: 'Truck' };
+
+// Raised for an unknown alert or an impossible acknowledge/resolve; carries the HTTP status
+export class AlertError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+const conditionKey = ({ code, direction }) => `${code}|${direction ?? ''}`;
+const where = (direction) => (direction ? ` (${direction})` : '');
+
+// Conditions the vehicle data currently shows: { code, severity, direction, message }.
+// Rules are checked per approach once the ends of the passage report
+// separately, otherwise on the site's values.
+export function detectConditions(vehicleData, config = alertConfig) {
+  const conditions = [];
+  const anomaly = (code, direction) => ({
+    code,
+    severity: ANOMALY_SEVERITY[code] ?? 'warning',
+    direction,
+    message: `Feed reported ${code.replace(/_/g, ' ')}${where(direction)}`
+  });
+
+  (vehicleData.anomalies ?? []).forEach(code => conditions.push(anomaly(code, null)));
+
+  const approaches = Object.entries(vehicleData.approaches ?? {}).filter(([, approach]) => approach.timestamp);
+  const sources = approaches.length > 0 ? approaches : [[null, vehicleData]];
+  sources.forEach(([direction, data]) => {
+    if (direction) (data.anomalies ?? []).forEach(code => conditions.push(anomaly(code, direction)));
+
+    const waiting = Number(data.vehicles_waiting) || 0;
+    if (config.queueLength > 0 && waiting > config.queueLength) {
+      conditions.push({
+        code: 'queue-length',
+        severity: 'warning',
+        direction,
+        message: `${waiting} vehicles waiting${where(direction)}, more than ${config.queueLength}`
+      });
+    }
+
+    const [field, speed] = Object.keys(SPEED_FIELDS)
+      .map(name => [name, Number(data[name]) || 0])
+      .reduce((fastest, entry) => (entry[1] > fastest[1] ? entry : fastest), [null, 0]);
+    if (config.passageSpeedKmh > 0 && Number(vehicleData.vehicles_in_passage) > 0 && speed > config.passageSpeedKmh) {
+      conditions.push({
+        code: 'speeding',
+        severity: 'warning',
+        direction,
+        message: `${SPEED_FIELDS[field]} speed ${speed} km/h in the passage${where(direction)}, above ${config.passageSpeedKmh} km/h`
+      });
+    }
+  });
+
+  // One condition per code and direction, the most severe
+  const unique = new Map();
+  conditions.forEach(condition => {
+    const existing = unique.get(conditionKey(condition));
+    if (!existing || rank(condition.severity) > rank(existing.severity)) unique.set(conditionKey(condition), condition);
+  });
+  return [...unique.values()];
+}
+
+// Alerts of one site.
+// - restored: the site's alerts from the last saved state
+// - onChange(): alerts were raised, cleared, acknowledged or resolved
+export function createAlertTracker({ restored = [], config = alertConfig, onChange = () => {}, clock = systemClock }) {
+  let alerts = Array.isArray(restored) ? restored : [];
+
+  const unresolved = () => alerts.filter(alert => alert.status !== 'resolved');
+
+  function prune() {
+    const resolved = alerts.filter(alert => alert.status === 'resolved');
+    if (resolved.length <= MAX_RESOLVED) return;
+    const dropped = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED));
+    alerts = alerts.filter(alert => !dropped.has(alert));
+  }
+
+  // Compare the latest vehicle data with the unresolved alerts: new
+  // conditions raise alerts, known ones update their last sighting, and
+  // conditions no longer reported are marked cleared. Returns the new alerts.
+  function observe(vehicleData, now = isoNow(clock)) {
+    const present = new Map(detectConditions(vehicleData, config).map(condition => [conditionKey(condition), condition]));
+    const raised = [];
+    let changed = false;
+
+    present.forEach((condition, key) => {
+      const alert = unresolved().find(candidate => conditionKey(candidate) === key);
+      if (!alert) {
+        const created = {
+          id: randomBytes(4).toString('hex'),
+          ...condition,
+          status: 'open',
+          active: true,
+          firstSeen: now,
+          lastSeen: now,
+          occurrences: 1,
+          clearedAt: null,
+          acknowledged: null,
+          resolved: null
+        };
+        alerts.push(created);
+        raised.push(created);
+        changed = true;
+        return;
+      }
+
+      alert.lastSeen = now;
+      alert.message = condition.message;
+      if (!alert.active) {
+        Object.assign(alert, { active: true, clearedAt: null, occurrences: alert.occurrences + 1 });
+        changed = true;
+      }
+      if (rank(condition.severity) > rank(alert.severity)) {
+        alert.severity = condition.severity;
+        changed = true;
+      }
+    });
+
+    unresolved()
+      .filter(alert => alert.active && !present.has(conditionKey(alert)))
+      .forEach(alert => {
+        Object.assign(alert, { active: false, clearedAt: now });
+        changed = true;
+      });
+
+    if (changed) onChange();
+    return raised;
+  }
+
+  function find(id) {
+    const alert = alerts.find(candidate => candidate.id === id);
+    if (!alert) throw new AlertError(`Alert ${id} not found`, 404);
+    return alert;
+  }
+
+  // Mark an alert as being looked into; by is the user's name
+  function acknowledge(id, { by, note = null }) {
+    const alert = find(id);
+    if (alert.status !== 'open') throw new AlertError(`Alert ${id} is already ${alert.status}`, 409);
+    alert.status = 'acknowledged';
+    alert.acknowledged = { by, at: isoNow(clock), note };
+    onChange();
+    return alert;
+  }
+
+  // Close an alert, acknowledged or not. If the condition is still reported,
+  // the next message raises a new alert.
+  function resolve(id, { by, note = null }) {
+    const alert = find(id);
+    if (alert.status === 'resolved') throw new AlertError(`Alert ${id} is already resolved`, 409);
+    alert.status = 'resolved';
+    alert.resolved = { by, at: isoNow(clock), note };
+    prune();
+    onChange();
+    return alert;
+  }
+
+  // Alerts with the given status ('unresolved' or 'all' for several), newest first
+  function list(status = 'unresolved') {
+    const matching = status === 'all' ? alerts
+      : status === 'unresolved' ? unresolved()
+        : alerts.filter(alert => alert.status === status);
+    return [...matching].reverse();
+  }
+
+  // Counts for the site list
+  function summary() {
+    const open = unresolved();
+    return {
+      open: open.filter(alert => alert.status === 'open').length,
+      unresolved: open.length,
+      critical: open.filter(alert => alert.severity === 'critical').length
+    };
+  }
+
+  return {
+    observe,
+    acknowledge,
+    resolve,
+    list,
+    summary,
+    // Everything, for the saved state
+    state: () => alerts
+  };
+}
@@ -0,0 +1,1152 @@
+// The traffic control server as an importable app: the REST API, the MQTT
+// feed and field controller handling, and the site runtimes behind them.
+// Storage, the clock and the MQTT client are passed in, so the server can run
+// against a temporary data directory, a fake clock and a local broker.
+// Server.js starts it for real.
+
+import express from 'express';
+import cors from 'cors';
+import mqtt from 'mqtt';
+import { clearanceConfig } from './Clearance.js';
+import { SignalConflictError } from './ConflictMonitor.js';
+import { defaultTimings } from './SignalStateMachine.js';
+import { greenConfig } from './AdaptiveController.js';
+import { parseHistoryQuery, aggregateHistory, siteRecords, HistoryQueryError } from './History.js';
+import { createAuth, AuthError } from './Auth.js';
+import { fieldConfig } from './FieldControllers.js';
+import { validatePayload, createIngestStats, PayloadError, VEHICLE_TYPES } from './PayloadSchema.js';
+import { createAuditLog, parseAuditQuery, requestActor, AuditQueryError } from './Audit.js';
+import { createSiteRegistry, isStructuralChange, SiteError } from './Sites.js';
+import { createSiteRuntime, FLOW_MODES, STEADY_MODES } from './SiteRuntime.js';
+import { createConfigStore, CONFIG_SCHEMA, ConfigError } from './Config.js';
+import { createScheduleStore, planTimeline, validatePlan, PLAN_TYPES, ScheduleError } from './Schedule.js';
+import { createSimulator, validateSimulatorSettings, SimulatorError } from './Simulator.js';
+import { alertConfig, AlertError, ALERT_STATUSES } from './Alerts.js';
+import { overrideConfig, OverrideError } from './Override.js';
+import { systemClock, isoNow } from './Clock.js';
+
+// MQTT Configuration (matching Python script). Each site's feed publishes
+// under its own topicBase (traffic/vehicles for the default site).
+const MQTT_CLIENT_ID = "traffic_control_backend_001";
+
+// Actions of the light control route
+const LIGHT_ACTIONS = ['green', 'red', 'yellow', 'toggle'];
+
+const HISTORY_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// - storage: persistent storage (see Storage.js)
+// - clock: time source and timers of the signal logic (see Clock.js)
+// - connectMqtt(url, options): connect to the MQTT broker, like mqtt.connect
+// - corsOrigins: origins allowed to call the API from a browser
+// - simulate: simulate the traffic of every site from the start
+export function createApp({ storage, clock = systemClock, connectMqtt = mqtt.connect, corsOrigins = [], simulate = false }) {
+  const app = express();
+
+  // Middleware
+  app.use(cors({ origin: corsOrigins }));
+  app.use(express.json());
+
+  // Persistent storage - state, configuration and history survive restarts
+  const storedState = storage.loadState();
+
+  const system = {
+    startedAt: isoNow(clock),
+    lastShutdownClean: storedState ? storedState.cleanShutdown === true : null, // null on first start
+    restoredFrom: storedState?.savedAt ?? null
+  };
+
+  if (storedState) {
+    console.log(`[Storage] 💾 Restored state saved at ${storedState.savedAt} (last shutdown ${system.lastShutdownClean ? 'was clean' : 'was NOT clean'})`);
+  }
+
+  // Users, sessions and API tokens - every route below needs a bearer token.
+  // Live streams opened with a revoked token are closed.
+  const auth = createAuth({
+    load: storage.loadUsers,
+    save: storage.saveUsers,
+    onRevoke: (key) => runtimes.forEach(runtime => runtime.liveStream.closeFor(key)),
+    clock
+  });
+  app.use(auth.middleware);
+  const requireViewer = auth.requireRole('viewer');
+  const requireOperator = auth.requireRole('operator');
+  const requireAdmin = auth.requireRole('admin');
+
+  // Audit trail of commands and automatic decisions
+  const audit = createAuditLog({ append: storage.appendAudit, read: storage.readAudit, clock });
+
+  // MQTT Client
+  let mqttClient = null;
+
+  // MQTT broker; the feed topics are set per site (Sites.js)
+  const mqttConfig = {
+    brokerHost: process.env.MQTT_BROKER_HOST || 'broker.hivemq.com',
+    brokerPort: Number(process.env.MQTT_BROKER_PORT) || 1883
+  };
+
+  const portalConfig = {
+    pollIntervalMs: 3000
+  };
+
+  // The live settings object behind each configuration section
+  const liveSettings = {
+    signal: defaultTimings,
+    green: greenConfig,
+    clearance: clearanceConfig,
+    alerts: alertConfig,
+    field: fieldConfig,
+    override: overrideConfig,
+    mqtt: mqttConfig,
+    portal: portalConfig
+  };
+
+  // Make a configuration version the active one. A new broker or field topic
+  // base needs a new MQTT connection, which resubscribes to every topic.
+  function applyConfig(config, previous) {
+    Object.entries(config).forEach(([section, values]) => Object.assign(liveSettings[section], values));
+    if (!previous) return;
+
+    const changed = (section, field) => previous[section][field] !== config[section][field];
+    if (mqttClient && (changed('mqtt', 'brokerHost') || changed('mqtt', 'brokerPort') || changed('field', 'topicBase'))) {
+      console.log(`[MQTT] 🔄 Configuration changed, reconnecting`);
+      mqttClient.end(true);
+      setupMQTTSubscriber();
+    }
+    // Portals pick up e.g. a new polling period
+    runtimes.forEach(runtime => runtime.liveStream.publish('config', () => configStore.current()));
+  }
+
+  // Runtime configuration, versioned in config.json
+  const configStore = createConfigStore({
+    load: storage.loadConfig,
+    save: storage.saveConfig,
+    defaults: Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([section, { fields }]) => [
+      section,
+      Object.fromEntries(Object.keys(fields).map(field => [field, liveSettings[section][field]]))
+    ])),
+    apply: applyConfig,
+    clock
+  });
+
+  // Passages managed by this server; each runs in its own site runtime
+  const sites = createSiteRegistry({ load: storage.loadSites, save: storage.saveSites });
+  const runtimes = new Map();
+
+  // Time-of-day plans of each site, run while the site is in automatic mode
+  const schedules = createScheduleStore({ load: storage.loadSchedules, save: storage.saveSchedules });
+
+  // Traffic simulators of the sites being simulated (simulate starts one for every site)
+  const simulators = new Map();
+
+  // Everything persisted to state.json
+  function currentState(cleanShutdown = false) {
+    return {
+      savedAt: isoNow(clock),
+      cleanShutdown,
+      sites: Object.fromEntries([...runtimes.values()].map(runtime => [runtime.id, runtime.state()])),
+      configVersion: configStore.current().version
+    };
+  }
+
+  const persist = () => storage.saveState(currentState);
+
+  // A site's part of the saved state. State saved before there were several
+  // sites belongs to the default site.
+  function restoredStateFor(siteId) {
+    if (storedState?.sites) return storedState.sites[siteId] ?? null;
+    return siteId === sites.defaultSite().id ? storedState : null;
+  }
+
+  function createRuntime(definition, restored = restoredStateFor(definition.id)) {
+    const runtime = createSiteRuntime({
+      site: definition,
+      restored,
+      audit,
+      appendHistory: storage.appendHistory,
+      persist,
+      publishMqtt: (topic, payload, options) => mqttClient?.publish(topic, payload, options),
+      system,
+      getSchedule: () => schedules.get(definition.id),
+      clock
+    });
+    runtimes.set(definition.id, runtime);
+    return runtime;
+  }
+
+  sites.list().forEach(definition => createRuntime(definition));
+
+  // Accepted and rejected messages per MQTT topic and REST route
+  const ingestStats = createIngestStats(clock);
+
+  // Schema of the payloads on each subtopic of a site's feed
+  const FEED_SCHEMAS = {
+    '': 'vehicles', // Main vehicle data
+    ...Object.fromEntries(VEHICLE_TYPES.map(type => [`/${type}`, type === 'emergency' ? 'emergencyCount' : 'count'])), // Count per type
+    '/traffic_light': 'trafficLight', // Traffic light data
+    '/speeds': 'speeds' // Speed data
+  };
+
+  // Schema of the payloads on each subtopic of one approach, <topicBase>/<direction>
+  const APPROACH_SCHEMAS = {
+    '': 'approach', // Vehicle data of the approach
+    ...Object.fromEntries(VEHICLE_TYPES.map(type => [`/${type}`, 'count'])), // Count per type
+    '/speeds': 'speeds' // Speed data
+  };
+
+  const feedTopics = (runtime) => [
+    ...Object.keys(FEED_SCHEMAS).map(suffix => `${runtime.site.topicBase}${suffix}`),
+    ...runtime.directions.flatMap(direction => [`${runtime.site.topicBase}/${direction}`, `${runtime.site.topicBase}/${direction}/+`])
+  ];
+
+  // The site, schema and approach (or null for the whole site) a message
+  // belongs to, or null for a topic no site uses
+  function routeTopic(topic) {
+    for (const runtime of runtimes.values()) {
+      if (runtime.fieldControllers.handles(topic)) return { runtime, schema: 'lightStatus', direction: null };
+      const { topicBase } = runtime.site;
+      if (topic === topicBase || topic.startsWith(`${topicBase}/`)) {
+        const suffix = topic.slice(topicBase.length);
+        if (FEED_SCHEMAS[suffix]) return { runtime, schema: FEED_SCHEMAS[suffix], direction: null };
+        const [, direction, rest] = suffix.match(/^\/([^/]+)(.*)$/) ?? [];
+        if (runtime.directions.includes(direction) && APPROACH_SCHEMAS[rest]) {
+          return { runtime, schema: APPROACH_SCHEMAS[rest], direction };
+        }
+      }
+    }
+    return null;
+  }
+
+  function subscribe(topic, onSubscribed = () => {}) {
+    mqttClient.subscribe(topic, { qos: 1 }, (err) => {
+      if (err) {
+        console.error(`[MQTT] ❌ Failed to subscribe to ${topic}:`, err);
+      } else {
+        console.log(`[MQTT] 📡 Subscribed to ${topic}`);
+        onSubscribed();
+      }
+    });
+  }
+
+  // Follow a site's feed, and command its lights once the broker is reachable
+  function connectSite(runtime) {
+    if (!mqttClient?.connected) return;
+    feedTopics(runtime).forEach(topic => subscribe(topic));
+    if (fieldConfig.enabled) runtime.resendFieldStates();
+  }
+
+  function disconnectSite(runtime) {
+    if (!mqttClient?.connected) return;
+    mqttClient.unsubscribe(feedTopics(runtime));
+  }
+
+  // Validate and apply one vision feed or field controller message. Messages
+  // from the MQTT broker and from the built-in simulator both come through here;
+  // source tags the changes they cause in the audit trail.
+  function ingestMessage(topic, message, source = 'mqtt') {
+    const route = routeTopic(topic);
+    if (!route) {
+      ingestStats.rejected(topic, new Error('No site uses this topic'));
+      return;
+    }
+    const { runtime, schema, direction } = route;
+
+    let data;
+    try {
+      data = validatePayload(schema, JSON.parse(message.toString()), { directions: runtime.directions });
+    } catch (error) {
+      ingestStats.rejected(topic, error instanceof SyntaxError ? new Error(`Invalid JSON: ${error.message}`) : error);
+      return;
+    }
+    ingestStats.accepted(topic);
+
+    if (schema === 'lightStatus') {
+      runtime.handleFieldStatus(topic, data);
+      return;
+    }
+
+    // Update vehicle data based on topic; only the fields present are changed.
+    // Simulated messages arrive every few seconds, so they are not logged.
+    const who = { actor: topic, source };
+    const log = source === 'mqtt' ? console.log : () => {};
+    const where = direction ? `${runtime.id} ${direction}` : runtime.id;
+    if (schema === 'vehicles' || schema === 'approach') {
+      runtime.ingestVehicleData(data, who, direction);
+      log(`[MQTT] 📊 Updated ${where} vehicle data from main topic`);
+    } else if (schema === 'trafficLight') {
+      runtime.ingestVehicleData(data, who);
+      log(`[MQTT] 🚦 Updated ${where} traffic light data`);
+    } else if (schema === 'speeds') {
+      runtime.ingestVehicleData(data, who, direction);
+      log(`[MQTT] ⚡ Updated ${where} speed data`);
+    } else {
+      // Individual vehicle type counts (car, truck, bus, motorcycle, emergency);
+      // on an approach's topic, an emergency vehicle is on that approach
+      const vehicleType = topic.split('/').pop();
+      runtime.ingestVehicleData({
+        vehicles_by_type: { [vehicleType]: data.count },
+        [`${vehicleType}_count`]: data.count,
+        ...(data.direction ? { emergency_direction: data.direction } : {})
+      }, who, direction);
+      log(`[MQTT] 🚗 Updated ${where} ${vehicleType} count: ${data.count}`);
+    }
+  }
+
+  // Setup MQTT Subscriber
+  function setupMQTTSubscriber() {
+    try {
+      const { brokerHost, brokerPort } = mqttConfig;
+      const brokerUrl = `mqtt://${brokerHost}:${brokerPort}`;
+
+      mqttClient = connectMqtt(brokerUrl, {
+        clientId: MQTT_CLIENT_ID,
+        clean: true,
+        reconnectPeriod: 1000,
+        connectTimeout: 30 * 1000,
+      });
+
+      mqttClient.on('connect', () => {
+        console.log(`[MQTT] ✅ Connected to broker at ${brokerHost}:${brokerPort}`);
+
+        // Main vehicle data and all subtopics of every site's feed
+        runtimes.forEach(runtime => feedTopics(runtime).forEach(topic => subscribe(topic)));
+
+        // Status and acknowledgements from the field controllers. Once
+        // acknowledgements can be received, (re)send the current states.
+        if (fieldConfig.enabled) {
+          subscribe(`${fieldConfig.topicBase}/+/status`, () => runtimes.forEach(runtime => runtime.resendFieldStates()));
+        }
+      });
+
+      mqttClient.on('message', (topic, message) => ingestMessage(topic, message));
+
+      mqttClient.on('error', (error) => {
+        console.error(`[MQTT] ❌ Error:`, error);
+      });
+
+      mqttClient.on('close', () => {
+        console.log(`[MQTT] ⚠️ Connection closed`);
+      });
+
+      mqttClient.on('reconnect', () => {
+        console.log(`[MQTT] 🔄 Reconnecting...`);
+      });
+
+      mqttClient.on('offline', () => {
+        console.log(`[MQTT] ⚠️ Client went offline`);
+      });
+
+    } catch (error) {
+      console.error(`[MQTT] ❌ Failed to setup MQTT subscriber:`, error);
+    }
+  }
+
+  // Lights, traffic flow and signal state of a site, as returned by the control routes
+  const siteState = (site) => ({ lights: site.lights, trafficFlow: site.trafficFlow, signal: site.signal.snapshot() });
+
+  // Send a 409 for a transition rejected by the conflict monitor
+  function sendConflict(res, site, error) {
+    res.status(409).json({
+      error: 'Transition blocked by conflict monitor',
+      reason: error.message,
+      ...siteState(site)
+    });
+  }
+
+  // Manual light and flow commands are refused while an emergency vehicle has priority
+  function rejectDuringPreemption(res, site) {
+    if (!site.preemption.status()) return false;
+    res.status(409).json({
+      error: 'Emergency pre-emption in progress',
+      preemption: site.preemption.status(),
+      ...siteState(site)
+    });
+    return true;
+  }
+
+  // Manual light and flow commands are refused until the fail-safe is reset
+  function rejectDuringFailsafe(res, site) {
+    if (!site.trafficFlow.failsafe) return false;
+    res.status(409).json({
+      error: 'Fail-safe active; an operator must reset it first',
+      failsafe: site.trafficFlow.failsafe,
+      ...siteState(site)
+    });
+    return true;
+  }
+
+  // Light and flow commands are refused while another user holds manual control
+  function rejectDuringOverride(req, res, site) {
+    if (!site.override.lockedFor(req.user.username)) return false;
+    res.status(409).json({
+      error: `Manual control is held by ${site.trafficFlow.override.holder}`,
+      override: site.trafficFlow.override,
+      ...siteState(site)
+    });
+    return true;
+  }
+
+  // Answer an AuthError with its status
+  function sendAuthError(res, error) {
+    if (!(error instanceof AuthError)) throw error;
+    res.status(error.status).json({ error: error.message });
+  }
+
+  // Log in with a username and password; returns a session token
+  app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    try {
+      res.json(auth.login(username, password));
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  // End the current session
+  app.post('/api/auth/logout', requireViewer, (req, res) => {
+    auth.logout(req.token);
+    res.json({ success: true });
+  });
+
+  // The logged-in user
+  app.get('/api/auth/me', requireViewer, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  // User management
+  app.get('/api/users', requireAdmin, (req, res) => {
+    res.json({ users: auth.listUsers() });
+  });
+
+  app.post('/api/users', requireAdmin, (req, res) => {
+    try {
+      const user = auth.createUser(req.body);
+      console.log(`[Auth] 👤 '${req.user.username}' created user '${user.username}' (${user.role})`);
+      audit.record(requestActor(req), { category: 'admin', action: `create user ${user.username}`, next: user });
+      res.status(201).json({ user });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  // Change a user's role and/or password: { role?, password? }
+  app.put('/api/users/:username', requireAdmin, (req, res) => {
+    try {
+      const previous = auth.listUsers().find(u => u.username === req.params.username) ?? null;
+      const user = auth.updateUser(req.params.username, req.body);
+      console.log(`[Auth] 👤 '${req.user.username}' updated user '${user.username}' (${user.role})`);
+      audit.record(requestActor(req), {
+        category: 'admin',
+        action: `update user ${user.username}`,
+        previous,
+        next: user,
+        details: { passwordChanged: req.body.password !== undefined }
+      });
+      res.json({ user });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  app.delete('/api/users/:username', requireAdmin, (req, res) => {
+    try {
+      const previous = auth.listUsers().find(u => u.username === req.params.username) ?? null;
+      auth.deleteUser(req.params.username);
+      console.log(`[Auth] 👤 '${req.user.username}' deleted user '${req.params.username}'`);
+      audit.record(requestActor(req), { category: 'admin', action: `delete user ${req.params.username}`, previous });
+      res.json({ success: true });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  // API tokens for scripts and field devices
+  app.get('/api/tokens', requireAdmin, (req, res) => {
+    res.json({ tokens: auth.listApiTokens() });
+  });
+
+  // Issue a token: { name, role } - the token is only shown in this response
+  app.post('/api/tokens', requireAdmin, (req, res) => {
+    try {
+      const token = auth.createApiToken({ ...req.body, createdBy: req.user.username });
+      console.log(`[Auth] 🔑 '${req.user.username}' issued API token '${token.name}' (${token.role})`);
+      const issued = auth.listApiTokens().find(t => t.id === token.id);
+      audit.record(requestActor(req), { category: 'admin', action: `issue API token ${token.name}`, next: issued });
+      res.status(201).json(token);
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  app.delete('/api/tokens/:id', requireAdmin, (req, res) => {
+    try {
+      const previous = auth.listApiTokens().find(t => t.id === req.params.id) ?? null;
+      auth.revokeApiToken(req.params.id);
+      console.log(`[Auth] 🔑 '${req.user.username}' revoked API token ${req.params.id}`);
+      audit.record(requestActor(req), { category: 'admin', action: `revoke API token ${previous.name}`, previous });
+      res.json({ success: true });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  });
+
+  // Answer a SiteError with its status
+  function sendSiteError(res, error) {
+    if (!(error instanceof SiteError)) throw error;
+    res.status(error.status).json({ error: error.message });
+  }
+
+  // Sites, with a short status of each for the portal's site switcher
+  app.get('/api/sites', requireViewer, (req, res) => {
+    res.json({
+      defaultSiteId: sites.defaultSite().id,
+      sites: sites.list().map(site => ({ ...site, status: runtimes.get(site.id).summary() }))
+    });
+  });
+
+  app.get('/api/sites/:siteId', requireViewer, (req, res) => {
+    try {
+      const site = sites.get(req.params.siteId);
+      res.json({ site: { ...site, status: runtimes.get(site.id).summary() } });
+    } catch (error) {
+      sendSiteError(res, error);
+    }
+  });
+
+  // Add a site: { id, name, topicBase?, lights: [{ id, name, direction }], conflicts? }
+  app.post('/api/sites', requireAdmin, (req, res) => {
+    try {
+      const site = sites.create(req.body);
+      const runtime = createRuntime(site, null);
+      connectSite(runtime);
+      runtime.start();
+      persist();
+      console.log(`[Sites] 🏗️ '${req.user.username}' added site '${site.id}' with ${site.lights.length} lights`);
+      audit.record(requestActor(req), { category: 'admin', action: `create site ${site.id}`, site: site.id, next: site });
+      res.status(201).json({ site });
+    } catch (error) {
+      sendSiteError(res, error);
+    }
+  });
+
+  // Change a site. Names change straight away; signal groups, conflicts and the
+  // feed topic only while the site is at rest, and restart its runtime.
+  app.put('/api/sites/:siteId', requireAdmin, (req, res) => {
+    try {
+      const { previous, site } = sites.update(req.params.siteId, req.body, (before, next) => {
+        if (isStructuralChange(before, next) && !runtimes.get(before.id).atRest()) {
+          throw new SiteError('Stop the site first: signal groups, conflicts and the feed topic can only change while every light is red in manual mode', 409);
+        }
+      });
+
+      if (isStructuralChange(previous, site)) {
+        stopSimulator(site.id);
+        const old = runtimes.get(site.id);
+        const restored = old.state();
+        old.stop();
+        disconnectSite(old);
+        const runtime = createRuntime(site, restored);
+        connectSite(runtime);
+        runtime.start();
+        persist();
+      } else {
+        runtimes.get(site.id).rename(site);
+      }
+
+      console.log(`[Sites] 🏗️ '${req.user.username}' updated site '${site.id}'`);
+      audit.record(requestActor(req), { category: 'admin', action: `update site ${site.id}`, site: site.id, previous, next: site });
+      res.json({ site });
+    } catch (error) {
+      sendSiteError(res, error);
+    }
+  });
+
+  app.delete('/api/sites/:siteId', requireAdmin, (req, res) => {
+    try {
+      const previous = sites.remove(req.params.siteId, (site) => {
+        if (!runtimes.get(site.id).atRest()) {
+          throw new SiteError('Stop the site first: it can only be deleted while every light is red in manual mode', 409);
+        }
+      });
+      const runtime = runtimes.get(previous.id);
+      stopSimulator(previous.id);
+      runtime.stop();
+      disconnectSite(runtime);
+      runtimes.delete(previous.id);
+      schedules.remove(previous.id);
+      persist();
+      console.log(`[Sites] 🏗️ '${req.user.username}' deleted site '${previous.id}'`);
+      audit.record(requestActor(req), { category: 'admin', action: `delete site ${previous.id}`, site: previous.id, previous });
+      res.json({ success: true });
+    } catch (error) {
+      sendSiteError(res, error);
+    }
+  });
+
+  // Start-up information, including whether the last shutdown was clean
+  app.get('/api/system', requireViewer, (req, res) => {
+    res.json({ ...system, uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Audit trail: ?from=&to=&category=&source=&site=&actor=&q=&limit= (newest first)
+  app.get('/api/audit', requireOperator, async (req, res) => {
+    let query;
+    try {
+      query = parseAuditQuery(req.query, clock.now());
+    } catch (error) {
+      if (error instanceof AuditQueryError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    try {
+      res.json(await audit.query(query));
+    } catch (error) {
+      console.error(`[Audit] ❌ Failed to read audit trail:`, error);
+      res.status(500).json({ error: 'Failed to read audit trail' });
+    }
+  });
+
+  // Accepted and rejected messages per source
+  app.get('/api/ingest', requireViewer, (req, res) => {
+    res.json({ sources: ingestStats.snapshot() });
+  });
+
+  // Answer a ConfigError with its status
+  function sendConfigError(res, error) {
+    if (!(error instanceof ConfigError)) throw error;
+    res.status(error.status).json({ error: error.message, ...(error.errors.length > 0 && { errors: error.errors }) });
+  }
+
+  // Record a new configuration version in the audit trail
+  function auditConfig(req, action, { previous, version }) {
+    console.log(`[Config] ⚙️ '${req.user.username}' saved configuration version ${version.version}`);
+    audit.record(requestActor(req), {
+      category: 'admin',
+      action: `${action} (version ${version.version})`,
+      previous: previous.config,
+      next: version.config,
+      reason: version.reason
+    });
+  }
+
+  // Active configuration, with the schema the settings page is built from
+  app.get('/api/config', requireViewer, (req, res) => {
+    res.json({ ...configStore.current(), schema: CONFIG_SCHEMA });
+  });
+
+  // Change settings: { config: { section: { field: value } }, version?, reason? }.
+  // With version, the change is refused (409) if someone else saved in the meantime.
+  app.put('/api/config', requireAdmin, (req, res) => {
+    const { config, version, reason = null } = req.body;
+    try {
+      const saved = configStore.update(config, { actor: req.user.username, reason, expectedVersion: version });
+      auditConfig(req, 'update configuration', saved);
+      res.json(configStore.current());
+    } catch (error) {
+      sendConfigError(res, error);
+    }
+  });
+
+  // Saved versions, newest first
+  app.get('/api/config/versions', requireAdmin, (req, res) => {
+    res.json({ versions: configStore.versions() });
+  });
+
+  // Restore the settings of an earlier version as a new version: { version, reason? }
+  app.post('/api/config/rollback', requireAdmin, (req, res) => {
+    const { version, reason = null } = req.body;
+    try {
+      const saved = configStore.rollback(version, { actor: req.user.username, reason });
+      auditConfig(req, `roll back configuration to version ${version}`, saved);
+      res.json(configStore.current());
+    } catch (error) {
+      sendConfigError(res, error);
+    }
+  });
+
+  // Routes of one site. They are served under /api/sites/:siteId, and under
+  // /api for the default site. req.site is the site's runtime.
+  const siteRoutes = express.Router();
+
+  // Get all traffic light states
+  siteRoutes.get('/lights', requireViewer, (req, res) => {
+    res.json({ site: req.site.site, ...siteState(req.site), vehicleData: req.site.vehicleData });
+  });
+
+  // Stream light, traffic flow and vehicle data changes as they happen
+  siteRoutes.get('/stream', requireViewer, (req, res) => req.site.liveStream.handler(req, res, { owner: auth.tokenKey(req.token) }));
+
+  // Aggregated traffic history: ?from=&to=&bucket=1m|15m|1h|1d&metrics=counts,speeds,waiting,green
+  siteRoutes.get('/history', requireViewer, async (req, res) => {
+    let query;
+    try {
+      query = parseHistoryQuery(req.query, clock.now());
+    } catch (error) {
+      if (error instanceof HistoryQueryError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    try {
+      const records = storage.readHistory({ from: query.from, to: query.to, types: ['vehicles', 'green'] });
+      res.json(await aggregateHistory(siteRecords(records, req.site.id, sites.defaultSite().id), query));
+    } catch (error) {
+      console.error(`[History] ❌ Failed to read history:`, error);
+      res.status(500).json({ error: 'Failed to read history' });
+    }
+  });
+
+  // Get vehicle data
+  siteRoutes.get('/vehicles', requireViewer, (req, res) => {
+    res.json(req.site.vehicleData);
+  });
+
+  // Update vehicle data (from Python script)
+  siteRoutes.post('/vehicles', requireOperator, (req, res) => {
+    const source = `POST ${req.baseUrl}/vehicles`;
+    let data;
+    try {
+      data = validatePayload('vehicles', req.body, { directions: req.site.directions });
+    } catch (error) {
+      if (!(error instanceof PayloadError)) throw error;
+      ingestStats.rejected(source, error);
+      return res.status(error.status).json({ error: error.message, errors: error.errors });
+    }
+    ingestStats.accepted(source);
+    req.site.ingestVehicleData(data, requestActor(req));
+    res.json({ success: true, vehicleData: req.site.vehicleData });
+  });
+
+  // Get the vehicle data of one approach
+  siteRoutes.get('/vehicles/:direction', requireViewer, (req, res) => {
+    const { direction } = req.params;
+    if (!req.site.directions.includes(direction)) {
+      return res.status(404).json({ error: `No ${direction} direction at ${req.site.id}; expected ${req.site.directions.join(', ')}` });
+    }
+    res.json(req.site.vehicleData.approaches[direction]);
+  });
+
+  // Update the vehicle data of one approach (from the cameras at that end)
+  siteRoutes.post('/vehicles/:direction', requireOperator, (req, res) => {
+    const { direction } = req.params;
+    if (!req.site.directions.includes(direction)) {
+      return res.status(404).json({ error: `No ${direction} direction at ${req.site.id}; expected ${req.site.directions.join(', ')}` });
+    }
+    const source = `POST ${req.baseUrl}/vehicles/${direction}`;
+    let data;
+    try {
+      data = validatePayload('approach', req.body, { directions: req.site.directions });
+    } catch (error) {
+      if (!(error instanceof PayloadError)) throw error;
+      ingestStats.rejected(source, error);
+      return res.status(error.status).json({ error: error.message, errors: error.errors });
+    }
+    ingestStats.accepted(source);
+    req.site.ingestVehicleData(data, requestActor(req), direction);
+    res.json({ success: true, vehicleData: req.site.vehicleData });
+  });
+
+  // Estimated delay, queue discharge time and level of service of each approach
+  siteRoutes.get('/performance', requireViewer, (req, res) => {
+    res.json(req.site.performance.estimate());
+  });
+
+  // Get single traffic light state
+  siteRoutes.get('/lights/:lightId', requireViewer, (req, res) => {
+    const { lightId } = req.params;
+    const site = req.site;
+    if (Object.hasOwn(site.lights, lightId)) {
+      res.json({ light: site.lights[lightId], trafficFlow: site.trafficFlow, signal: site.signal.snapshot() });
+    } else {
+      res.status(404).json({ error: 'Traffic light not found' });
+    }
+  });
+
+  // Control traffic light
+  siteRoutes.post('/lights/:lightId/control', requireOperator, (req, res) => {
+    const { lightId } = req.params;
+    const { action } = req.body;
+    const site = req.site;
+
+    if (!Object.hasOwn(site.lights, lightId)) {
+      return res.status(404).json({ error: 'Traffic light not found' });
+    }
+    if (!LIGHT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Unknown action '${action}'; expected ${LIGHT_ACTIONS.join(', ')}` });
+    }
+
+    const who = requestActor(req);
+    const previous = site.controlState();
+    const light = site.lights[lightId];
+    const source = `${lightId} ${action} command`;
+
+    if (rejectDuringFailsafe(res, site)) {
+      return site.auditCommand(who, source, previous, { outcome: 'rejected', reason: 'Fail-safe active' });
+    }
+    if (rejectDuringPreemption(res, site)) {
+      return site.auditCommand(who, source, previous, { outcome: 'rejected', reason: 'Emergency pre-emption in progress' });
+    }
+    if (rejectDuringOverride(req, res, site)) {
+      return site.auditCommand(who, source, previous, { outcome: 'rejected', reason: `Manual control held by ${site.trafficFlow.override.holder}` });
+    }
+
+    try {
+      if (action === 'green' || (action === 'toggle' && light.state === 'red')) {
+        site.signal.request({ type: 'green', lightId, source });
+      } else if (action === 'red' || action === 'toggle') {
+        // Toggling a green or yellow light takes it to red
+        site.requestRed(lightId, source);
+      } else if (action === 'yellow') {
+        // A manual yellow is shown straight away, so it is checked against the other lights first
+        site.checkLightStates({ [lightId]: 'yellow' }, source, who);
+        site.signal.request({ type: 'yellow', lightId, source });
+      }
+    } catch (error) {
+      if (error instanceof SignalConflictError) return sendConflict(res, site, error);
+      throw error;
+    }
+
+    site.suspendAutomatic(source);
+    site.override.touch(req.user.username);
+    site.auditCommand(who, source, previous, { reason: req.body.reason ?? null });
+    res.json(siteState(site));
+  });
+
+  // Set traffic flow direction
+  // Plan run by the fixed-time mode (splits: one green for every direction or
+  // one per direction) or the actuated mode (min/max green and gap-out), null
+  // for the other modes
+  function flowModePlan({ mode, splits, minGreenSeconds, maxGreenSeconds, gapSeconds }, directions) {
+    if (mode === 'fixed-time') {
+      return validatePlan({ id: 'fixed-time', name: 'Fixed-time', type: 'fixed', greenSeconds: splits ?? greenConfig.defaultSeconds }, directions);
+    }
+    if (mode === 'actuated') {
+      return validatePlan({ id: 'actuated', name: 'Actuated', type: 'actuated', minGreenSeconds, maxGreenSeconds, gapSeconds }, directions);
+    }
+    return null;
+  }
+
+  siteRoutes.post('/traffic-flow', requireOperator, (req, res) => {
+    const { mode, direction, reason = null } = req.body;
+    const site = req.site;
+    const who = requestActor(req);
+    const previous = site.controlState();
+    const action = ['traffic flow', mode, direction].filter(Boolean).join(' ');
+
+    if (mode !== undefined && !FLOW_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'; expected ${FLOW_MODES.join(', ')}` });
+    }
+    if (direction !== undefined && !site.directions.includes(direction)) {
+      return res.status(400).json({ error: `Unknown direction '${direction}'; expected ${site.directions.join(', ')}` });
+    }
+    if (direction !== undefined && STEADY_MODES[mode]) {
+      return res.status(400).json({ error: `Mode '${mode}' serves no direction` });
+    }
+    let modePlan = null;
+    try {
+      modePlan = flowModePlan(req.body, site.directions);
+    } catch (error) {
+      if (error instanceof ScheduleError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    if (rejectDuringFailsafe(res, site)) {
+      return site.auditCommand(who, action, previous, { outcome: 'rejected', reason: 'Fail-safe active' });
+    }
+    if (rejectDuringPreemption(res, site)) {
+      return site.auditCommand(who, action, previous, { outcome: 'rejected', reason: 'Emergency pre-emption in progress' });
+    }
+    if (rejectDuringOverride(req, res, site)) {
+      return site.auditCommand(who, action, previous, { outcome: 'rejected', reason: `Manual control held by ${site.trafficFlow.override.holder}` });
+    }
+    // A command from the holder of manual control restarts its timeout
+    site.override.touch(req.user.username);
+
+    if (mode === 'automatic') {
+      // Resumes the scheduled plan; a new direction restarts the cycle from that direction
+      site.resumeAutomatic(direction);
+      site.auditCommand(who, action, previous, { reason });
+      return res.json(siteState(site));
+    }
+    if (mode && mode !== 'manual') {
+      // Runs the given timing instead of the scheduled plan, starting from the direction if given,
+      // or holds every light flashing or dark
+      site.runMode(mode, modePlan, direction);
+      site.auditCommand(who, action, previous, { reason });
+      return res.json(siteState(site));
+    }
+
+    if (direction) {
+      // Only the lights serving the direction turn green; every other light is held red
+      site.serveDirection(direction);
+    }
+
+    if (mode || direction) {
+      site.suspendAutomatic('traffic flow command');
+      site.auditCommand(who, action, previous, { reason });
+    }
+
+    res.json(siteState(site));
+  });
+
+  // Manual-override lock: an operator takes manual control and is the only one
+  // commanding the site's lights and traffic flow until they release it, it
+  // lapses without commands, or an admin breaks it
+  siteRoutes.get('/override', requireViewer, (req, res) => {
+    res.json({ override: req.site.trafficFlow.override, timeoutMinutes: overrideConfig.timeoutMinutes });
+  });
+
+  siteRoutes.post('/override', requireOperator, (req, res) => {
+    const site = req.site;
+    const who = requestActor(req);
+    const previous = site.controlState();
+    const { reason = null } = req.body ?? {};
+
+    if (rejectDuringFailsafe(res, site)) {
+      return site.auditCommand(who, 'take manual control', previous, { outcome: 'rejected', reason: 'Fail-safe active' });
+    }
+    if (rejectDuringPreemption(res, site)) {
+      return site.auditCommand(who, 'take manual control', previous, { outcome: 'rejected', reason: 'Emergency pre-emption in progress' });
+    }
+    try {
+      site.takeOverride(who, reason);
+      res.json(siteState(site));
+    } catch (error) {
+      if (!(error instanceof OverrideError)) throw error;
+      site.auditCommand(who, 'take manual control', previous, { outcome: 'rejected', reason: error.message });
+      res.status(error.status).json({ error: error.message, override: site.trafficFlow.override });
+    }
+  });
+
+  // Release (holder) or break (admin) the lock; the site returns to automatic mode
+  [['release', requireOperator], ['break', requireAdmin]].forEach(([action, requireRole]) => {
+    siteRoutes.post(`/override/${action}`, requireRole, (req, res) => {
+      const site = req.site;
+      try {
+        site.releaseOverride(requestActor(req), { force: action === 'break', reason: req.body?.reason ?? null });
+        res.json(siteState(site));
+      } catch (error) {
+        if (!(error instanceof OverrideError)) throw error;
+        res.status(error.status).json({ error: error.message, override: site.trafficFlow.override });
+      }
+    });
+  });
+
+  // Emergency stop - set all lights to red. Any operator may stop the site,
+  // also while someone else holds manual control.
+  siteRoutes.post('/emergency-stop', requireOperator, (req, res) => {
+    const site = req.site;
+    const previous = site.controlState();
+    const cancelledPreemption = site.preemption.status();
+    site.preemption.cancel();
+    site.trafficFlow.preemption = null;
+    site.suspendAutomatic('emergency stop');
+    site.signal.request({ type: 'all-red', source: 'emergency stop' });
+    site.auditCommand(requestActor(req), 'emergency stop', previous, {
+      reason: req.body.reason ?? null,
+      details: cancelledPreemption ? { cancelledPreemption } : null
+    });
+
+    res.json(siteState(site));
+  });
+
+  // Heartbeat status of the vision feed and field controllers
+  siteRoutes.get('/watchdog', requireViewer, (req, res) => {
+    res.json({ sources: req.site.watchdog.status(), failsafe: req.site.trafficFlow.failsafe });
+  });
+
+  // Leave the fail-safe state once every source is reporting again. The site
+  // stays all-red in manual mode; automatic mode has to be resumed separately.
+  siteRoutes.post('/failsafe/reset', requireOperator, (req, res) => {
+    const site = req.site;
+    if (!site.trafficFlow.failsafe) {
+      return res.status(409).json({ error: 'Fail-safe is not active', trafficFlow: site.trafficFlow });
+    }
+    const missing = site.watchdog.missing();
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: `Heartbeats still missing: ${missing.map(source => source.label).join(', ')}`,
+        sources: missing,
+        trafficFlow: site.trafficFlow
+      });
+    }
+
+    const previous = site.controlState();
+    const cleared = site.clearFailsafe();
+    console.log(`[Watchdog] ✅ Fail-safe at ${site.id} reset by ${req.user.username}`);
+    site.auditCommand(requestActor(req), 'fail-safe reset', previous, { reason: req.body.reason ?? null, details: { cleared } });
+
+    res.json(siteState(site));
+  });
+
+  // Answer a ScheduleError with its status
+  function sendScheduleError(res, error) {
+    if (!(error instanceof ScheduleError)) throw error;
+    res.status(error.status).json({ error: error.message });
+  }
+
+  // Time-of-day plans, the rules and exceptions that activate them, and the plan
+  // the schedule calls for right now
+  siteRoutes.get('/schedule', requireViewer, (req, res) => {
+    res.json({ schedule: schedules.get(req.site.id), active: req.site.trafficFlow.plan, planTypes: PLAN_TYPES });
+  });
+
+  // Replace the schedule: { plans, rules, exceptions, defaultPlanId, reason? }.
+  // A new plan takes over straight away if the site is in automatic mode.
+  siteRoutes.put('/schedule', requireAdmin, (req, res) => {
+    const { reason = null, ...input } = req.body;
+    const site = req.site;
+    try {
+      const { previous, schedule } = schedules.update(site.id, input, site.directions);
+      site.followSchedule();
+      console.log(`[Schedule] 📅 '${req.user.username}' updated the schedule of '${site.id}'`);
+      audit.record(requestActor(req), { category: 'admin', action: 'update schedule', site: site.id, previous, next: schedule, reason });
+      res.json({ schedule, active: site.trafficFlow.plan, planTypes: PLAN_TYPES });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  });
+
+  // Plans the schedule calls for over the coming days: ?from=<ISO time>&days=1-31 (default 7)
+  siteRoutes.get('/schedule/calendar', requireViewer, (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date(clock.now());
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ error: `Invalid from '${req.query.from}'` });
+    }
+    if (!Number.isInteger(days) || days < 1 || days > 31) {
+      return res.status(400).json({ error: `Invalid days '${req.query.days}': expected 1-31` });
+    }
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    const schedule = schedules.get(req.site.id);
+    res.json({ from: from.toISOString(), to: to.toISOString(), plans: schedule.plans, blocks: planTimeline(schedule, from, to) });
+  });
+
+  // Simulate traffic at a site; its messages go through the same ingestion as the MQTT feed
+  function startSimulator(runtime, settings) {
+    const simulator = createSimulator({
+      runtime,
+      settings: validateSimulatorSettings(settings, runtime.directions),
+      publish: (topic, message) => ingestMessage(topic, message, 'simulator'),
+      clock
+    });
+    simulator.start();
+    simulators.set(runtime.id, simulator);
+    return simulator;
+  }
+
+  function stopSimulator(siteId) {
+    simulators.get(siteId)?.stop();
+    simulators.delete(siteId);
+  }
+
+  // Answer a SimulatorError with its status
+  function sendSimulatorError(res, error) {
+    if (!(error instanceof SimulatorError)) throw error;
+    res.status(error.status).json({ error: error.message });
+  }
+
+  // Whether the site's feed is simulated, with its queues and counts
+  siteRoutes.get('/simulator', requireViewer, (req, res) => {
+    res.json(simulators.get(req.site.id)?.status() ?? { running: false });
+  });
+
+  // Start simulating traffic: { arrivalsPerMinute?: number | { direction: number }, emergencyPerHour?, reason? }
+  siteRoutes.post('/simulator/start', requireAdmin, (req, res) => {
+    const { reason = null, ...settings } = req.body;
+    const site = req.site;
+    if (simulators.has(site.id)) {
+      return res.status(409).json({ error: `Traffic at '${site.id}' is already simulated`, simulator: simulators.get(site.id).status() });
+    }
+    try {
+      const simulator = startSimulator(site, settings);
+      audit.record(requestActor(req), { category: 'admin', action: 'start simulator', site: site.id, next: simulator.status().settings, reason });
+      res.json(simulator.status());
+    } catch (error) {
+      sendSimulatorError(res, error);
+    }
+  });
+
+  siteRoutes.post('/simulator/stop', requireAdmin, (req, res) => {
+    const site = req.site;
+    if (!simulators.has(site.id)) return res.status(409).json({ error: `Traffic at '${site.id}' is not simulated` });
+    stopSimulator(site.id);
+    audit.record(requestActor(req), { category: 'admin', action: 'stop simulator', site: site.id, reason: req.body.reason ?? null });
+    res.json({ running: false });
+  });
+
+  // Alerts of the site: ?status=unresolved (default), open, acknowledged, resolved or all
+  siteRoutes.get('/alerts', requireViewer, (req, res) => {
+    const status = req.query.status ?? 'unresolved';
+    if (![...ALERT_STATUSES, 'unresolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: `Invalid status '${status}'; expected unresolved, all or ${ALERT_STATUSES.join(', ')}` });
+    }
+    res.json({ alerts: req.site.alerts.list(status), rules: alertConfig });
+  });
+
+  // Acknowledge or resolve an alert, with an optional note
+  ['acknowledge', 'resolve'].forEach(action => {
+    siteRoutes.post(`/alerts/:alertId/${action}`, requireOperator, (req, res) => {
+      const { note = null } = req.body ?? {};
+      if (note !== null && (typeof note !== 'string' || note.length > 200)) {
+        return res.status(400).json({ error: 'note must be a string of at most 200 characters' });
+      }
+      try {
+        const alert = req.site.handleAlert(action, req.params.alertId, requestActor(req), note?.trim() || null);
+        res.json({ alert });
+      } catch (error) {
+        if (!(error instanceof AlertError)) throw error;
+        res.status(error.status).json({ error: error.message });
+      }
+    });
+  });
+
+  app.use('/api/sites/:siteId', (req, res, next) => {
+    req.site = runtimes.get(req.params.siteId);
+    if (!req.site) return res.status(404).json({ error: `Site '${req.params.siteId}' not found` });
+    next();
+  }, siteRoutes);
+
+  app.use('/api', (req, res, next) => {
+    req.site = runtimes.get(sites.defaultSite().id);
+    next();
+  }, siteRoutes);
+
+  let pruneTimer = null;
+
+  // Connect to the broker and start every site's signal logic
+  function start() {
+    // Marks the state as not cleanly shut down until stop() says otherwise
+    storage.flushState(() => currentState());
+    storage.pruneHistory(clock.now());
+    pruneTimer = clock.setInterval(() => storage.pruneHistory(clock.now()), HISTORY_PRUNE_INTERVAL_MS);
+    console.log(`📡 Setting up MQTT subscriber...`);
+    setupMQTTSubscriber();
+    runtimes.forEach(runtime => runtime.start());
+    if (simulate) {
+      runtimes.forEach(runtime => startSimulator(runtime, {}));
+    }
+  }
+
+  // Stop the sites, disconnect from the broker and save the state as cleanly shut down
+  async function stop() {
+    clock.clearInterval(pruneTimer);
+    simulators.forEach(simulator => simulator.stop());
+    runtimes.forEach(runtime => runtime.stop());
+    if (mqttClient) {
+      await mqttClient.endAsync();
+      mqttClient = null;
+      console.log('[MQTT] Disconnected');
+    }
+    storage.flushState(() => currentState(true));
+    await storage.close();
+  }
+
+  return {
+    app,
+    start,
+    stop,
+    ingestMessage,
+    runtimes,
+    // The MQTT client, once start() connected it
+    mqttClient: () => mqttClient
+  };
+}
@@ -0,0 +1,144 @@
+// Audit trail of operator commands and automatic signal decisions.
+// Every entry records who or what acted (actor), through which channel
+// (source), at which site, the state before and after, and why. Entries are stored in their
+// own day-rotated log so they can be kept longer than the traffic history.
+//
+// Categories:
+//   command     - manual light, traffic flow and emergency commands
+//   controller  - phases started by the adaptive controller
+//   preemption  - emergency-vehicle pre-emption started, moved or ended
+//   conflict    - transitions blocked by the conflict monitor
+//   fault       - field controller faults raised and cleared
+//   alert       - alerts raised from the feed, acknowledged and resolved
+//   admin       - user and API token changes
+
+import { systemClock, isoNow } from './Clock.js';
+
+export const CATEGORIES = ['command', 'controller', 'preemption', 'conflict', 'fault', 'alert', 'admin'];
+export const SOURCES = ['ui', 'rest', 'mqtt', 'simulator', 'system'];
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Actor for changes made by the server itself
+export const SYSTEM_ACTOR = { actor: 'system', source: 'system' };
+
+// Raised for an invalid audit query; answered with a 400
+export class AuditQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditQueryError';
+    this.status = 400;
+  }
+}
+
+// Who made an API request and through which channel. The portal marks its
+// requests with an X-Client header; anything else is a REST client.
+export function requestActor(req) {
+  return {
+    actor: req.user?.username ?? 'anonymous',
+    source: req.get('x-client') === 'portal' ? 'ui' : 'rest'
+  };
+}
+
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new AuditQueryError(`Invalid '${name}': expected an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+function parseList(value, allowed, name) {
+  if (!value) return null;
+  const list = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const unknown = list.filter(v => !allowed.includes(v));
+  if (unknown.length > 0) {
+    throw new AuditQueryError(`Unknown ${name}(s): ${unknown.join(', ')}; expected ${allowed.join(', ')}`);
+  }
+  return list;
+}
+
+// Validate the query string of GET /api/audit.
+// Defaults: the last 7 days, newest 200 entries.
+export function parseAuditQuery(query = {}, now = Date.now()) {
+  const to = query.to ? parseTime(query.to, 'to') : now;
+  const from = query.from ? parseTime(query.from, 'from') : to - DEFAULT_RANGE_MS;
+  if (from >= to) {
+    throw new AuditQueryError(`'from' must be before 'to'`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new AuditQueryError(`Invalid 'limit': expected 1-${MAX_LIMIT}`);
+  }
+
+  return {
+    from,
+    to,
+    limit,
+    categories: parseList(query.category, CATEGORIES, 'category'),
+    sources: parseList(query.source, SOURCES, 'source'),
+    sites: query.site ? String(query.site).split(',').map(v => v.trim()).filter(Boolean) : null,
+    actor: query.actor ? String(query.actor) : null,
+    search: query.q ? String(query.q).toLowerCase() : null
+  };
+}
+
+function matches(entry, { categories, sources, sites, actor, search }) {
+  if (categories && !categories.includes(entry.category)) return false;
+  if (sources && !sources.includes(entry.source)) return false;
+  if (sites && !sites.includes(entry.site)) return false;
+  if (actor && entry.actor !== actor) return false;
+  if (search && !JSON.stringify(entry).toLowerCase().includes(search)) return false;
+  return true;
+}
+
+// - append(type, data, t): write a record to the audit log
+// - read({ from, to }): async iterable of the records between from and to
+// - clock: time source of the entries' timestamps (see Clock.js)
+export function createAuditLog({ append, read, clock = systemClock }) {
+  let sequence = 0;
+
+  // Record an entry. who is { actor, source }; the rest describes the change:
+  // { category, action, site?, previous?, next?, reason?, outcome?, details? }
+  function record(who, { category, action, site = null, previous = null, next = null, reason = null, outcome = 'applied', details = null }) {
+    const t = isoNow(clock);
+    const entry = {
+      id: `${Date.parse(t).toString(36)}-${(sequence++).toString(36)}`,
+      t,
+      site,
+      category,
+      action,
+      actor: who.actor,
+      source: who.source,
+      outcome,
+      previous,
+      next,
+      reason,
+      details
+    };
+    append(category, entry, t);
+    return entry;
+  }
+
+  // Entries matching a parsed query, newest first
+  async function query(options) {
+    const entries = [];
+    let total = 0;
+    for await (const { data } of read({ from: options.from, to: options.to })) {
+      if (!matches(data, options)) continue;
+      total += 1;
+      entries.push(data);
+      // Only the newest `limit` entries are kept
+      if (entries.length > options.limit) entries.shift();
+    }
+    return { total, entries: entries.reverse() };
+  }
+
+  return {
+    record,
+    query
+  };
+}
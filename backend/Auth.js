@@ -0,0 +1,288 @@
+// User accounts, sessions and role-based access control.
+// Roles are ordered; each one includes the rights of the roles before it:
+//   viewer   - read-only access to the dashboard and the APIs that feed it
+//   operator - light, traffic flow and emergency commands, and vehicle data ingestion
+//   admin    - configuration, users and API tokens
+// Users log in with a password and get a session token that expires after a
+// period of inactivity. Scripts and field devices use long-lived API tokens
+// issued by an admin. Both are sent as "Authorization: Bearer <token>".
+
+import { randomBytes, scryptSync, timingSafeEqual, createHash } from 'crypto';
+
+import { systemClock, isoNow } from './Clock.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const authConfig = {
+  sessionTtlMs: (Number(process.env.SESSION_TTL_MINUTES) || 12 * 60) * 60 * 1000,
+  // Password for the first admin account; a random one is generated (and
+  // logged once) when it is not set and no users exist yet
+  bootstrapPassword: process.env.ADMIN_PASSWORD || null,
+  // Failed logins allowed before the account is locked for lockoutMs
+  maxFailedLogins: 5,
+  lockoutMs: 60 * 1000
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+// Raised for a rejected authentication or authorisation, or an invalid
+// user/token request; status is the HTTP status to answer with
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+export function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return `${salt}:${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, 64);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+const newToken = () => randomBytes(32).toString('hex');
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`Invalid role: expected one of ${ROLES.join(', ')}`, 400);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+// - load(): stored { users, apiTokens } or null
+// - save(data): persist { users, apiTokens }
+// - onRevoke(key): a session or API token was ended; key is its tokenKey()
+// - clock: time source for session expiry and lockouts (see Clock.js)
+export function createAuth({ load, save, onRevoke = () => {}, config = authConfig, clock = systemClock }) {
+  const stored = load() || {};
+  const users = new Map((stored.users || []).map(user => [user.username, user]));
+  const apiTokens = new Map((stored.apiTokens || []).map(token => [token.id, token]));
+  // Sessions live in memory only; a restart logs everyone out
+  const sessions = new Map();
+  // Failed logins of existing users only, so made-up names can't fill it
+  const failedLogins = new Map();
+
+  const persist = () => save({ users: [...users.values()], apiTokens: [...apiTokens.values()] });
+  const publicUser = ({ username, role, createdAt }) => ({ username, role, createdAt });
+  const publicToken = ({ id, name, role, createdAt, createdBy, lastUsedAt }) => ({ id, name, role, createdAt, createdBy, lastUsedAt });
+
+  if (users.size === 0) {
+    const password = config.bootstrapPassword || randomBytes(9).toString('base64url');
+    users.set('admin', { username: 'admin', role: 'admin', passwordHash: hashPassword(password), createdAt: isoNow(clock) });
+    persist();
+    console.log(`[Auth] 👤 Created user 'admin'${config.bootstrapPassword ? ' with the password from ADMIN_PASSWORD' : ` with password: ${password}`}`);
+  }
+
+  function login(username, password) {
+    let failed = failedLogins.get(username);
+    if (failed?.lockedUntil > clock.now()) {
+      throw new AuthError('Too many failed logins, try again later', 429);
+    }
+    // A lockout that has run out starts the count afresh
+    if (failed?.lockedUntil) {
+      failedLogins.delete(username);
+      failed = undefined;
+    }
+
+    const user = users.get(username);
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+      if (user) {
+        const count = (failed?.count || 0) + 1;
+        failedLogins.set(username, {
+          count,
+          lockedUntil: count >= config.maxFailedLogins ? clock.now() + config.lockoutMs : 0
+        });
+      }
+      console.warn(`[Auth] ⛔ Failed login for '${username}'`);
+      throw new AuthError('Invalid username or password');
+    }
+
+    failedLogins.delete(username);
+    const token = newToken();
+    const expiresAt = clock.now() + config.sessionTtlMs;
+    sessions.set(hashToken(token), { username, expiresAt });
+    console.log(`[Auth] 🔑 '${username}' logged in`);
+    return { token, user: publicUser(user), expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function logout(token) {
+    const key = hashToken(token);
+    if (sessions.delete(key)) onRevoke(key);
+  }
+
+  // The principal for a bearer token ({ username, role, via }), or null.
+  // Sessions are extended on every use.
+  function authenticate(token) {
+    if (!token) return null;
+    const key = hashToken(token);
+
+    const session = sessions.get(key);
+    if (session) {
+      const user = users.get(session.username);
+      if (!user || session.expiresAt <= clock.now()) {
+        sessions.delete(key);
+        return null;
+      }
+      session.expiresAt = clock.now() + config.sessionTtlMs;
+      return { username: user.username, role: user.role, via: 'session' };
+    }
+
+    const apiToken = [...apiTokens.values()].find(t => t.hash === key);
+    if (apiToken) {
+      apiToken.lastUsedAt = isoNow(clock);
+      return { username: `token:${apiToken.name}`, role: apiToken.role, via: 'api-token' };
+    }
+    return null;
+  }
+
+  // Drop the sessions of a user, e.g. after a role or password change
+  function endSessions(username) {
+    sessions.forEach((session, key) => {
+      if (session.username !== username) return;
+      sessions.delete(key);
+      onRevoke(key);
+    });
+  }
+
+  const listUsers = () => [...users.values()].map(publicUser);
+
+  function createUser({ username, password, role = 'viewer' }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AuthError('Invalid username: 3-32 letters, digits, ".", "_" or "-"', 400);
+    }
+    if (users.has(username)) {
+      throw new AuthError(`User '${username}' already exists`, 409);
+    }
+    validateRole(role);
+    validatePassword(password);
+
+    const user = { username, role, passwordHash: hashPassword(password), createdAt: isoNow(clock) };
+    users.set(username, user);
+    persist();
+    return publicUser(user);
+  }
+
+  // The last admin can be neither demoted nor deleted
+  function assertNotLastAdmin(user) {
+    const admins = [...users.values()].filter(u => u.role === 'admin');
+    if (user.role === 'admin' && admins.length === 1) {
+      throw new AuthError('At least one admin account is required', 409);
+    }
+  }
+
+  function updateUser(username, { password, role }) {
+    const user = users.get(username);
+    if (!user) throw new AuthError(`User '${username}' not found`, 404);
+    if (role !== undefined) {
+      validateRole(role);
+      if (role !== 'admin') assertNotLastAdmin(user);
+    }
+    if (password !== undefined) validatePassword(password);
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    persist();
+    endSessions(username);
+    return publicUser(user);
+  }
+
+  function deleteUser(username) {
+    const user = users.get(username);
+    if (!user) throw new AuthError(`User '${username}' not found`, 404);
+    assertNotLastAdmin(user);
+    users.delete(username);
+    failedLogins.delete(username);
+    persist();
+    endSessions(username);
+  }
+
+  const listApiTokens = () => [...apiTokens.values()].map(publicToken);
+
+  // Issue an API token; the token itself is only returned here
+  function createApiToken({ name, role = 'operator', createdBy }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AuthError('API token name is required', 400);
+    }
+    validateRole(role);
+
+    const token = newToken();
+    const record = {
+      id: randomBytes(6).toString('hex'),
+      name: name.trim(),
+      role,
+      hash: hashToken(token),
+      createdAt: isoNow(clock),
+      createdBy,
+      lastUsedAt: null
+    };
+    apiTokens.set(record.id, record);
+    persist();
+    return { ...publicToken(record), token };
+  }
+
+  function revokeApiToken(id) {
+    const apiToken = apiTokens.get(id);
+    if (!apiToken) throw new AuthError(`API token '${id}' not found`, 404);
+    apiTokens.delete(id);
+    persist();
+    onRevoke(apiToken.hash);
+  }
+
+  // Express middleware: resolve the bearer token into req.user (or null).
+  // EventSource cannot set headers, so the live streams may pass ?access_token=.
+  function middleware(req, res, next) {
+    const header = req.get('authorization') || '';
+    const isStream = /^\/api\/(sites\/[^/]+\/)?stream$/.test(req.path);
+    const token = header.startsWith('Bearer ') ? header.slice(7) : (isStream ? req.query.access_token : null);
+    req.user = authenticate(token);
+    req.token = req.user ? token : null;
+    next();
+  }
+
+  // Express middleware factory: answer 401 without a valid token and 403 when
+  // the user's role is below the required one
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `Requires the ${role} role`, role: req.user.role });
+      }
+      next();
+    };
+  }
+
+  return {
+    login,
+    logout,
+    authenticate,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken,
+    // Identifies a token without keeping it, as passed to onRevoke
+    tokenKey: hashToken,
+    middleware,
+    requireRole
+  };
+}
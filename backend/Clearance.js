@@ -0,0 +1,101 @@
+// All-red clearance interval for direction reversals.
+// Before the opposite end of the passage gets green, every light is held red
+// long enough for the slowest vehicle still inside to drive out of the passage.
+
+import { systemClock } from './Clock.js';
+
+export const clearanceConfig = {
+  passageLengthMeters: Number(process.env.PASSAGE_LENGTH_M) || 150,
+  minSeconds: Number(process.env.CLEARANCE_MIN_SECONDS) || 5,
+  maxSeconds: Number(process.env.CLEARANCE_MAX_SECONDS) || 60,
+  // Speed assumed when the feed has not measured any vehicle yet (km/h)
+  fallbackSpeedKmh: Number(process.env.CLEARANCE_FALLBACK_SPEED_KMH) || 15,
+  // Extension granted each time the feed still reports vehicles in the passage
+  extensionSeconds: Number(process.env.CLEARANCE_EXTENSION_SECONDS) || 2,
+  maxExtensionSeconds: Number(process.env.CLEARANCE_MAX_EXTENSION_SECONDS) || 30
+};
+
+const SPEED_FIELDS = ['cspeed', 'tspeed', 'bspeed', 'mspeed'];
+
+// Clearance time in seconds: passage length over the slowest measured speed,
+// never below the configured floor nor above the configured ceiling.
+export function computeClearanceSeconds(vehicleData = {}, config = clearanceConfig) {
+  const speeds = SPEED_FIELDS
+    .map(field => Number(vehicleData[field]) || 0)
+    .filter(speed => speed > 0);
+  const speedKmh = speeds.length > 0 ? Math.min(...speeds) : config.fallbackSpeedKmh;
+  const seconds = config.passageLengthMeters / (speedKmh / 3.6);
+
+  return Math.ceil(Math.min(Math.max(seconds, config.minSeconds), config.maxSeconds));
+}
+
+// Create the clearance timer for one passage. Only one clearance can be pending
+// at a time: starting a new one cancels the previous one.
+// - getVehicleData(): latest vehicle data (speeds and vehicles_in_passage)
+// - onChange(status): called when a clearance starts, is extended or ends
+export function createClearanceTimer({ getVehicleData, config = clearanceConfig, onChange = () => {}, clock = systemClock }) {
+  let timer = null;
+  let status = { active: false, seconds: 0, extendedSeconds: 0, endsAt: null };
+
+  function update(next) {
+    status = { ...status, ...next };
+    onChange(status);
+  }
+
+  function cancel() {
+    clock.clearTimeout(timer);
+    timer = null;
+    if (status.active) {
+      update({ active: false, endsAt: null });
+    }
+  }
+
+  // Hold all-red for the clearance interval, minus the time the passage has
+  // already been all-red (elapsedMs), then call onClear().
+  function run(onClear, elapsedMs = 0) {
+    cancel();
+
+    const seconds = computeClearanceSeconds(getVehicleData(), config);
+    const remainingMs = Math.max(seconds * 1000 - elapsedMs, 0);
+
+    const finish = () => {
+      timer = null;
+      update({ active: false, endsAt: null });
+      onClear();
+    };
+
+    // Keep extending while vehicles are still reported inside the passage
+    const check = () => {
+      const inPassage = Number(getVehicleData().vehicles_in_passage) || 0;
+      if (inPassage > 0 && status.extendedSeconds < config.maxExtensionSeconds) {
+        const extension = Math.min(config.extensionSeconds, config.maxExtensionSeconds - status.extendedSeconds);
+        update({
+          extendedSeconds: status.extendedSeconds + extension,
+          endsAt: new Date(clock.now() + extension * 1000).toISOString()
+        });
+        console.log(`[Clearance] ⏳ ${inPassage} vehicle(s) still in the passage, extending all-red by ${extension}s`);
+        timer = clock.setTimeout(check, extension * 1000);
+        return;
+      }
+      if (inPassage > 0) {
+        console.warn(`[Clearance] ⚠️ Maximum extension reached with ${inPassage} vehicle(s) still reported in the passage`);
+      }
+      finish();
+    };
+
+    update({
+      active: true,
+      seconds,
+      extendedSeconds: 0,
+      endsAt: new Date(clock.now() + remainingMs).toISOString()
+    });
+    timer = clock.setTimeout(check, remainingMs);
+    return remainingMs;
+  }
+
+  return {
+    run,
+    cancel,
+    status: () => status
+  };
+}
@@ -0,0 +1,14 @@
+// Time source and timers of the signal logic. Everything that waits or stamps
+// a time goes through a clock, so tests can drive time with a fake one
+// instead of waiting for it.
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+// Current time of a clock as an ISO string
+export const isoNow = (clock = systemClock) => new Date(clock.now()).toISOString();
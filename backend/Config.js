@@ -0,0 +1,201 @@
+// Runtime configuration: signal timings, green limits, all-red clearance, alert
+// rules, MQTT topics and portal settings. Every change is validated as a whole
+// and saved as a new version, so any earlier version can be restored.
+//
+// Each section is applied to the live settings object its module reads
+// (clearanceConfig, defaultTimings, ...), so a change takes effect from the
+// next phase or message without a restart. Environment variables only give
+// the defaults of the first version.
+
+import { systemClock, isoNow } from './Clock.js';
+
+// Kept versions; older ones are dropped
+const MAX_VERSIONS = 100;
+
+const TOPIC_PATTERN = /^[^+#/](?:[^+#]*[^+#/])?$/;
+const HOST_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9.-]{0,251}[A-Za-z0-9])?$/;
+
+// Sections, their fields and limits. Labels and units are shown by the portal.
+export const CONFIG_SCHEMA = {
+  signal: {
+    label: 'Signal Timings',
+    fields: {
+      yellowMs: { label: 'Yellow', type: 'integer', min: 500, max: 10000, unit: 'ms' },
+      allRedMs: { label: 'All-red when entering or leaving flashing or off', type: 'integer', min: 1000, max: 30000, unit: 'ms' }
+    }
+  },
+  green: {
+    label: 'Green Times',
+    fields: {
+      minSeconds: { label: 'Minimum green', type: 'integer', min: 5, max: 120, unit: 's' },
+      maxSeconds: { label: 'Maximum green', type: 'integer', min: 10, max: 300, unit: 's' },
+      defaultSeconds: { label: 'Default green (until the feed recommends one)', type: 'integer', min: 5, max: 300, unit: 's' },
+      gapSeconds: { label: 'Actuated gap-out (no arrivals for)', type: 'integer', min: 1, max: 30, unit: 's' }
+    }
+  },
+  clearance: {
+    label: 'All-Red Clearance',
+    fields: {
+      passageLengthMeters: { label: 'Passage length', type: 'number', min: 10, max: 5000, unit: 'm' },
+      minSeconds: { label: 'Minimum clearance', type: 'integer', min: 0, max: 600, unit: 's' },
+      maxSeconds: { label: 'Maximum clearance', type: 'integer', min: 1, max: 600, unit: 's' },
+      fallbackSpeedKmh: { label: 'Speed assumed before any is measured', type: 'number', min: 1, max: 130, unit: 'km/h' },
+      extensionSeconds: { label: 'Extension step while vehicles are in the passage', type: 'integer', min: 1, max: 60, unit: 's' },
+      maxExtensionSeconds: { label: 'Maximum extension', type: 'integer', min: 0, max: 600, unit: 's' }
+    }
+  },
+  alerts: {
+    label: 'Alert Rules',
+    fields: {
+      queueLength: { label: 'Queue alert above (0 = off)', type: 'integer', min: 0, max: 1000, unit: 'vehicles' },
+      passageSpeedKmh: { label: 'Speed alert in the passage above (0 = off)', type: 'number', min: 0, max: 300, unit: 'km/h' }
+    }
+  },
+  field: {
+    label: 'Field Controllers',
+    fields: {
+      topicBase: { label: 'Topic base', type: 'topic' },
+      ackTimeoutMs: { label: 'Acknowledgement timeout', type: 'integer', min: 500, max: 60000, unit: 'ms' }
+    }
+  },
+  override: {
+    label: 'Manual Control',
+    fields: {
+      timeoutMinutes: { label: 'Lock released after no command for', type: 'integer', min: 1, max: 240, unit: 'min' }
+    }
+  },
+  mqtt: {
+    label: 'MQTT Broker',
+    fields: {
+      brokerHost: { label: 'Host', type: 'host' },
+      brokerPort: { label: 'Port', type: 'integer', min: 1, max: 65535 }
+    }
+  },
+  portal: {
+    label: 'Portal',
+    fields: {
+      pollIntervalMs: { label: 'Polling period while the live stream is down', type: 'integer', min: 1000, max: 60000, unit: 'ms' }
+    }
+  }
+};
+
+// Raised for an invalid or impossible configuration change; carries the HTTP status
+export class ConfigError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function coerce(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `expected a number, got ${JSON.stringify(value)}` };
+      if (spec.type === 'integer' && !Number.isInteger(number)) return { error: `expected a whole number, got ${number}` };
+      if (number < spec.min || number > spec.max) return { error: `expected ${spec.min}-${spec.max}, got ${number}` };
+      return { value: number };
+    }
+    case 'topic':
+      return typeof value === 'string' && TOPIC_PATTERN.test(value)
+        ? { value }
+        : { error: 'expected an MQTT topic without wildcards or leading/trailing slash' };
+    case 'host':
+      return typeof value === 'string' && HOST_PATTERN.test(value) ? { value } : { error: 'expected a host name or IP address' };
+    default:
+      throw new Error(`Unknown field type '${spec.type}'`);
+  }
+}
+
+// Apply a partial change ({ section: { field: value } }) to a complete
+// configuration and return the result, or throw a ConfigError listing every problem
+export function validateConfig(change, base) {
+  if (!change || typeof change !== 'object' || Array.isArray(change)) {
+    throw new ConfigError('Expected a configuration object');
+  }
+
+  const errors = [];
+  const next = Object.fromEntries(Object.entries(base).map(([section, values]) => [section, { ...values }]));
+  Object.entries(change).forEach(([section, values]) => {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) return errors.push(`${section}: unknown section`);
+    if (!values || typeof values !== 'object' || Array.isArray(values)) return errors.push(`${section}: expected an object`);
+    Object.entries(values).forEach(([name, value]) => {
+      const spec = schema.fields[name];
+      if (!spec) return errors.push(`${section}.${name}: unknown field`);
+      const coerced = coerce(spec, value);
+      if (coerced.error) errors.push(`${section}.${name}: ${coerced.error}`);
+      else next[section][name] = coerced.value;
+    });
+  });
+
+  const { green, clearance } = next;
+  if (green.minSeconds > green.maxSeconds) errors.push('green.minSeconds: must not exceed green.maxSeconds');
+  if (green.defaultSeconds < green.minSeconds || green.defaultSeconds > green.maxSeconds) {
+    errors.push('green.defaultSeconds: must lie between the minimum and maximum green');
+  }
+  if (clearance.minSeconds > clearance.maxSeconds) errors.push('clearance.minSeconds: must not exceed clearance.maxSeconds');
+
+  if (errors.length > 0) throw new ConfigError(`Invalid configuration: ${errors.join('; ')}`, 400, errors);
+  return next;
+}
+
+// Versioned configuration, persisted through load()/save().
+// - defaults: the first version, when nothing has been saved yet
+// - apply(config, previous): make a configuration the active one
+// - clock: time source of the savedAt stamps (see Clock.js)
+// A version is { version, config, savedAt, actor, reason, rollbackOf }.
+export function createConfigStore({ load, save, defaults, apply, clock = systemClock }) {
+  const stored = load();
+  let versions = stored?.versions?.length > 0 ? stored.versions : [];
+
+  // Saved settings are completed with the defaults of fields added since
+  const complete = (config) => Object.fromEntries(Object.entries(defaults).map(([section, values]) => [
+    section,
+    { ...values, ...config?.[section] }
+  ]));
+
+  if (versions.length === 0) {
+    versions = [{ version: 1, config: defaults, savedAt: isoNow(clock), actor: 'system', reason: 'Initial configuration', rollbackOf: null }];
+    save({ versions });
+  }
+
+  const current = () => versions[versions.length - 1];
+  apply(complete(current().config), null);
+
+  function add(config, { actor, reason = null, rollbackOf = null }) {
+    const previous = current();
+    const version = { version: previous.version + 1, config, savedAt: isoNow(clock), actor, reason, rollbackOf };
+    versions = [...versions, version].slice(-MAX_VERSIONS);
+    save({ versions });
+    apply(config, previous.config);
+    return { previous, version };
+  }
+
+  // Change some settings. expectedVersion, when given, must be the current
+  // version, so two admins don't overwrite each other's changes.
+  function update(change, { actor, reason, expectedVersion }) {
+    if (expectedVersion !== undefined && expectedVersion !== current().version) {
+      throw new ConfigError(`Configuration changed in the meantime: version ${current().version} is current, not ${expectedVersion}`, 409);
+    }
+    return add(validateConfig(change, complete(current().config)), { actor, reason });
+  }
+
+  // Make an earlier version's settings current again, as a new version
+  function rollback(versionNumber, { actor, reason }) {
+    const target = versions.find(v => v.version === Number(versionNumber));
+    if (!target) throw new ConfigError(`Version ${versionNumber} not found`, 404);
+    if (target === current()) throw new ConfigError(`Version ${target.version} is already current`, 409);
+    return add(validateConfig({}, complete(target.config)), { actor, reason, rollbackOf: target.version });
+  }
+
+  return {
+    current: () => ({ ...current(), config: complete(current().config) }),
+    versions: () => [...versions].reverse(),
+    update,
+    rollback
+  };
+}
@@ -0,0 +1,56 @@
+// Conflict monitor for the one-way passage.
+// Both ends of a single-lane passage feed the same lane, so two conflicting
+// lights may never let traffic in at the same time: green+green, green+yellow
+// and yellow+yellow are all rejected. Which lights conflict is part of the
+// site configuration (see Sites.js).
+
+// States that let traffic enter the passage, ranked by how permissive they are
+const PERMISSIVENESS = { red: 0, yellow: 1, green: 2 };
+
+export const isPermissive = (state) => (PERMISSIVENESS[state] || 0) > 0;
+
+// Raised when a transition would put conflicting lights in permissive states
+export class SignalConflictError extends Error {
+  constructor(reason, { lights = [], changes = {} } = {}) {
+    super(reason);
+    this.name = 'SignalConflictError';
+    this.status = 409;
+    this.lights = lights;
+    this.changes = changes;
+  }
+}
+
+// conflicts: list of light id pairs that must never be permissive together
+export function createConflictMonitor({ conflicts = [] } = {}) {
+  // Check a set of state changes ({ lightId: newState }) against the current lights.
+  // Changes that only make lights less permissive are always accepted so that a
+  // controller can always back out of a bad state.
+  function check(lights, changes) {
+    const next = {};
+    Object.values(lights).forEach(light => {
+      next[light.id] = changes[light.id] ?? light.state;
+    });
+
+    for (const [a, b] of conflicts) {
+      if (!isPermissive(next[a]) || !isPermissive(next[b])) continue;
+
+      const escalated = [a, b].filter(id =>
+        changes[id] !== undefined && PERMISSIVENESS[changes[id]] > (PERMISSIVENESS[lights[id]?.state] || 0)
+      );
+      if (escalated.length === 0) continue;
+
+      return {
+        allowed: false,
+        lights: [a, b],
+        reason: `${a} would be ${next[a]} while ${b} is ${next[b]}; conflicting ends of the passage cannot both be green or yellow`
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  // Whether two lights are a conflicting pair
+  const conflicting = (a, b) => conflicts.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+  return { check, conflicting, conflicts };
+}
@@ -0,0 +1,135 @@
+// Link to the field controllers driving the physical signal heads.
+// Every light state the server commands is published to the light's command
+// topic; the controller answers on its status topic with the state it is
+// actually showing. A command that is not confirmed in time raises a fault.
+//
+// Topics (base defaults to traffic/lights; it can be changed at runtime, see Config.js):
+//   <base>/<lightId>/command - published, retained: { commandId, state, issuedAt }
+//   <base>/<lightId>/status  - subscribed: { state, commandId? }
+
+import { randomBytes } from 'crypto';
+import { systemClock, isoNow } from './Clock.js';
+
+export const fieldConfig = {
+  enabled: process.env.FIELD_CONTROLLERS !== 'disabled',
+  topicBase: process.env.FIELD_TOPIC_BASE || 'traffic/lights',
+  ackTimeoutMs: Number(process.env.FIELD_ACK_TIMEOUT_MS) || 3000
+};
+
+// - lights: live map of the lights ({ lightId: light }); each light gets a
+//   `field` object: { commanded, confirmed, fault }
+// - publish(topic, payload, options): publish over MQTT
+// - onChange(lightId, field): a light's commanded/confirmed state or fault changed
+// - onFault(lightId, fault) / onRecover(lightId, fault): a fault was raised / cleared
+export function createFieldControllers({ lights, publish, config = fieldConfig, onChange = () => {}, onFault = () => {}, onRecover = () => {}, clock = systemClock }) {
+  const ackTimers = new Map();
+
+  // Id of the light whose status topic this is, if any
+  const statusLightId = (topic) => {
+    const prefix = `${config.topicBase}/`;
+    if (!topic.startsWith(prefix) || !topic.endsWith('/status')) return null;
+    const lightId = topic.slice(prefix.length, -'/status'.length);
+    return lightId && !lightId.includes('/') ? lightId : null;
+  };
+
+  Object.values(lights).forEach(light => {
+    light.field = { commanded: null, confirmed: null, fault: null };
+  });
+
+  const commandTopic = (lightId) => `${config.topicBase}/${lightId}/command`;
+
+  function raise(lightId, fault) {
+    const field = lights[lightId].field;
+    // A controller repeating the same wrong state is one fault, not many
+    if (field.fault?.type === fault.type && field.fault.commandId === fault.commandId) {
+      return onChange(lightId, field);
+    }
+    field.fault = { ...fault, since: isoNow(clock) };
+    console.error(`[Field] ❌ ${lightId}: ${fault.message}`);
+    onFault(lightId, field.fault);
+    onChange(lightId, field);
+  }
+
+  function clearFault(lightId) {
+    const field = lights[lightId].field;
+    if (!field.fault) return;
+    const cleared = field.fault;
+    field.fault = null;
+    console.log(`[Field] ✅ ${lightId} confirmed ${field.confirmed.state}, fault cleared`);
+    onRecover(lightId, cleared);
+  }
+
+  // Send the commanded state to a light's field controller
+  function command(lightId, state) {
+    if (!config.enabled) return;
+    const field = lights[lightId].field;
+    const commandId = randomBytes(4).toString('hex');
+    field.commanded = { state, commandId, at: isoNow(clock) };
+
+    publish(commandTopic(lightId), JSON.stringify({ commandId, state, issuedAt: field.commanded.at }), { qos: 1, retain: true });
+
+    clock.clearTimeout(ackTimers.get(lightId));
+    ackTimers.set(lightId, clock.setTimeout(() => {
+      ackTimers.delete(lightId);
+      raise(lightId, {
+        type: 'ack-timeout',
+        commandId,
+        message: `No acknowledgement of '${state}' within ${config.ackTimeoutMs}ms`
+      });
+    }, config.ackTimeoutMs));
+    onChange(lightId, field);
+  }
+
+  // Whether an MQTT topic is the status topic of one of these lights
+  const handles = (topic) => config.enabled && Object.hasOwn(lights, statusLightId(topic) ?? '');
+
+  // Handle a status message from a field controller. Returns the id of the
+  // light it came from, or null for an invalid message.
+  function handleStatus(topic, data) {
+    const lightId = statusLightId(topic);
+    const light = Object.hasOwn(lights, lightId ?? '') ? lights[lightId] : null;
+    if (!light) {
+      console.warn(`[Field] ⚠️ Status for unknown light '${lightId}'`);
+      return null;
+    }
+    if (typeof data?.state !== 'string') {
+      console.warn(`[Field] ⚠️ Status for ${lightId} without a state`);
+      return null;
+    }
+
+    const field = light.field;
+    field.confirmed = { state: data.state, commandId: data.commandId ?? null, at: isoNow(clock) };
+
+    const { commanded } = field;
+    if (!commanded || data.state === commanded.state) {
+      clock.clearTimeout(ackTimers.get(lightId));
+      ackTimers.delete(lightId);
+      clearFault(lightId);
+    } else if (!ackTimers.has(lightId) || data.commandId === commanded.commandId) {
+      // The controller acknowledged the command, or reports on its own, with a different state
+      clock.clearTimeout(ackTimers.get(lightId));
+      ackTimers.delete(lightId);
+      raise(lightId, {
+        type: 'mismatch',
+        commandId: commanded.commandId,
+        message: `Showing '${data.state}' but '${commanded.state}' was commanded`
+      });
+      return lightId;
+    }
+    onChange(lightId, field);
+    return lightId;
+  }
+
+  function stop() {
+    ackTimers.forEach(timer => clock.clearTimeout(timer));
+    ackTimers.clear();
+  }
+
+  return {
+    command,
+    handles,
+    handleStatus,
+    stop,
+    enabled: config.enabled
+  };
+}
@@ -0,0 +1,194 @@
+// Aggregation of the time-series history for GET /api/history.
+// Vehicle samples and completed greens are grouped into fixed-size buckets
+// (aligned to UTC) so that peak hours can be compared over days or weeks.
+
+export const BUCKETS = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+export const METRICS = ['counts', 'speeds', 'waiting', 'green'];
+
+// Upper bound on the number of buckets returned by one query
+export const MAX_BUCKETS = 2000;
+
+const VEHICLE_TYPES = ['car', 'truck', 'bus', 'motorcycle', 'emergency'];
+const SPEED_FIELDS = { car: 'cspeed', truck: 'tspeed', bus: 'bspeed', motorcycle: 'mspeed' };
+
+// Raised for an invalid history query; answered with a 400
+export class HistoryQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryQueryError';
+    this.status = 400;
+  }
+}
+
+// Accepts an ISO date or epoch milliseconds
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HistoryQueryError(`Invalid '${name}': expected an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+// Validate the query string of GET /api/history.
+// Defaults: the last 24 hours in 15 minute buckets with every metric.
+export function parseHistoryQuery(query = {}, now = Date.now()) {
+  const bucket = query.bucket || '15m';
+  if (!BUCKETS[bucket]) {
+    throw new HistoryQueryError(`Invalid 'bucket': expected one of ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const to = query.to ? parseTime(query.to, 'to') : now;
+  const from = query.from ? parseTime(query.from, 'from') : to - 24 * 60 * 60 * 1000;
+  if (from >= to) {
+    throw new HistoryQueryError(`'from' must be before 'to'`);
+  }
+
+  const bucketMs = BUCKETS[bucket];
+  if (Math.ceil((to - from) / bucketMs) > MAX_BUCKETS) {
+    throw new HistoryQueryError(`Range too large for '${bucket}' buckets (max ${MAX_BUCKETS}); use a larger bucket`);
+  }
+
+  const metrics = query.metrics ? String(query.metrics).split(',').map(m => m.trim()).filter(Boolean) : METRICS;
+  const unknown = metrics.filter(m => !METRICS.includes(m));
+  if (unknown.length > 0) {
+    throw new HistoryQueryError(`Unknown metric(s): ${unknown.join(', ')}; expected ${METRICS.join(', ')}`);
+  }
+
+  return { from, to, bucket, bucketMs, metrics };
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = ({ sum, n }) => (n > 0 ? round(sum / n) : null);
+
+function emptyAccumulator() {
+  return {
+    samples: 0,
+    counts: Object.fromEntries(VEHICLE_TYPES.map(type => [type, 0])),
+    totalMin: null,
+    totalMax: null,
+    speeds: Object.fromEntries(Object.keys(SPEED_FIELDS).map(type => [type, { sum: 0, n: 0 }])),
+    waiting: { sum: 0, n: 0, max: 0 },
+    recommendedGreen: { sum: 0, n: 0 },
+    green: { sum: 0, n: 0, max: 0 }
+  };
+}
+
+function addVehicleSample(acc, data) {
+  acc.samples += 1;
+
+  VEHICLE_TYPES.forEach(type => {
+    const count = Number(data.vehicles_by_type?.[type]) || 0;
+    acc.counts[type] = Math.max(acc.counts[type], count);
+  });
+
+  const total = Number(data.total_vehicles_counted);
+  if (Number.isFinite(total)) {
+    acc.totalMin = acc.totalMin === null ? total : Math.min(acc.totalMin, total);
+    acc.totalMax = acc.totalMax === null ? total : Math.max(acc.totalMax, total);
+  }
+
+  // A speed of 0 means "not measured" in the feed, so it is left out of the average
+  Object.entries(SPEED_FIELDS).forEach(([type, field]) => {
+    const speed = Number(data[field]) || 0;
+    if (speed > 0) {
+      acc.speeds[type].sum += speed;
+      acc.speeds[type].n += 1;
+    }
+  });
+
+  const waiting = Number(data.vehicles_waiting) || 0;
+  acc.waiting.sum += waiting;
+  acc.waiting.n += 1;
+  acc.waiting.max = Math.max(acc.waiting.max, waiting);
+
+  const recommended = Number(data.green_light_duration);
+  if (recommended > 0) {
+    acc.recommendedGreen.sum += recommended;
+    acc.recommendedGreen.n += 1;
+  }
+}
+
+function addGreen(acc, data) {
+  const seconds = Number(data.seconds) || 0;
+  acc.green.sum += seconds;
+  acc.green.n += 1;
+  acc.green.max = Math.max(acc.green.max, seconds);
+}
+
+function formatBucket(start, bucketMs, acc, metrics) {
+  const bucket = {
+    start: new Date(start).toISOString(),
+    end: new Date(start + bucketMs).toISOString(),
+    samples: acc.samples
+  };
+
+  if (metrics.includes('counts')) {
+    // Peak count per type, plus how many vehicles the feed counted during the bucket
+    bucket.counts = acc.samples > 0 ? acc.counts : null;
+    bucket.vehiclesCounted = acc.totalMax !== null ? Math.max(acc.totalMax - acc.totalMin, 0) : null;
+  }
+  if (metrics.includes('speeds')) {
+    bucket.speeds = Object.fromEntries(Object.entries(acc.speeds).map(([type, speed]) => [type, average(speed)]));
+  }
+  if (metrics.includes('waiting')) {
+    bucket.waiting = acc.waiting.n > 0 ? { avg: average(acc.waiting), max: acc.waiting.max } : null;
+  }
+  if (metrics.includes('green')) {
+    bucket.green = {
+      count: acc.green.n,
+      avg: average(acc.green),
+      max: acc.green.n > 0 ? acc.green.max : null,
+      // Green suggested by the vision feed (green_light_duration)
+      recommendedAvg: average(acc.recommendedGreen)
+    };
+  }
+
+  return bucket;
+}
+
+// Only the records of one site. Records written before there were several
+// sites have no siteId and belong to the default site.
+export async function* siteRecords(records, siteId, defaultSiteId) {
+  for await (const record of records) {
+    if ((record.data.siteId ?? defaultSiteId) === siteId) yield record;
+  }
+}
+
+// Aggregate history records (an async iterable of { t, type, data }) into
+// buckets covering [from, to). Empty buckets are included so charts keep a
+// continuous time axis.
+export async function aggregateHistory(records, { from, to, bucket, bucketMs, metrics }) {
+  const firstStart = Math.floor(from / bucketMs) * bucketMs;
+  const accumulators = new Map();
+
+  for await (const record of records) {
+    const time = Date.parse(record.t);
+    if (time < from || time >= to) continue;
+
+    const start = Math.floor(time / bucketMs) * bucketMs;
+    if (!accumulators.has(start)) accumulators.set(start, emptyAccumulator());
+    const acc = accumulators.get(start);
+
+    if (record.type === 'vehicles') addVehicleSample(acc, record.data);
+    else if (record.type === 'green') addGreen(acc, record.data);
+  }
+
+  const buckets = [];
+  for (let start = firstStart; start < to; start += bucketMs) {
+    buckets.push(formatBucket(start, bucketMs, accumulators.get(start) || emptyAccumulator(), metrics));
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    bucket,
+    metrics,
+    buckets
+  };
+}
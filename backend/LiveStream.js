@@ -0,0 +1,85 @@
+// Server-Sent Events stream for the portal.
+// Clients get a full 'snapshot' event when they connect and then one event per
+// change: 'lights', 'traffic-flow', 'vehicles' and 'performance'. Changes
+// published within the same tick are coalesced so a multi-light transition
+// goes out as one event.
+
+// Keep-alive comment interval, so proxies do not drop idle connections
+const KEEP_ALIVE_MS = 15000;
+
+// - getSnapshot(): full state sent to a client when it connects
+export function createLiveStream({ getSnapshot }) {
+  // Response of each open stream -> owner it was opened by
+  const clients = new Map();
+  const queued = new Map();
+  let flushScheduled = false;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function flush() {
+    flushScheduled = false;
+    const events = [...queued.entries()];
+    queued.clear();
+    clients.forEach((_, res) => {
+      events.forEach(([event, getData]) => send(res, event, getData()));
+    });
+  }
+
+  // Queue an event for every connected client. data may be a function, in which
+  // case it is evaluated when the event is actually sent.
+  function publish(event, data) {
+    if (clients.size === 0) return;
+    queued.set(event, typeof data === 'function' ? data : () => data);
+    if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flush);
+    }
+  }
+
+  // Express handler for GET /api/stream; owner identifies the credential the
+  // stream was opened with, so closeFor() can end it
+  function handler(req, res, { owner = null } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    // Ask the browser to retry quickly if the connection drops
+    res.write('retry: 2000\n\n');
+    send(res, 'snapshot', getSnapshot());
+
+    clients.set(res, owner);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      clients.delete(res);
+    });
+  }
+
+  // Close the streams of an owner, e.g. once its session is revoked
+  function closeFor(owner) {
+    clients.forEach((clientOwner, res) => {
+      if (clientOwner !== owner) return;
+      res.end();
+      clients.delete(res);
+    });
+  }
+
+  // Close every open stream, e.g. on shutdown
+  function close() {
+    clients.forEach((_, res) => res.end());
+    clients.clear();
+  }
+
+  return {
+    handler,
+    publish,
+    closeFor,
+    close,
+    clientCount: () => clients.size
+  };
+}
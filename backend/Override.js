@@ -0,0 +1,115 @@
+// Manual-override lock of a site. An operator takes manual control, which
+// locks the site's light and flow commands to them while everyone else sees who
+// holds it. The lock lapses after timeoutMinutes without a command from its
+// holder, and an admin can break it; either way the site returns to automatic
+// mode and its scheduled plan.
+//
+//   { holder, since, lastActivityAt, expiresAt, reason }
+
+import { systemClock, isoNow } from './Clock.js';
+
+// Tuned at runtime through /api/config (see Config.js)
+export const overrideConfig = {
+  timeoutMinutes: Number(process.env.OVERRIDE_TIMEOUT_MINUTES) || 10
+};
+
+// Raised when a lock can't be taken, released or broken; carries the HTTP status
+export class OverrideError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'OverrideError';
+    this.status = status;
+  }
+}
+
+// - onChange(lock): the lock was taken, renewed or ended (lock is null then)
+// - onExpire(lock): the holder was inactive for timeoutMinutes; the lock has ended
+export function createOverrideLock({ onChange = () => {}, onExpire = () => {}, config = overrideConfig, clock = systemClock }) {
+  let lock = null;
+  let timer = null;
+
+  function schedule() {
+    clock.clearTimeout(timer);
+    timer = clock.setTimeout(expire, Math.max(Date.parse(lock.expiresAt) - clock.now(), 0));
+  }
+
+  function expire() {
+    const expired = lock;
+    lock = null;
+    timer = null;
+    console.log(`[Override] ⌛ Manual control by ${expired.holder} lapsed after ${config.timeoutMinutes} min without a command`);
+    onChange(null);
+    onExpire(expired);
+  }
+
+  // Whether another user holds the lock, so the given user may not command the site
+  const lockedFor = (username) => lock !== null && lock.holder !== username;
+
+  // Take manual control, or renew it for the holder
+  function take(username, reason = null) {
+    if (lockedFor(username)) {
+      throw new OverrideError(`Manual control is held by ${lock.holder}`);
+    }
+    const now = clock.now();
+    lock = {
+      holder: username,
+      since: lock?.since ?? isoNow(clock),
+      lastActivityAt: isoNow(clock),
+      expiresAt: new Date(now + config.timeoutMinutes * 60 * 1000).toISOString(),
+      reason: reason ?? lock?.reason ?? null
+    };
+    schedule();
+    console.log(`[Override] 🔒 Manual control taken by ${username}`);
+    onChange(lock);
+    return lock;
+  }
+
+  // A command by the holder restarts the inactivity timeout
+  function touch(username) {
+    if (lock?.holder !== username) return;
+    lock = {
+      ...lock,
+      lastActivityAt: isoNow(clock),
+      expiresAt: new Date(clock.now() + config.timeoutMinutes * 60 * 1000).toISOString()
+    };
+    schedule();
+    onChange(lock);
+  }
+
+  // End the lock; only its holder may, unless it is broken (force). Returns the ended lock.
+  function release(username, { force = false } = {}) {
+    if (!lock) throw new OverrideError('Nobody holds manual control');
+    if (!force && lock.holder !== username) {
+      throw new OverrideError(`Manual control is held by ${lock.holder}; only they or an admin can end it`, 403);
+    }
+    const released = lock;
+    lock = null;
+    clock.clearTimeout(timer);
+    timer = null;
+    console.log(`[Override] 🔓 Manual control by ${released.holder} ${force ? `broken by ${username}` : 'released'}`);
+    onChange(null);
+    return released;
+  }
+
+  // Carry a saved lock over a restart; one that lapsed meanwhile expires straight away
+  function restore(saved) {
+    if (!saved?.holder || !saved.expiresAt) return;
+    lock = saved;
+    schedule();
+  }
+
+  function stop() {
+    clock.clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    take,
+    touch,
+    release,
+    restore,
+    lockedFor,
+    status: () => lock,
+    stop
+  };
+}
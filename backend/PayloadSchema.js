@@ -0,0 +1,198 @@
+// Declared schemas for the data the server ingests: the vision feed's MQTT
+// topics, POST /api/vehicles and the field controllers' status messages.
+// A payload is checked field by field and coerced to the declared type
+// (numeric strings become numbers); unknown fields and out-of-range values
+// reject the whole message, so downstream logic only ever sees typed data.
+//
+// Only the fields present in a payload are returned, so a genuine 0 is kept
+// and a missing field leaves the current value alone.
+
+import { systemClock, isoNow } from './Clock.js';
+
+export const VEHICLE_TYPES = ['car', 'truck', 'bus', 'motorcycle', 'emergency'];
+// Directions of the default site; other sites declare their own
+export const DIRECTIONS = ['inbound', 'outbound'];
+export const LIGHT_STATES = ['red', 'yellow', 'green', 'flashing-red', 'flashing-yellow', 'off'];
+
+// Raised for a payload that doesn't match its schema; answered with a 400
+export class PayloadError extends Error {
+  constructor(schema, errors) {
+    super(`Invalid ${schema} payload: ${errors.join('; ')}`);
+    this.name = 'PayloadError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+// Field types
+const count = { type: 'integer', min: 0, max: 100000 };
+const speed = { type: 'number', min: 0, max: 500 };
+const direction = { type: 'direction', nullable: true };
+
+const VEHICLE_FIELDS = {
+  bspeed: speed,
+  cspeed: speed,
+  mspeed: speed,
+  tspeed: speed,
+  total_vehicles_counted: count,
+  vehicles_by_type: { type: 'counts', keys: VEHICLE_TYPES },
+  ...Object.fromEntries(VEHICLE_TYPES.map(type => [`${type}_count`, count])),
+  emergency_direction: direction,
+  vehicles_waiting: count,
+  vehicles_in_passage: count,
+  priority_vehicles: count,
+  green_light_duration: { type: 'number', min: 0, max: 3600 },
+  vehicles_per_minute: { type: 'number', min: 0, max: 10000 },
+  anomalies: { type: 'strings', maxItems: 50, maxLength: 100 },
+  // Accepted for compatibility with the feed, but the server stamps its own receipt time
+  timestamp: { type: 'timestamp', ignored: true }
+};
+
+// What the cameras at one end of the passage see; the site's totals are
+// summed from these
+const APPROACH_FIELDS = {
+  ...pick(VEHICLE_FIELDS, [
+    'bspeed', 'cspeed', 'mspeed', 'tspeed', 'total_vehicles_counted', 'vehicles_by_type',
+    ...VEHICLE_TYPES.map(type => `${type}_count`),
+    'vehicles_waiting', 'priority_vehicles', 'vehicles_per_minute', 'anomalies', 'timestamp'
+  ]),
+  // Camera that reported, for display
+  camera: { type: 'string', maxLength: 64 }
+};
+
+export const SCHEMAS = {
+  // traffic/vehicles and POST /api/vehicles
+  vehicles: VEHICLE_FIELDS,
+  // traffic/vehicles/<direction> and POST /api/vehicles/<direction>
+  approach: APPROACH_FIELDS,
+  // traffic/vehicles/traffic_light
+  trafficLight: pick(VEHICLE_FIELDS, ['green_light_duration', 'vehicles_waiting', 'vehicles_in_passage', 'priority_vehicles', 'timestamp']),
+  // traffic/vehicles/speeds and traffic/vehicles/<direction>/speeds
+  speeds: pick(VEHICLE_FIELDS, ['bspeed', 'cspeed', 'mspeed', 'tspeed', 'timestamp']),
+  // traffic/vehicles/<type> and traffic/vehicles/<direction>/<type>
+  count: { count: { ...count, required: true }, timestamp: VEHICLE_FIELDS.timestamp },
+  // traffic/vehicles/emergency
+  emergencyCount: { count: { ...count, required: true }, direction, timestamp: VEHICLE_FIELDS.timestamp },
+  // traffic/lights/<lightId>/status
+  lightStatus: {
+    state: { type: 'enum', values: LIGHT_STATES, required: true },
+    commandId: { type: 'string', maxLength: 64 }
+  }
+};
+
+function pick(fields, names) {
+  return Object.fromEntries(names.map(name => [name, fields[name]]));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// Coerce one value; returns { value } or { error }
+function coerce(spec, value, context) {
+  if (value === null) {
+    return spec.nullable ? { value: null } : { error: 'must not be null' };
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) return { error: `expected a number, got ${JSON.stringify(value)}` };
+      if (spec.type === 'integer' && !Number.isInteger(number)) return { error: `expected a whole number, got ${number}` };
+      if (number < spec.min || number > spec.max) return { error: `expected ${spec.min}-${spec.max}, got ${number}` };
+      return { value: number };
+    }
+    case 'enum':
+      return spec.values.includes(value) ? { value } : { error: `expected one of ${spec.values.join(', ')}` };
+    case 'direction':
+      return context.directions.includes(value) ? { value } : { error: `expected one of ${context.directions.join(', ')}` };
+    case 'string':
+      if (typeof value !== 'string') return { error: 'expected a string' };
+      return value.length > spec.maxLength ? { error: `longer than ${spec.maxLength} characters` } : { value };
+    case 'strings':
+      if (!Array.isArray(value)) return { error: 'expected an array of strings' };
+      if (value.length > spec.maxItems) return { error: `more than ${spec.maxItems} items` };
+      if (value.some(item => typeof item !== 'string' || item.length > spec.maxLength)) {
+        return { error: `expected strings of at most ${spec.maxLength} characters` };
+      }
+      return { value };
+    case 'counts': {
+      if (typeof value !== 'object' || Array.isArray(value)) return { error: 'expected an object of counts' };
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (!spec.keys.includes(key)) return { error: `unknown key '${key}'; expected ${spec.keys.join(', ')}` };
+        const coerced = coerce(count, item);
+        if (coerced.error) return { error: `${key}: ${coerced.error}` };
+        result[key] = coerced.value;
+      }
+      return { value: result };
+    }
+    case 'timestamp':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        ? { value }
+        : { error: 'expected an ISO date' };
+    default:
+      throw new Error(`Unknown field type '${spec.type}'`);
+  }
+}
+
+// Validate a payload against a named schema. Returns the coerced fields that
+// were present, or throws a PayloadError listing every problem.
+// - directions: the directions of the site the payload is for
+export function validatePayload(schemaName, payload, { directions = DIRECTIONS } = {}) {
+  const fields = SCHEMAS[schemaName];
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new PayloadError(schemaName, ['expected a JSON object']);
+  }
+
+  const errors = [];
+  const result = {};
+  Object.entries(payload).forEach(([name, value]) => {
+    const spec = fields[name];
+    if (!spec) {
+      errors.push(`${name}: unknown field`);
+      return;
+    }
+    const coerced = coerce(spec, value, { directions });
+    if (coerced.error) {
+      errors.push(`${name}: ${coerced.error}`);
+    } else if (!spec.ignored) {
+      result[name] = coerced.value;
+    }
+  });
+  Object.entries(fields).forEach(([name, spec]) => {
+    if (spec.required && payload[name] === undefined) errors.push(`${name}: required`);
+  });
+
+  if (errors.length > 0) throw new PayloadError(schemaName, errors);
+  return result;
+}
+
+// Counts accepted and rejected messages per source (MQTT topic or REST route)
+export function createIngestStats(clock = systemClock) {
+  const sources = new Map();
+
+  const entry = (source) => {
+    if (!sources.has(source)) {
+      sources.set(source, { source, accepted: 0, rejected: 0, lastError: null, lastRejectedAt: null });
+    }
+    return sources.get(source);
+  };
+
+  return {
+    accepted: (source) => {
+      entry(source).accepted += 1;
+    },
+    rejected: (source, error) => {
+      const stats = entry(source);
+      stats.rejected += 1;
+      stats.lastError = error.message;
+      stats.lastRejectedAt = isoNow(clock);
+      console.warn(`[Ingest] ⚠️ Rejected message from ${source}: ${error.message}`);
+    },
+    snapshot: () => [...sources.values()].map(stats => ({ ...stats }))
+  };
+}
@@ -0,0 +1,174 @@
+// Queue, delay and level-of-service estimates for each approach of a site.
+// They combine the vision feed's queue and arrival figures with the greens the
+// site actually served and the vehicle mix: trucks and buses need longer to
+// get through the passage than cars, so a queue with many of them discharges
+// slower.
+//
+//   { direction, source, arrivalsPerMinute, waiting, headwaySeconds, greenSeconds,
+//     cycleSeconds, timing, capacityPerHour, degreeOfSaturation, delaySeconds,
+//     queueDischargeSeconds, cyclesToClear, levelOfService }
+//
+// source is 'approach' when that end of the passage reports its own data and
+// 'site' otherwise; timing is 'observed' once the direction had greens in the
+// last PHASE_WINDOW_MS, and 'planned' (from the running plan) before that.
+// queueDischargeSeconds is the time from the start of the next green until the
+// waiting queue has cleared, or null when arrivals outpace the discharge.
+
+import { systemClock, isoNow } from './Clock.js';
+
+// Seconds between queued vehicles crossing the stop line once they are moving
+export const DISCHARGE_HEADWAYS = { car: 2, truck: 3.5, bus: 3.5, motorcycle: 1.5, emergency: 2 };
+// Lost at the start of each green while the first vehicle gets going
+const STARTUP_LOST_SECONDS = 3;
+// Greens considered for the observed timing
+const PHASE_WINDOW_MS = 30 * 60 * 1000;
+const MAX_GREENS = 50;
+// Analysis period of the overflow delay (hours)
+const ANALYSIS_PERIOD_HOURS = 0.25;
+
+// Upper delay bounds (seconds per vehicle) of levels of service A-E; F beyond,
+// or whenever demand exceeds capacity
+export const LEVELS_OF_SERVICE = [['A', 10], ['B', 20], ['C', 35], ['D', 55], ['E', 80]];
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export function levelOfService(delaySeconds, degreeOfSaturation = 0) {
+  if (degreeOfSaturation > 1) return 'F';
+  return LEVELS_OF_SERVICE.find(([, limit]) => delaySeconds <= limit)?.[0] ?? 'F';
+}
+
+// Average discharge headway of a vehicle mix ({ type: count }); cars when nothing was counted
+export function mixHeadwaySeconds(vehiclesByType = {}) {
+  const counted = Object.entries(vehiclesByType).filter(([type, count]) => DISCHARGE_HEADWAYS[type] && count > 0);
+  const total = counted.reduce((sum, [, count]) => sum + count, 0);
+  if (total === 0) return DISCHARGE_HEADWAYS.car;
+  return counted.reduce((sum, [type, count]) => sum + DISCHARGE_HEADWAYS[type] * count, 0) / total;
+}
+
+// Time from the start of the next green until the waiting queue has cleared,
+// and the greens that takes. Arrivals keep joining the queue, also while it
+// discharges; null when they outpace what a cycle discharges.
+function dischargeTime(waiting, arrivalsPerHour, headwaySeconds, greenSeconds, cycleSeconds) {
+  if (waiting === 0) return { queueDischargeSeconds: 0, cyclesToClear: 0 };
+
+  const inflow = (arrivalsPerHour / 3600) * headwaySeconds;
+  const withinGreen = inflow < 1 ? (waiting * headwaySeconds + STARTUP_LOST_SECONDS) / (1 - inflow) : Infinity;
+  if (withinGreen <= greenSeconds) return { queueDischargeSeconds: withinGreen, cyclesToClear: 1 };
+
+  // Vehicles each cycle takes off the queue, net of the arrivals
+  const perCycle = (greenSeconds - STARTUP_LOST_SECONDS) / headwaySeconds - (arrivalsPerHour / 3600) * cycleSeconds;
+  if (perCycle <= 0) return { queueDischargeSeconds: null, cyclesToClear: null };
+  const cycles = Math.max(Math.ceil(waiting / perCycle), 2);
+  return { queueDischargeSeconds: (cycles - 1) * cycleSeconds + greenSeconds, cyclesToClear: cycles };
+}
+
+// Estimate one approach from its demand ({ vehicles_waiting, vehicles_per_minute,
+// vehicles_by_type }) and its signal timing ({ greenSeconds, cycleSeconds }).
+// The average delay per vehicle is the uniform and overflow delay of a signalised
+// approach (HCM), plus half the extra cycles the vehicles already waiting need.
+export function estimateApproach(demand, { greenSeconds, cycleSeconds }) {
+  const waiting = Math.max(Number(demand.vehicles_waiting) || 0, 0);
+  const arrivalsPerMinute = Math.max(Number(demand.vehicles_per_minute) || 0, 0);
+  const headwaySeconds = mixHeadwaySeconds(demand.vehicles_by_type);
+
+  const arrivalsPerHour = arrivalsPerMinute * 60;
+  const greenRatio = Math.min(greenSeconds / cycleSeconds, 1);
+  const capacityPerHour = (3600 / headwaySeconds) * greenRatio;
+  const degreeOfSaturation = capacityPerHour > 0 ? arrivalsPerHour / capacityPerHour : Infinity;
+
+  const uniformDelay = greenRatio < 1
+    ? (0.5 * cycleSeconds * (1 - greenRatio) ** 2) / (1 - Math.min(degreeOfSaturation, 1) * greenRatio)
+    : 0;
+  const x = Math.min(degreeOfSaturation, 10);
+  const overflowDelay = arrivalsPerHour > 0 && capacityPerHour > 0
+    ? 900 * ANALYSIS_PERIOD_HOURS * ((x - 1) + Math.sqrt((x - 1) ** 2 + (4 * x) / (capacityPerHour * ANALYSIS_PERIOD_HOURS)))
+    : 0;
+
+  const { queueDischargeSeconds, cyclesToClear } = dischargeTime(waiting, arrivalsPerHour, headwaySeconds, greenSeconds, cycleSeconds);
+  const queueDelay = cyclesToClear > 1 ? ((cyclesToClear - 1) * cycleSeconds) / 2 : 0;
+
+  const delaySeconds = uniformDelay + overflowDelay + queueDelay;
+  return {
+    arrivalsPerMinute,
+    waiting,
+    headwaySeconds: round(headwaySeconds, 2),
+    greenSeconds: round(greenSeconds),
+    cycleSeconds: round(cycleSeconds),
+    capacityPerHour: Math.round(capacityPerHour),
+    degreeOfSaturation: Number.isFinite(degreeOfSaturation) ? round(degreeOfSaturation, 2) : null,
+    delaySeconds: round(delaySeconds),
+    queueDischargeSeconds: queueDischargeSeconds === null ? null : round(queueDischargeSeconds),
+    cyclesToClear,
+    levelOfService: levelOfService(delaySeconds, degreeOfSaturation)
+  };
+}
+
+// Estimator of one site; it keeps the greens served in the last PHASE_WINDOW_MS.
+// - directions: the site's directions, in serving order
+// - demandFor(direction): vehicle data of a direction, with source 'approach' or 'site'
+// - plannedGreenSeconds(direction): green the running plan would give a direction
+// - changeSeconds(): time lost between two greens (yellow and clearance)
+// - clock: time source (see Clock.js)
+export function createPerformanceEstimator({ directions, demandFor, plannedGreenSeconds, changeSeconds, clock = systemClock }) {
+  const greens = Object.fromEntries(directions.map(direction => [direction, []])); // { startedAt, seconds }
+
+  // Record a completed green of a direction (startedAt in ms)
+  function observeGreen(direction, startedAt, seconds) {
+    if (!greens[direction] || !(seconds > 0)) return;
+    greens[direction].push({ startedAt, seconds });
+    if (greens[direction].length > MAX_GREENS) greens[direction].shift();
+  }
+
+  // Green and cycle of a direction: averaged over its recent greens once it had
+  // two of them, otherwise what the running plan would give every direction
+  function timing(direction) {
+    const since = clock.now() - PHASE_WINDOW_MS;
+    const recent = greens[direction].filter(green => green.startedAt >= since);
+    if (recent.length >= 2) {
+      const cycles = recent.slice(1).map((green, i) => green.startedAt - recent[i].startedAt);
+      return {
+        timing: 'observed',
+        greenSeconds: recent.reduce((sum, green) => sum + green.seconds, 0) / recent.length,
+        cycleSeconds: cycles.reduce((sum, ms) => sum + ms, 0) / cycles.length / 1000
+      };
+    }
+    const lost = changeSeconds();
+    return {
+      timing: 'planned',
+      greenSeconds: plannedGreenSeconds(direction),
+      cycleSeconds: directions.reduce((sum, d) => sum + plannedGreenSeconds(d) + lost, 0)
+    };
+  }
+
+  // Estimates of every approach, and the site's delay weighted by arrivals
+  function estimate() {
+    const approaches = Object.fromEntries(directions.map(direction => {
+      const { source, ...demand } = demandFor(direction);
+      const { timing: basis, ...signalTiming } = timing(direction);
+      return [direction, { direction, source, timing: basis, ...estimateApproach(demand, signalTiming) }];
+    }));
+
+    const list = Object.values(approaches);
+    const weight = list.reduce((sum, approach) => sum + approach.arrivalsPerMinute, 0);
+    const delaySeconds = weight > 0
+      ? list.reduce((sum, approach) => sum + approach.delaySeconds * approach.arrivalsPerMinute, 0) / weight
+      : list.reduce((sum, approach) => sum + approach.delaySeconds, 0) / list.length;
+    const worst = list.reduce((a, b) => (b.levelOfService > a.levelOfService ? b : a));
+    const oversaturated = list.some(approach => approach.degreeOfSaturation > 1);
+
+    return {
+      updatedAt: isoNow(clock),
+      approaches,
+      site: {
+        delaySeconds: round(delaySeconds),
+        levelOfService: oversaturated ? 'F' : levelOfService(delaySeconds),
+        worstDirection: worst.direction,
+        queueDischargeSeconds: list.some(approach => approach.queueDischargeSeconds === null)
+          ? null
+          : Math.max(...list.map(approach => approach.queueDischargeSeconds))
+      }
+    };
+  }
+
+  return { observeGreen, estimate };
+}
@@ -0,0 +1,60 @@
+// Emergency-vehicle pre-emption.
+// While the vision feed reports an emergency vehicle on an approach, that approach
+// is given green (the state machine takes the opposing green through yellow and
+// the all-red clearance first) and held there until the emergency count drops.
+
+import { systemClock, isoNow } from './Clock.js';
+
+// - serveDirection(direction): give green to the given approach
+// - onStart(status) / onEnd(status): pre-emption started or ended; status is
+//   { direction, count, startedAt }
+export function createPreemption({ serveDirection, onStart = () => {}, onEnd = () => {}, clock = systemClock }) {
+  let active = null;
+  // Set when an operator cancels a pre-emption; cleared once the count drops to 0
+  let suppressed = false;
+
+  // Feed the latest emergency count and the approach it was detected on
+  function update({ count, direction }) {
+    if (!(count > 0)) {
+      suppressed = false;
+      if (active) {
+        const ended = active;
+        active = null;
+        console.log(`[Preemption] ✅ Emergency vehicle cleared from ${ended.direction}, returning to normal operation`);
+        onEnd(ended);
+      }
+      return;
+    }
+
+    if (suppressed) return;
+
+    if (!active) {
+      active = { direction, count, startedAt: isoNow(clock) };
+      console.log(`[Preemption] 🚨 Emergency vehicle on the ${direction} approach, pre-empting`);
+      onStart(active);
+      serveDirection(direction);
+    } else if (active.direction !== direction) {
+      // A newer detection on the other approach takes over
+      active = { ...active, direction, count };
+      console.log(`[Preemption] 🚨 Emergency vehicle now on the ${direction} approach`);
+      serveDirection(direction);
+    } else {
+      active = { ...active, count };
+    }
+  }
+
+  // Operator override (e.g. emergency stop): end the pre-emption without
+  // returning to normal operation, and ignore the current detection
+  function cancel() {
+    if (!active) return;
+    console.log(`[Preemption] ⏹️ Pre-emption on ${active.direction} cancelled by operator`);
+    active = null;
+    suppressed = true;
+  }
+
+  return {
+    update,
+    cancel,
+    status: () => active
+  };
+}
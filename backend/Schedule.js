@@ -0,0 +1,347 @@
+// Time-of-day signal plans of each site and the calendar rules that activate them.
+//
+//   { plans: [{ id, name, type, ... }], rules: [{ name, planId, cron, durationMinutes }],
+//     exceptions: [{ date, name, planId }], defaultPlanId }
+//
+// Plan types:
+//   adaptive        - greens sized from the vision feed, within minGreenSeconds and
+//                     maxGreenSeconds (the configured green limits when left out)
+//   fixed           - fixed-time cycle with a green of greenSeconds[direction] for each direction
+//   actuated        - greens extended while the detection reports arrivals, ending after
+//                     gapSeconds without one, within minGreenSeconds and maxGreenSeconds
+//   flashing-yellow - every light flashing yellow, e.g. overnight
+//   forced          - the given direction held green
+//
+// A rule starts its plan whenever its cron expression matches ('minute hour
+// day-of-month month day-of-week', server local time) and keeps it for
+// durationMinutes. Rules are checked in order and the first active one wins;
+// when none is active the default plan runs. An exception (e.g. a public
+// holiday) replaces the rules for a whole day with its plan, or the default plan.
+
+export const PLAN_TYPES = ['adaptive', 'fixed', 'actuated', 'flashing-yellow', 'forced'];
+
+export const DEFAULT_SCHEDULE = {
+  plans: [{ id: 'adaptive', name: 'Adaptive', type: 'adaptive' }],
+  rules: [],
+  exceptions: [],
+  defaultPlanId: 'adaptive'
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_PLANS = 20;
+const MAX_RULES = 50;
+const MAX_EXCEPTIONS = 100;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+const GREEN_LIMITS = { min: 5, max: 300 };
+const GAP_LIMITS = { min: 1, max: 30 };
+
+const MINUTE_MS = 60 * 1000;
+
+// Raised for an invalid schedule; carries the HTTP status
+export class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Values of one cron field: '*', 'a', 'a-b', with an optional '/step', comma-separated
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new ScheduleError(`Invalid ${name} '${part}' in cron expression`);
+    const from = match[1] === '*' ? min : Number(match[2]);
+    const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new ScheduleError(`Invalid ${name} '${part}' in cron expression: expected ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+// Parse 'minute hour day-of-month month day-of-week'. As in cron, a day matches
+// either day field when both are restricted; Sunday is 0 or 7.
+export function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new ScheduleError(`Invalid cron expression '${expression}': expected 'minute hour day-of-month month day-of-week'`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) || !cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+// Local calendar date of a time, as YYYY-MM-DD
+export function localDate(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function checkId(value, name) {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new ScheduleError(`Invalid ${name} '${value}': use 1-32 lower-case letters, digits and dashes`);
+  }
+  return value;
+}
+
+function checkName(value, name) {
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_NAME_LENGTH) {
+    throw new ScheduleError(`Invalid ${name}: expected 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+function checkInteger(value, name, { min, max }) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ScheduleError(`Invalid ${name} ${JSON.stringify(value)}: expected a whole number ${min}-${max}`);
+  }
+  return value;
+}
+
+function checkList(value, name, max) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.length > max) throw new ScheduleError(`${name} must be a list of at most ${max}`);
+  return value;
+}
+
+// Validate one plan against the site's directions; also used for the plans the
+// fixed-time and actuated modes run
+export function validatePlan(input, directions) {
+  if (!input || typeof input !== 'object') throw new ScheduleError('Expected a plan object');
+  const id = checkId(input.id, 'plan id');
+  const plan = { id, name: checkName(input.name, `name of plan ${id}`), type: input.type };
+
+  switch (input.type) {
+    case 'adaptive':
+    case 'actuated':
+      ['minGreenSeconds', 'maxGreenSeconds'].forEach(field => {
+        if (input[field] !== undefined && input[field] !== null) {
+          plan[field] = checkInteger(input[field], `${field} of plan ${id}`, GREEN_LIMITS);
+        }
+      });
+      if (plan.minGreenSeconds > plan.maxGreenSeconds) {
+        throw new ScheduleError(`Plan ${id}: minGreenSeconds must not exceed maxGreenSeconds`);
+      }
+      if (input.type === 'actuated' && input.gapSeconds !== undefined && input.gapSeconds !== null) {
+        plan.gapSeconds = checkInteger(input.gapSeconds, `gapSeconds of plan ${id}`, GAP_LIMITS);
+      }
+      break;
+    case 'fixed': {
+      // One green for every direction, or one per direction
+      const greens = typeof input.greenSeconds === 'number'
+        ? Object.fromEntries(directions.map(direction => [direction, input.greenSeconds]))
+        : input.greenSeconds;
+      if (!greens || typeof greens !== 'object') {
+        throw new ScheduleError(`Plan ${id}: greenSeconds must be a number or give each direction (${directions.join(', ')}) a number`);
+      }
+      plan.greenSeconds = Object.fromEntries(directions.map(direction => [
+        direction,
+        checkInteger(greens[direction], `green for ${direction} in plan ${id}`, GREEN_LIMITS)
+      ]));
+      break;
+    }
+    case 'forced':
+      if (!directions.includes(input.direction)) {
+        throw new ScheduleError(`Plan ${id}: unknown direction '${input.direction}'; expected ${directions.join(', ')}`);
+      }
+      plan.direction = input.direction;
+      break;
+    case 'flashing-yellow':
+      break;
+    default:
+      throw new ScheduleError(`Plan ${id}: unknown type '${input.type}'; expected ${PLAN_TYPES.join(', ')}`);
+  }
+  return plan;
+}
+
+// Validate a site's schedule against the site's directions and return it normalized
+export function validateSchedule(input, directions) {
+  if (!input || typeof input !== 'object') throw new ScheduleError('Expected a schedule object');
+
+  const plans = checkList(input.plans, 'plans', MAX_PLANS).map(plan => validatePlan(plan, directions));
+  if (plans.length === 0) throw new ScheduleError('A schedule needs at least one plan');
+  const planIds = new Set();
+  plans.forEach(plan => {
+    if (planIds.has(plan.id)) throw new ScheduleError(`Plan id '${plan.id}' is used twice`);
+    planIds.add(plan.id);
+  });
+  const checkPlanId = (planId, where) => {
+    if (!planIds.has(planId)) throw new ScheduleError(`${where}: unknown plan '${planId}'`);
+    return planId;
+  };
+
+  const rules = checkList(input.rules, 'rules', MAX_RULES).map((rule, index) => {
+    if (!rule || typeof rule !== 'object') throw new ScheduleError(`Rule ${index + 1}: expected an object`);
+    parseCron(rule.cron);
+    return {
+      name: checkName(rule.name ?? rule.cron, `name of rule ${index + 1}`),
+      planId: checkPlanId(rule.planId, `Rule ${index + 1}`),
+      cron: rule.cron.trim().split(/\s+/).join(' '),
+      durationMinutes: checkInteger(rule.durationMinutes, `duration of rule ${index + 1}`, { min: 1, max: MAX_DURATION_MINUTES })
+    };
+  });
+
+  const dates = new Set();
+  const exceptions = checkList(input.exceptions, 'exceptions', MAX_EXCEPTIONS).map((exception, index) => {
+    const date = exception?.date;
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || localDate(`${date}T12:00:00`) !== date) {
+      throw new ScheduleError(`Exception ${index + 1}: invalid date '${date}', expected YYYY-MM-DD`);
+    }
+    if (dates.has(date)) throw new ScheduleError(`Exception ${index + 1}: ${date} already has an exception`);
+    dates.add(date);
+    return {
+      date,
+      name: checkName(exception.name, `name of exception ${date}`),
+      planId: exception.planId === undefined || exception.planId === null ? null : checkPlanId(exception.planId, `Exception ${date}`)
+    };
+  }).sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    plans,
+    rules,
+    exceptions,
+    defaultPlanId: checkPlanId(input.defaultPlanId ?? plans[0].id, 'Default plan')
+  };
+}
+
+// Work out which plan runs at any time between from and to (ms). Every rule's
+// activations are found once, so looking up many times is cheap.
+function createResolver(schedule, from, to) {
+  const plans = Object.fromEntries(schedule.plans.map(plan => [plan.id, plan]));
+  const exceptions = Object.fromEntries(schedule.exceptions.map(exception => [exception.date, exception]));
+
+  const windows = schedule.rules.map(rule => {
+    const cron = parseCron(rule.cron);
+    const durationMs = rule.durationMinutes * MINUTE_MS;
+    const starts = [];
+    for (let t = Math.floor((from - durationMs) / MINUTE_MS) * MINUTE_MS + MINUTE_MS; t <= to; t += MINUTE_MS) {
+      if (cronMatches(cron, new Date(t))) starts.push(t);
+    }
+    return { rule, durationMs, starts };
+  });
+
+  // { plan, source } at time t; source says why the plan runs, and until when for a rule
+  function at(t) {
+    const exception = exceptions[localDate(t)];
+    if (exception) {
+      return {
+        plan: plans[exception.planId ?? schedule.defaultPlanId],
+        source: { type: 'exception', name: exception.name, date: exception.date }
+      };
+    }
+    for (const { rule, durationMs, starts } of windows) {
+      // The latest activation that started before t
+      let start = null;
+      for (let i = starts.length - 1; i >= 0; i -= 1) {
+        if (starts[i] <= t) {
+          start = starts[i];
+          break;
+        }
+      }
+      if (start !== null && t < start + durationMs) {
+        return {
+          plan: plans[rule.planId],
+          source: { type: 'rule', name: rule.name, cron: rule.cron, until: new Date(start + durationMs).toISOString() }
+        };
+      }
+    }
+    return { plan: plans[schedule.defaultPlanId], source: { type: 'default' } };
+  }
+
+  // Times at which the active plan may change
+  function boundaries() {
+    const times = new Set([from]);
+    windows.forEach(({ durationMs, starts }) => starts.forEach(start => {
+      times.add(start);
+      times.add(start + durationMs);
+    }));
+    for (let day = new Date(from); day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+      day.setHours(0, 0, 0, 0);
+      times.add(day.getTime());
+    }
+    return [...times].filter(t => t >= from && t < to).sort((a, b) => a - b);
+  }
+
+  return { at, boundaries };
+}
+
+// Plan running at the given time: { plan, source }
+export function activePlan(schedule, time = new Date()) {
+  const t = new Date(time).getTime();
+  return createResolver(schedule, t, t).at(t);
+}
+
+// The plans running between from and to, as consecutive blocks of
+// { start, end, planId, source } (ISO times), e.g. for a week calendar
+export function planTimeline(schedule, from, to) {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  const resolver = createResolver(schedule, fromMs, toMs);
+
+  const blocks = [];
+  resolver.boundaries().forEach(t => {
+    const { plan, source } = resolver.at(t);
+    const last = blocks[blocks.length - 1];
+    const key = JSON.stringify([plan.id, source.type, source.name]);
+    if (last && last.key === key) return;
+    if (last) last.end = t;
+    blocks.push({ key, start: t, end: toMs, planId: plan.id, source });
+  });
+  return blocks.map(({ start, end, planId, source }) => ({
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    planId,
+    source
+  }));
+}
+
+// Schedules of every site, persisted through load()/save(). A site without a
+// saved schedule runs the default one: adaptive all the time.
+export function createScheduleStore({ load, save }) {
+  let schedules = load()?.schedules ?? {};
+
+  const get = (siteId) => schedules[siteId] ?? DEFAULT_SCHEDULE;
+
+  // Replace a site's schedule. Returns { previous, schedule }.
+  function update(siteId, input, directions) {
+    const previous = get(siteId);
+    const schedule = validateSchedule(input, directions);
+    schedules = { ...schedules, [siteId]: schedule };
+    save({ schedules });
+    return { previous, schedule };
+  }
+
+  function remove(siteId) {
+    if (!schedules[siteId]) return;
+    schedules = { ...schedules };
+    delete schedules[siteId];
+    save({ schedules });
+  }
+
+  return { get, update, remove };
+}
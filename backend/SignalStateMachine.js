@@ -0,0 +1,270 @@
+// Signal state machine for one intersection (a passage and its lights).
+// Every light change of the intersection goes through here: each phase has a
+// fixed set of light states and a defined timing, and commands are applied in
+// a deterministic order instead of racing each other through ad-hoc timers.
+//
+// A phase serves a group of lights at once (e.g. every light of one direction);
+// a command for a single light serves just that light.
+//
+// Phases:
+//   green    - the served lights are green, every other light red; held until the next command
+//   yellow   - the served lights are yellow, every other light red; runs for yellowMs
+//              (or is held when entered through a manual yellow command)
+//   all-red  - every light red; holds the clearance interval before a direction
+//              reversal, and rests there when no light is to be served
+//   flashing - every light flashing red
+//   flashing-yellow - every light flashing yellow (proceed with caution, e.g. overnight)
+//   off      - every light dark
+//
+// Commands ({ type: 'green' | 'yellow' | 'all-red' | 'flashing' | 'flashing-yellow' | 'off', lightId | lightIds }):
+//   Only one command is pending at a time and a newer command pre-empts the
+//   pending one. Safety intervals are never cut short: a running yellow always
+//   completes into all-red, lights only get green or yellow once the clearance
+//   interval has elapsed since the passage went all-red (unless none of them
+//   conflicts with a light served last), and the flashing phases and off are
+//   only entered and left through an all-red interval of allRedMs. After
+//   start-up, a flashing phase or off, the lights served last are unknown, so
+//   the first green always waits for the clearance.
+
+import { SignalConflictError } from './ConflictMonitor.js';
+import { systemClock } from './Clock.js';
+
+export const PHASES = ['green', 'yellow', 'all-red', 'flashing', 'flashing-yellow', 'off'];
+
+// Phases every light shows the same way, entered and left through all-red
+const STEADY_PHASES = ['flashing', 'flashing-yellow', 'off'];
+
+export const defaultTimings = {
+  yellowMs: 1000,
+  // All-red held when entering or leaving a flashing phase or off
+  allRedMs: 2000
+};
+
+// Light state shown by every light during the intersection-wide phases
+const PHASE_LIGHT_STATE = { 'all-red': 'red', flashing: 'flashing-red', 'flashing-yellow': 'flashing-yellow', off: 'off' };
+
+// - lights: live map of the intersection's lights ({ lightId: light })
+// - applyStates(changes, source): apply { lightId: state } to the lights; throws
+//   a SignalConflictError when the conflict monitor rejects the change
+// - clearance: clearance timer from createClearanceTimer()
+// - conflicts(a, b): whether two lights conflict; every pair does by default
+// - onChange(snapshot): called after every phase change or new command
+export function createSignalStateMachine({ lights, applyStates, clearance, conflicts = () => true, timings = defaultTimings, onChange = () => {}, clock = systemClock }) {
+  let phase = 'all-red';
+  let servedLightIds = [];
+  let held = false;
+  let startedAt = clock.now();
+  let endsAt = null;
+  let settleUntil = 0;
+  // Unknown at start-up, so the first green also waits for the clearance interval
+  let lastServedLightIds = null;
+  let pending = null;
+  let timer = null;
+
+  const sameLights = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+  // A direction reversal: a light to be served conflicts with one served last
+  const needsClearance = (lightIds) => lastServedLightIds === null ||
+    lightIds.some(id => lastServedLightIds.some(last => last !== id && conflicts(id, last)));
+
+  function snapshot() {
+    const clearanceStatus = clearance.status();
+    const phaseEndsAt = phase === 'all-red' && clearanceStatus.active ? Date.parse(clearanceStatus.endsAt) : endsAt;
+    return {
+      phase,
+      servedLightId: servedLightIds[0] ?? null,
+      servedLightIds,
+      startedAt: new Date(startedAt).toISOString(),
+      endsAt: phaseEndsAt ? new Date(phaseEndsAt).toISOString() : null,
+      timeRemainingMs: phaseEndsAt ? Math.max(phaseEndsAt - clock.now(), 0) : null,
+      pending: pending ? { type: pending.type, lightId: pending.lightIds[0] ?? null, lightIds: pending.lightIds } : null,
+      clearance: clearanceStatus
+    };
+  }
+
+  const notify = () => onChange(snapshot());
+
+  function stopTimers() {
+    clock.clearTimeout(timer);
+    timer = null;
+    clearance.cancel();
+  }
+
+  // Switch the lights to the given phase. A change rejected by the conflict
+  // monitor drops the pending command and falls back to all-red.
+  function enter(nextPhase, lightIds = []) {
+    stopTimers();
+
+    const changes = {};
+    Object.keys(lights).forEach(id => {
+      changes[id] = PHASE_LIGHT_STATE[nextPhase] ?? (lightIds.includes(id) ? nextPhase : 'red');
+    });
+
+    try {
+      applyStates(changes, pending?.source || `${nextPhase} phase`);
+    } catch (error) {
+      if (!(error instanceof SignalConflictError)) throw error;
+      pending = null;
+      if (nextPhase !== 'all-red') enter('all-red');
+      return false;
+    }
+
+    phase = nextPhase;
+    servedLightIds = lightIds;
+    held = false;
+    startedAt = clock.now();
+    endsAt = null;
+    if (nextPhase === 'green' || nextPhase === 'yellow') {
+      lastServedLightIds = lightIds;
+    } else if (STEADY_PHASES.includes(nextPhase)) {
+      // Vehicles may enter from every end meanwhile, so the next green waits
+      // for the clearance as at start-up
+      lastServedLightIds = null;
+    }
+    return true;
+  }
+
+  // The pending command has been reached
+  function complete() {
+    const done = pending;
+    pending = null;
+    notify();
+    if (done?.type === 'green' && done.onGreen) {
+      done.onGreen();
+    }
+  }
+
+  function startYellow(lightIds, isHeld) {
+    if (!enter('yellow', lightIds)) return notify();
+    held = isHeld;
+    if (isHeld) return complete();
+
+    endsAt = startedAt + timings.yellowMs;
+    timer = clock.setTimeout(() => startAllRed(), timings.yellowMs);
+    notify();
+  }
+
+  function startAllRed({ settle = false } = {}) {
+    if (!enter('all-red')) return notify();
+    if (settle) {
+      settleUntil = startedAt + timings.allRedMs;
+    }
+    if (pending) {
+      step();
+    } else {
+      notify();
+    }
+  }
+
+  // Serve lights (green or held yellow) from all-red
+  function serve(target) {
+    if (target.type === 'green') {
+      if (enter('green', target.lightIds)) complete();
+      else notify();
+    } else {
+      startYellow(target.lightIds, true);
+    }
+  }
+
+  function fromAllRed(target) {
+    stopTimers();
+    endsAt = null;
+
+    if (target.type === 'all-red') return complete();
+    if (STEADY_PHASES.includes(target.type)) {
+      // Entered once the passage has been all-red for allRedMs
+      const holdMs = startedAt + timings.allRedMs - clock.now();
+      if (holdMs > 0) {
+        endsAt = startedAt + timings.allRedMs;
+        timer = clock.setTimeout(step, holdMs);
+        return notify();
+      }
+      enter(target.type);
+      return complete();
+    }
+
+    const settleMs = settleUntil - clock.now();
+    if (settleMs > 0) {
+      endsAt = settleUntil;
+      timer = clock.setTimeout(step, settleMs);
+      return notify();
+    }
+
+    if (needsClearance(target.lightIds)) {
+      // Direction reversal: hold all-red for whatever is left of the clearance
+      clearance.run(() => serve(target), clock.now() - startedAt);
+      return notify();
+    }
+
+    serve(target);
+  }
+
+  // Move one step from the current phase towards the pending command
+  function step() {
+    const target = pending;
+    if (!target) return;
+
+    switch (phase) {
+      case 'green': {
+        const sameTarget = sameLights(target.lightIds, servedLightIds);
+        if (target.type === 'green' && sameTarget) return complete();
+        // A manual yellow on the served lights holds them yellow instead of ending the phase
+        return startYellow(servedLightIds, target.type === 'yellow' && sameTarget);
+      }
+      case 'yellow':
+        // A running yellow always completes into all-red first
+        if (!held) return notify();
+        if (target.type === 'yellow' && sameLights(target.lightIds, servedLightIds)) return complete();
+        return startAllRed();
+      case 'all-red':
+        return fromAllRed(target);
+      case 'flashing':
+      case 'flashing-yellow':
+      case 'off':
+        // Left like start-up: the passage may be occupied from every end
+        if (target.type === phase) return complete();
+        return startAllRed({ settle: true });
+      default:
+        return undefined;
+    }
+  }
+
+  // Queue a command, replacing any command still pending.
+  // command: { type, lightId? | lightIds?, source?, onGreen? } - onGreen() is called
+  // once a green command is reached; it is never called if the command is pre-empted.
+  function request(command) {
+    if (!PHASES.includes(command.type)) {
+      throw new Error(`Unknown signal command: ${command.type}`);
+    }
+    const lightIds = command.lightIds ?? (command.lightId ? [command.lightId] : []);
+    if (command.type === 'green' || command.type === 'yellow') {
+      if (lightIds.length === 0) throw new Error(`No light given for ${command.type}`);
+      const unknown = lightIds.find(id => !lights[id]);
+      if (unknown) throw new Error(`Unknown light: ${unknown}`);
+    }
+
+    pending = { ...command, lightIds };
+    step();
+    return snapshot();
+  }
+
+  // Record when the current green is planned to end, for display only
+  function planGreenEnd(ms) {
+    if (phase !== 'green') return;
+    endsAt = clock.now() + ms;
+    notify();
+  }
+
+  // Cancel every timer, e.g. on shutdown
+  function stop() {
+    stopTimers();
+    pending = null;
+  }
+
+  return {
+    request,
+    planGreenEnd,
+    snapshot,
+    stop
+  };
+}
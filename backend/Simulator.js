@@ -0,0 +1,273 @@
+// Built-in traffic simulator, for developing and demonstrating the controller
+// without cameras. Vehicles arrive at each end of a site's passage at random
+// (Poisson arrivals per direction), queue while their lights are red, drain
+// one by one on green and drive through the passage. What a camera would see
+// is published as vision feed messages on the site's feed topics, which go
+// through the same validation and ingestion as messages from the MQTT broker.
+//
+// Published every publishIntervalMs, as by a camera at each end of the passage:
+//   <topicBase>/<direction>           - counts by type, queue, arrivals/min and speeds of the approach
+//   <topicBase>/<direction>/emergency - { count } whenever an emergency vehicle arrives or leaves
+//   <topicBase>                       - vehicles in the passage
+
+import { clearanceConfig } from './Clearance.js';
+import { systemClock, isoNow } from './Clock.js';
+
+// Share of the arrivals, free-flow speed and discharge headway of each vehicle type
+export const VEHICLE_PROFILES = {
+  car: { share: 0.75, speedKmh: 35, headwaySeconds: 2 },
+  truck: { share: 0.1, speedKmh: 25, headwaySeconds: 3.5 },
+  bus: { share: 0.05, speedKmh: 25, headwaySeconds: 3.5 },
+  motorcycle: { share: 0.1, speedKmh: 40, headwaySeconds: 1.5 },
+  emergency: { share: 0, speedKmh: 45, headwaySeconds: 1.5 }
+};
+
+export const simulatorDefaults = {
+  arrivalsPerMinute: 6, // per direction
+  emergencyPerHour: 1,
+  publishIntervalMs: 2000
+};
+
+const TICK_MS = 1000;
+// Time the first vehicle of a queue needs to get going when its light turns green
+const STARTUP_LOST_SECONDS = 2;
+// Headways are longer on flashing yellow, where drivers give way first
+const CAUTION_FACTOR = 1.5;
+const MAX_ARRIVALS_PER_MINUTE = 120;
+const MAX_EMERGENCY_PER_HOUR = 60;
+
+// Raised for invalid simulator settings or an impossible start/stop; carries the HTTP status
+export class SimulatorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.status = status;
+  }
+}
+
+function checkRate(value, name, max) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > max) {
+    throw new SimulatorError(`Invalid ${name} ${JSON.stringify(value)}: expected 0-${max}`);
+  }
+  return number;
+}
+
+// Validate simulator settings for a site with the given directions.
+// arrivalsPerMinute is one rate for every direction or { direction: rate }.
+export function validateSimulatorSettings(input = {}, directions) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new SimulatorError('Expected a settings object');
+  const unknown = Object.keys(input).filter(key => !['arrivalsPerMinute', 'emergencyPerHour'].includes(key));
+  if (unknown.length > 0) throw new SimulatorError(`Unknown setting(s): ${unknown.join(', ')}`);
+
+  const arrivals = input.arrivalsPerMinute ?? simulatorDefaults.arrivalsPerMinute;
+  const perDirection = typeof arrivals === 'object' && arrivals !== null ? arrivals : null;
+  if (perDirection) {
+    const extra = Object.keys(perDirection).filter(direction => !directions.includes(direction));
+    if (extra.length > 0) throw new SimulatorError(`Unknown direction(s): ${extra.join(', ')}; expected ${directions.join(', ')}`);
+  }
+
+  return {
+    arrivalsPerMinute: Object.fromEntries(directions.map(direction => [
+      direction,
+      checkRate(perDirection ? perDirection[direction] ?? simulatorDefaults.arrivalsPerMinute : arrivals, `arrivals for ${direction}`, MAX_ARRIVALS_PER_MINUTE)
+    ])),
+    emergencyPerHour: checkRate(input.emergencyPerHour ?? simulatorDefaults.emergencyPerHour, 'emergencyPerHour', MAX_EMERGENCY_PER_HOUR)
+  };
+}
+
+// Number of events in an interval with the given expected count
+function poisson(expected, random) {
+  const limit = Math.exp(-expected);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count += 1;
+    product *= random();
+  }
+  return count;
+}
+
+// - runtime: the site's runtime (see SiteRuntime.js); its lights are read on every tick
+// - publish(topic, message): deliver a feed message (a JSON string)
+// - settings: validated settings from validateSimulatorSettings()
+// - random: random number source, e.g. a seeded one for repeatable runs
+// - clock: time source and timers (see Clock.js)
+export function createSimulator({ runtime, publish, settings, random = Math.random, publishIntervalMs = simulatorDefaults.publishIntervalMs, clock = systemClock }) {
+  const approaches = Object.fromEntries(runtime.directions.map(direction => [direction, {
+    queue: [], // { type, arrivedAt }
+    greenSince: null,
+    nextDepartureAt: 0,
+    counted: Object.fromEntries(Object.keys(VEHICLE_PROFILES).map(type => [type, 0])),
+    // Arrival times over the last minute, and speeds of the vehicles that left the passage
+    recentArrivals: [],
+    recentSpeeds: [],
+    // Emergency vehicles last reported
+    lastEmergency: 0
+  }]));
+  // Vehicles driving through the passage: { type, direction, speedKmh, exitAt }
+  let passage = [];
+  let startedAt = null;
+  let tickTimer = null;
+  let publishTimer = null;
+
+  const pickType = () => {
+    let r = random();
+    for (const [type, { share }] of Object.entries(VEHICLE_PROFILES)) {
+      if (r < share) return type;
+      r -= share;
+    }
+    return 'car';
+  };
+
+  // How the lights of a direction let vehicles go: 'go', 'caution' or 'stop'
+  function signalFor(direction) {
+    const states = Object.values(runtime.lights).filter(light => light.direction === direction).map(light => light.state);
+    if (states.includes('green')) return 'go';
+    if (states.includes('flashing-yellow')) return 'caution';
+    return 'stop';
+  }
+
+  function arrive(direction, type, now) {
+    const approach = approaches[direction];
+    const vehicle = { type, arrivedAt: now };
+    // Other vehicles make way for an emergency vehicle
+    if (type === 'emergency') approach.queue.unshift(vehicle);
+    else approach.queue.push(vehicle);
+    approach.counted[type] += 1;
+    approach.recentArrivals.push(now);
+  }
+
+  function depart(direction, vehicle, now) {
+    const speedKmh = VEHICLE_PROFILES[vehicle.type].speedKmh * (0.85 + random() * 0.3);
+    const travelMs = (clearanceConfig.passageLengthMeters / (speedKmh / 3.6)) * 1000;
+    passage.push({ type: vehicle.type, direction, speedKmh, exitAt: now + travelMs });
+  }
+
+  function tick(now = clock.now()) {
+    const seconds = TICK_MS / 1000;
+
+    Object.entries(approaches).forEach(([direction, approach]) => {
+      const arrivals = poisson((settings.arrivalsPerMinute[direction] / 60) * seconds, random);
+      for (let i = 0; i < arrivals; i += 1) arrive(direction, pickType(), now);
+
+      // A single lane: vehicles only go while nobody comes the other way
+      const signal = signalFor(direction);
+      const oncoming = passage.some(vehicle => vehicle.direction !== direction);
+      if (signal === 'stop' || (signal === 'caution' && oncoming)) {
+        approach.greenSince = null;
+        return;
+      }
+      if (approach.greenSince === null) {
+        approach.greenSince = now;
+        approach.nextDepartureAt = Math.max(approach.nextDepartureAt, now + STARTUP_LOST_SECONDS * 1000);
+      }
+      while (approach.queue.length > 0 && approach.nextDepartureAt <= now) {
+        const vehicle = approach.queue.shift();
+        depart(direction, vehicle, now);
+        const headway = VEHICLE_PROFILES[vehicle.type].headwaySeconds * (signal === 'caution' ? CAUTION_FACTOR : 1);
+        approach.nextDepartureAt += headway * 1000;
+      }
+      // Vehicles arriving at an empty queue go straight through
+      if (approach.queue.length === 0) approach.nextDepartureAt = Math.max(approach.nextDepartureAt, now);
+    });
+
+    const emergencyExpected = (settings.emergencyPerHour / 3600) * seconds;
+    if (emergencyExpected > 0 && random() < emergencyExpected) {
+      const directions = Object.keys(approaches);
+      arrive(directions[Math.floor(random() * directions.length)], 'emergency', now);
+    }
+
+    passage = passage.filter(vehicle => {
+      if (vehicle.exitAt > now) return true;
+      approaches[vehicle.direction].recentSpeeds.push({ type: vehicle.type, speedKmh: vehicle.speedKmh, at: now });
+      return false;
+    });
+    Object.values(approaches).forEach(approach => {
+      approach.recentArrivals = approach.recentArrivals.filter(t => t > now - 60 * 1000);
+      approach.recentSpeeds = approach.recentSpeeds.filter(sample => sample.at > now - 60 * 1000);
+    });
+  }
+
+  // Emergency vehicles of an approach still queued or in the passage
+  function emergencyCount(direction) {
+    return approaches[direction].queue.filter(vehicle => vehicle.type === 'emergency').length
+      + passage.filter(vehicle => vehicle.type === 'emergency' && vehicle.direction === direction).length;
+  }
+
+  function averageSpeed(approach, type) {
+    const samples = approach.recentSpeeds.filter(sample => sample.type === type);
+    if (samples.length === 0) return 0;
+    return Math.round((samples.reduce((sum, sample) => sum + sample.speedKmh, 0) / samples.length) * 10) / 10;
+  }
+
+  function publishFeed() {
+    const { topicBase } = runtime.site;
+    const types = ['car', 'truck', 'bus', 'motorcycle'];
+    Object.entries(approaches).forEach(([direction, approach]) => {
+      const { counted, queue } = approach;
+      publish(`${topicBase}/${direction}`, JSON.stringify({
+        total_vehicles_counted: types.reduce((sum, type) => sum + counted[type], 0),
+        vehicles_by_type: Object.fromEntries(types.map(type => [type, counted[type]])),
+        ...Object.fromEntries(types.map(type => [`${type}_count`, counted[type]])),
+        vehicles_waiting: queue.length,
+        priority_vehicles: queue.filter(vehicle => vehicle.type === 'bus' || vehicle.type === 'emergency').length,
+        vehicles_per_minute: approach.recentArrivals.length,
+        bspeed: averageSpeed(approach, 'bus'),
+        cspeed: averageSpeed(approach, 'car'),
+        mspeed: averageSpeed(approach, 'motorcycle'),
+        tspeed: averageSpeed(approach, 'truck'),
+        camera: `simulator-${direction}`,
+        timestamp: isoNow(clock)
+      }));
+
+      const emergency = emergencyCount(direction);
+      if (emergency !== approach.lastEmergency) {
+        approach.lastEmergency = emergency;
+        publish(`${topicBase}/${direction}/emergency`, JSON.stringify({ count: emergency }));
+      }
+    });
+    publish(topicBase, JSON.stringify({ vehicles_in_passage: passage.length, timestamp: isoNow(clock) }));
+  }
+
+  function start() {
+    if (startedAt) throw new SimulatorError(`Simulator already running at ${runtime.id}`, 409);
+    startedAt = isoNow(clock);
+    tickTimer = clock.setInterval(() => tick(), TICK_MS);
+    publishTimer = clock.setInterval(publishFeed, publishIntervalMs);
+    console.log(`[Simulator] 🧪 Simulating traffic at ${runtime.id} (${Object.entries(settings.arrivalsPerMinute).map(([d, rate]) => `${d} ${rate}/min`).join(', ')})`);
+  }
+
+  // Stop simulating; an emergency vehicle still reported is cleared so the
+  // site doesn't stay pre-empted
+  function stop() {
+    if (!startedAt) return;
+    clock.clearInterval(tickTimer);
+    clock.clearInterval(publishTimer);
+    startedAt = null;
+    Object.entries(approaches).forEach(([direction, approach]) => {
+      if (approach.lastEmergency > 0) {
+        approach.lastEmergency = 0;
+        publish(`${runtime.site.topicBase}/${direction}/emergency`, JSON.stringify({ count: 0 }));
+      }
+    });
+    console.log(`[Simulator] ⏹️ Stopped simulating traffic at ${runtime.id}`);
+  }
+
+  function status() {
+    return {
+      running: !!startedAt,
+      startedAt,
+      settings,
+      approaches: Object.fromEntries(Object.entries(approaches).map(([direction, approach]) => [direction, {
+        waiting: approach.queue.length,
+        signal: signalFor(direction),
+        counted: { ...approach.counted },
+        arrivalsLastMinute: approach.recentArrivals.length
+      }])),
+      inPassage: passage.length
+    };
+  }
+
+  return { start, stop, status, tick, publishFeed };
+}
@@ -0,0 +1,972 @@
+// Runtime of one site: its lights, signal state machine, adaptive controller,
+// pre-emption, field controllers, heartbeat watchdog, alerts, performance
+// estimates and live stream.
+// Every site runs independently; the server routes API requests and MQTT
+// messages to the right one.
+
+import { createAdaptiveController, computeGreenSeconds, greenConfig } from './AdaptiveController.js';
+import { createConflictMonitor, SignalConflictError } from './ConflictMonitor.js';
+import { createClearanceTimer, computeClearanceSeconds } from './Clearance.js';
+import { createSignalStateMachine, defaultTimings } from './SignalStateMachine.js';
+import { createLiveStream } from './LiveStream.js';
+import { createPreemption } from './Preemption.js';
+import { createFieldControllers } from './FieldControllers.js';
+import { createWatchdog, watchdogConfig } from './Watchdog.js';
+import { siteDirections } from './Sites.js';
+import { activePlan } from './Schedule.js';
+import { createAlertTracker } from './Alerts.js';
+import { createPerformanceEstimator } from './Performance.js';
+import { createOverrideLock, overrideConfig } from './Override.js';
+import { SYSTEM_ACTOR } from './Audit.js';
+import { systemClock, isoNow } from './Clock.js';
+
+// How often the schedule is checked for a new plan; rules start on the minute
+const SCHEDULE_CHECK_MS = 30 * 1000;
+
+// Modes in which every light shows the same signal, e.g. overnight or for
+// maintenance, and the signal phase each of them runs
+export const STEADY_MODES = { 'flashing-yellow': 'flashing-yellow', 'flashing-red': 'flashing', dark: 'off' };
+
+// Modes an operator can select. In automatic mode the site runs the plan its
+// schedule calls for; fixed-time and actuated run the plan given with the mode,
+// and the steady modes hold their signal, until another mode is selected.
+export const FLOW_MODES = ['automatic', 'fixed-time', 'actuated', 'manual', ...Object.keys(STEADY_MODES)];
+// Modes in which the controller cycles through the directions on its own
+const CYCLING_MODES = ['automatic', 'fixed-time', 'actuated'];
+
+// Vehicle data of one approach before its cameras report anything
+const initialApproachData = () => ({
+  bspeed: 0,
+  cspeed: 0,
+  mspeed: 0,
+  tspeed: 0,
+  total_vehicles_counted: 0,
+  vehicles_by_type: { car: 0, truck: 0, bus: 0, motorcycle: 0, emergency: 0 },
+  car_count: 0,
+  truck_count: 0,
+  bus_count: 0,
+  motorcycle_count: 0,
+  emergency_count: 0,
+  vehicles_waiting: 0,
+  priority_vehicles: 0,
+  vehicles_per_minute: 0,
+  anomalies: [],
+  camera: null,
+  timestamp: null // null until the approach reports
+});
+
+const SUMMED_FIELDS = [
+  'total_vehicles_counted', 'car_count', 'truck_count', 'bus_count', 'motorcycle_count', 'emergency_count',
+  'vehicles_waiting', 'priority_vehicles', 'vehicles_per_minute'
+];
+const SPEED_FIELDS = ['bspeed', 'cspeed', 'mspeed', 'tspeed'];
+
+// Site totals from the approaches that report: counts and queues are summed,
+// speeds averaged (a speed of 0 means "not measured"), and an emergency
+// vehicle is placed on the first approach that sees one
+function approachTotals(approaches) {
+  const reporting = Object.entries(approaches).filter(([, approach]) => approach.timestamp);
+  const sum = (read) => reporting.reduce((total, [, approach]) => total + (Number(read(approach)) || 0), 0);
+  const speed = (field) => {
+    const measured = reporting.map(([, approach]) => approach[field]).filter(value => value > 0);
+    return measured.length > 0 ? Math.round((measured.reduce((a, b) => a + b, 0) / measured.length) * 10) / 10 : 0;
+  };
+  const types = Object.keys(initialApproachData().vehicles_by_type);
+  return {
+    ...Object.fromEntries(SUMMED_FIELDS.map(field => [field, sum(approach => approach[field])])),
+    ...Object.fromEntries(SPEED_FIELDS.map(field => [field, speed(field)])),
+    vehicles_by_type: Object.fromEntries(types.map(type => [type, sum(approach => approach.vehicles_by_type[type])])),
+    emergency_direction: reporting.find(([, approach]) => approach.emergency_count > 0)?.[0] ?? null
+  };
+}
+
+// Whether an approach message reports vehicles arriving, compared with the
+// approach before it: a queue or a count that went up. A standing queue or a
+// steady feed is no arrival.
+function reportsArrivals(data, before) {
+  if (Number(data.vehicles_waiting) > Number(before.vehicles_waiting ?? 0)) return true;
+  if (Number(data.total_vehicles_counted) > Number(before.total_vehicles_counted ?? 0)) return true;
+  return Object.entries(data.vehicles_by_type ?? {}).some(([type, count]) => count > (before.vehicles_by_type?.[type] ?? 0));
+}
+
+// Vehicle data of a site before the feed reports anything
+const initialVehicleData = (directions, timestamp) => ({
+  bspeed: 0,
+  cspeed: 0,
+  mspeed: 0,
+  tspeed: 0,
+  total_vehicles_counted: 0,
+  vehicles_by_type: { car: 0, truck: 0, bus: 0, motorcycle: 0, emergency: 0 },
+  car_count: 0,
+  truck_count: 0,
+  bus_count: 0,
+  motorcycle_count: 0,
+  emergency_count: 0,
+  emergency_direction: null, // approach the emergency vehicle was detected on
+  vehicles_waiting: 0,
+  vehicles_in_passage: 0,
+  priority_vehicles: 0,
+  green_light_duration: greenConfig.defaultSeconds,
+  vehicles_per_minute: 0,
+  anomalies: [],
+  // Per direction, when the feed reports each end of the passage separately
+  approaches: Object.fromEntries(directions.map(direction => [direction, initialApproachData()])),
+  timestamp
+});
+
+// Metrics kept in the time-series history for each vehicle data sample
+function vehicleSample(data) {
+  return {
+    vehicles_by_type: data.vehicles_by_type,
+    bspeed: data.bspeed,
+    cspeed: data.cspeed,
+    mspeed: data.mspeed,
+    tspeed: data.tspeed,
+    vehicles_waiting: data.vehicles_waiting,
+    vehicles_in_passage: data.vehicles_in_passage,
+    vehicles_per_minute: data.vehicles_per_minute,
+    green_light_duration: data.green_light_duration,
+    emergency_count: data.emergency_count,
+    total_vehicles_counted: data.total_vehicles_counted
+  };
+}
+
+// - site: site definition (see Sites.js)
+// - restored: the site's part of the last saved state, or null
+// - audit: audit log from createAuditLog()
+// - appendHistory(type, data, t): write a history record
+// - persist(): save the state of every site
+// - publishMqtt(topic, payload, options): publish over MQTT
+// - system: start-up information included in the stream snapshot
+// - getSchedule(): the site's time-of-day plans (see Schedule.js)
+// - clock: time source and timers of every part of the site (see Clock.js)
+export function createSiteRuntime({ site: definition, restored = null, audit, appendHistory, persist, publishMqtt, system, getSchedule, clock = systemClock }) {
+  // Replaced on a rename; anything else restarts the runtime
+  let site = definition;
+  const directions = siteDirections(site);
+  const startedAt = isoNow(clock);
+
+  // Traffic light states; lights always boot red
+  const trafficLights = Object.fromEntries(site.lights.map(light => [light.id, {
+    id: light.id,
+    name: light.name,
+    state: 'red', // 'red', 'yellow', 'green', 'flashing-red', 'flashing-yellow', 'off'
+    direction: light.direction,
+    lastUpdated: startedAt
+  }]));
+
+  // Traffic flow state
+  const trafficFlow = {
+    mode: 'automatic', // 'automatic', 'fixed-time', 'actuated', 'manual', 'flashing-yellow', 'flashing-red', 'dark', 'failsafe'
+    currentDirection: directions[0],
+    lastChanged: startedAt,
+    greenDuration: null, // seconds, set by the adaptive controller
+    nextChangeAt: null,
+    preemption: null, // { direction, count, startedAt } while an emergency vehicle has priority
+    failsafe: null, // { since, reason, sources } after a missed heartbeat, until an operator resets it
+    plan: null, // { id, name, type, source, since }: plan the schedule calls for, run in automatic mode
+    modePlan: null, // plan run in fixed-time or actuated mode (see Schedule.js)
+    // Why the current green was given, is extended or ended: { direction, state, message, at, nextChangeAt },
+    // state being 'timed' for adaptive and fixed-time greens, or 'min-green', 'extending', 'gap-out' or 'max-out'
+    phaseDecision: null,
+    override: null // { holder, since, lastActivityAt, expiresAt, reason } while an operator holds manual control
+  };
+
+  // Vehicle tracking data from the site's vision feed
+  const vehicleData = initialVehicleData(directions, startedAt);
+
+  if (restored) {
+    // Only the operating mode, direction and the last known vehicle data are
+    // restored. A stale emergency is not carried over, but a fail-safe is: it
+    // still needs an operator to reset it.
+    const flow = restored.trafficFlow ?? {};
+    Object.assign(trafficFlow, {
+      mode: flow.mode ?? trafficFlow.mode,
+      currentDirection: directions.includes(flow.currentDirection) ? flow.currentDirection : trafficFlow.currentDirection,
+      lastChanged: flow.lastChanged ?? trafficFlow.lastChanged,
+      failsafe: flow.failsafe ?? null,
+      modePlan: flow.modePlan ?? null,
+      override: flow.override ?? null
+    });
+    Object.assign(vehicleData, restored.vehicleData, {
+      emergency_count: 0,
+      emergency_direction: null,
+      approaches: Object.fromEntries(directions.map(direction => [direction, {
+        ...initialApproachData(),
+        ...restored.vehicleData?.approaches?.[direction],
+        emergency_count: 0
+      }]))
+    });
+  }
+
+  // Audit entries are tagged with the site
+  const record = (who, entry) => audit.record(who, { ...entry, site: site.id });
+  const recordHistory = (type, data) => appendHistory(type, { siteId: site.id, ...data }, isoNow(clock));
+
+  // Record signal phase changes in the history (clearance updates are skipped).
+  // Each completed green is also recorded with its duration.
+  let lastRecordedPhase = null;
+  let currentGreen = null;
+  function recordSignalHistory() {
+    const { phase, servedLightId, servedLightIds, startedAt: phaseStartedAt } = signal.snapshot();
+    const key = `${phase}:${servedLightIds.join(',')}`;
+    if (key === lastRecordedPhase) return;
+    lastRecordedPhase = key;
+
+    if (currentGreen) {
+      const seconds = Math.round((Date.parse(phaseStartedAt) - Date.parse(currentGreen.startedAt)) / 100) / 10;
+      recordHistory('green', { ...currentGreen, seconds });
+      performance.observeGreen(currentGreen.direction, Date.parse(currentGreen.startedAt), seconds);
+      publishPerformance();
+      currentGreen = null;
+    }
+
+    const direction = trafficLights[servedLightId]?.direction ?? null;
+    if (phase === 'green') {
+      currentGreen = { servedLightId, direction, startedAt: phaseStartedAt };
+    }
+    recordHistory('signal', { phase, servedLightId, direction });
+  }
+
+  // Live stream of the site's state changes for the portal (Server-Sent Events)
+  const liveStream = createLiveStream({ getSnapshot: () => snapshot() });
+
+  // Change notifications: pushed to the live stream, recorded and persisted
+  const publishLights = () => {
+    liveStream.publish('lights', () => ({ lights: trafficLights, signal: signal.snapshot() }));
+    recordSignalHistory();
+    persist();
+  };
+  const publishTrafficFlow = () => {
+    liveStream.publish('traffic-flow', () => trafficFlow);
+    persist();
+  };
+  const publishVehicles = () => {
+    liveStream.publish('vehicles', () => vehicleData);
+    publishPerformance();
+    recordHistory('vehicles', vehicleSample(vehicleData));
+    persist();
+  };
+  const publishPerformance = () => liveStream.publish('performance', () => performance.estimate());
+
+  // Field controllers - commanded light states are published over MQTT and
+  // confirmed by the controllers; each light carries a `field` status
+  const fieldControllers = createFieldControllers({
+    lights: trafficLights,
+    publish: publishMqtt,
+    clock,
+    onChange: publishLights,
+    onFault: (lightId, fault) => {
+      record(SYSTEM_ACTOR, {
+        category: 'fault',
+        action: `${lightId} ${fault.type}`,
+        previous: { commanded: trafficLights[lightId].field.commanded?.state ?? null },
+        next: { confirmed: trafficLights[lightId].field.confirmed?.state ?? null },
+        reason: fault.message,
+        outcome: 'raised'
+      });
+    },
+    onRecover: (lightId, fault) => {
+      record(SYSTEM_ACTOR, {
+        category: 'fault',
+        action: `${lightId} ${fault.type}`,
+        next: { confirmed: trafficLights[lightId].field.confirmed.state },
+        reason: `Field controller confirmed the commanded state`,
+        outcome: 'cleared'
+      });
+    }
+  });
+
+  // Conflict monitor - every change to the lights goes through setLightStates()
+  const conflictMonitor = createConflictMonitor({ conflicts: site.conflicts });
+
+  // Check light state changes ({ lightId: state }) for conflicts without applying them.
+  // who is the actor behind the change, for the audit trail.
+  function checkLightStates(changes, source, who = SYSTEM_ACTOR) {
+    const verdict = conflictMonitor.check(trafficLights, changes);
+    if (!verdict.allowed) {
+      console.warn(`[Safety] ⛔ Blocked ${source} at ${site.id}: ${verdict.reason}`);
+      record(who, {
+        category: 'conflict',
+        action: source,
+        previous: lightStates(),
+        next: changes,
+        reason: verdict.reason,
+        outcome: 'blocked'
+      });
+      throw new SignalConflictError(verdict.reason, { lights: verdict.lights, changes });
+    }
+  }
+
+  // Apply light state changes after checking them for conflicts, and command
+  // the new states to the field controllers
+  function setLightStates(changes, source) {
+    checkLightStates(changes, source);
+
+    const now = isoNow(clock);
+    Object.entries(changes).forEach(([lightId, state]) => {
+      const light = trafficLights[lightId];
+      if (light.state !== state) {
+        light.state = state;
+        light.lastUpdated = now;
+        fieldControllers.command(lightId, state);
+      }
+    });
+  }
+
+  const lightStates = () => Object.fromEntries(Object.values(trafficLights).map(light => [light.id, light.state]));
+
+  // Operating state recorded before and after each audited change
+  function controlState() {
+    const { phase, servedLightIds, pending } = signal.snapshot();
+    return {
+      mode: trafficFlow.mode,
+      direction: trafficFlow.currentDirection,
+      override: trafficFlow.override?.holder ?? null,
+      phase,
+      servedLightId: servedLightIds.join(',') || null,
+      pending: pending ? [pending.type, ...pending.lightIds].join(' ') : null,
+      lights: lightStates()
+    };
+  }
+
+  // Record a manual command in the audit trail; the new state is taken now
+  function auditCommand(who, action, previous, { outcome = 'applied', reason = null, details = null } = {}) {
+    record(who, { category: 'command', action, previous, next: controlState(), outcome, reason, details });
+  }
+
+  // Signal state machine for the site, with the all-red clearance held
+  // between direction changes
+  const signal = createSignalStateMachine({
+    lights: trafficLights,
+    applyStates: setLightStates,
+    clearance: createClearanceTimer({ getVehicleData: () => vehicleData, onChange: publishLights, clock }),
+    conflicts: conflictMonitor.conflicting,
+    onChange: publishLights,
+    clock
+  });
+
+  // Take a light to red. This only ends the phase if that light is being served
+  // (or is about to be); a light already on its way to red is left alone.
+  function requestRed(lightId, source) {
+    const { servedLightIds, pending } = signal.snapshot();
+    if (pending?.lightIds.includes(lightId) || (servedLightIds.includes(lightId) && !pending)) {
+      signal.request({ type: 'all-red', source });
+    }
+  }
+
+  // Direction served after the given one
+  const nextDirection = (direction) => directions[(directions.indexOf(direction) + 1) % directions.length];
+
+  // Give green to every light serving the given direction
+  function serveDirection(direction, onGreen) {
+    const lightIds = Object.values(trafficLights).filter(l => l.direction === direction).map(l => l.id);
+    if (lightIds.length === 0) return;
+
+    signal.request({ type: 'green', lightIds, source: `${direction} direction`, onGreen });
+    trafficFlow.currentDirection = direction;
+    trafficFlow.lastChanged = isoNow(clock);
+    publishTrafficFlow();
+  }
+
+  // Plan being run in automatic mode (see Schedule.js); null otherwise
+  let runningPlan = null;
+
+  // Vehicle data a direction's green is sized from: its own approach once
+  // that end reports, otherwise the site's
+  function demandFor(direction) {
+    const approach = vehicleData.approaches[direction];
+    return approach?.timestamp ? { ...vehicleData, ...approach } : vehicleData;
+  }
+
+  // Green for a direction under the running plan: fixed-time, or sized from
+  // the vehicle data within the plan's limits
+  function planGreenSeconds(direction) {
+    if (runningPlan?.type === 'fixed') {
+      return runningPlan.greenSeconds[direction] ?? greenConfig.defaultSeconds;
+    }
+    return computeGreenSeconds(demandFor(direction), {
+      ...greenConfig,
+      minSeconds: runningPlan?.minGreenSeconds ?? greenConfig.minSeconds,
+      maxSeconds: runningPlan?.maxGreenSeconds ?? greenConfig.maxSeconds
+    });
+  }
+
+  // Queue, delay and level-of-service estimates of each approach, from the
+  // same vehicle data the greens are sized from (see Performance.js)
+  const performance = createPerformanceEstimator({
+    directions,
+    demandFor: (direction) => ({
+      ...demandFor(direction),
+      source: vehicleData.approaches[direction]?.timestamp ? 'approach' : 'site'
+    }),
+    plannedGreenSeconds: planGreenSeconds,
+    changeSeconds: () => defaultTimings.yellowMs / 1000 + computeClearanceSeconds(vehicleData),
+    clock
+  });
+
+  // Green limits of the running plan when it is actuated, null otherwise
+  function planActuation() {
+    if (runningPlan?.type !== 'actuated') return null;
+    const maxSeconds = runningPlan.maxGreenSeconds ?? greenConfig.maxSeconds;
+    return {
+      minSeconds: Math.min(runningPlan.minGreenSeconds ?? greenConfig.minSeconds, maxSeconds),
+      maxSeconds,
+      gapSeconds: runningPlan.gapSeconds ?? greenConfig.gapSeconds
+    };
+  }
+
+  // Why a green is given, for the audit trail and the portal
+  function describeGreen(direction, greenSeconds) {
+    const actuation = planActuation();
+    if (actuation) {
+      return `Actuated green of ${actuation.minSeconds}-${actuation.maxSeconds}s, gap-out after ${actuation.gapSeconds}s without arrivals (plan ${runningPlan.name})`;
+    }
+    if (runningPlan?.type === 'fixed') return `Fixed-time green of ${greenSeconds}s (plan ${runningPlan.name})`;
+    return `Adaptive green of ${greenSeconds}s (${demandFor(direction).vehicles_waiting} waiting, ${demandFor(direction).vehicles_per_minute} vehicles/min)`;
+  }
+
+  // Adaptive controller - cycles through the directions while an adaptive,
+  // fixed-time or actuated plan runs
+  const controller = createAdaptiveController({
+    getVehicleData: () => vehicleData,
+    serveDirection,
+    nextDirection,
+    greenSeconds: planGreenSeconds,
+    actuation: planActuation,
+    clock,
+    stopAll: () => signal.request({ type: 'all-red', source: 'controller safe start' }),
+    onPhase: ({ direction, greenSeconds, nextChangeAt }) => {
+      const reason = describeGreen(direction, greenSeconds);
+      record(SYSTEM_ACTOR, {
+        category: 'controller',
+        action: `green ${direction}`,
+        previous: { greenDuration: trafficFlow.greenDuration },
+        next: { direction, greenSeconds, nextChangeAt },
+        reason
+      });
+      trafficFlow.greenDuration = greenSeconds;
+      trafficFlow.nextChangeAt = nextChangeAt;
+      trafficFlow.phaseDecision = { direction, state: 'timed', message: reason, at: isoNow(clock), nextChangeAt };
+      signal.planGreenEnd(greenSeconds * 1000);
+      publishTrafficFlow();
+    },
+    // An actuated green is held, extended or ended
+    onDecision: (decision) => {
+      trafficFlow.phaseDecision = decision;
+      if (decision.nextChangeAt) {
+        trafficFlow.nextChangeAt = decision.nextChangeAt;
+        signal.planGreenEnd(Date.parse(decision.nextChangeAt) - clock.now());
+      } else {
+        trafficFlow.nextChangeAt = null;
+        record(SYSTEM_ACTOR, {
+          category: 'controller',
+          action: `${decision.state} ${decision.direction}`,
+          reason: decision.message
+        });
+      }
+      publishTrafficFlow();
+    }
+  });
+
+  // Emergency-vehicle pre-emption - pauses the adaptive controller while active
+  const preemption = createPreemption({
+    serveDirection,
+    clock,
+    onStart: () => {
+      stopPlan('emergency pre-emption');
+      trafficFlow.greenDuration = null;
+      trafficFlow.nextChangeAt = null;
+    },
+    onEnd: (ended) => {
+      // The next approach after the one that had priority gets the next green
+      if (CYCLING_MODES.includes(trafficFlow.mode)) {
+        resumeCycling(nextDirection(ended.direction));
+      } else if (STEADY_MODES[trafficFlow.mode]) {
+        runSteadyMode(trafficFlow.mode);
+      }
+    }
+  });
+
+  // Pre-empt for an emergency vehicle reported by the feed. Without a reported
+  // approach, the direction currently flowing is held. who is where the vehicle
+  // data came from, for the audit trail.
+  function evaluatePreemption(who) {
+    // The field equipment is not trusted while in fail-safe, so no green is given
+    if (trafficFlow.failsafe) return;
+
+    const before = trafficFlow.preemption;
+    const previous = controlState();
+    preemption.update({
+      count: Number(vehicleData.emergency_count) || 0,
+      direction: vehicleData.emergency_direction || trafficFlow.currentDirection
+    });
+    const after = preemption.status();
+    if (before === after) return;
+
+    trafficFlow.preemption = after;
+    publishTrafficFlow();
+
+    if (before?.direction !== after?.direction) {
+      record(who, {
+        category: 'preemption',
+        action: !after ? 'end' : before ? `move to ${after.direction}` : `start ${after.direction}`,
+        previous,
+        next: controlState(),
+        reason: after
+          ? `${after.count} emergency vehicle(s) on the ${after.direction} approach`
+          : 'Emergency vehicle cleared',
+        details: after || before
+      });
+    }
+  }
+
+  // Merge validated vehicle data from the feed (see PayloadSchema.js) and act
+  // on it; per-type counts are merged rather than replaced. Data of one
+  // approach (direction) updates that approach and the site's totals.
+  function ingestVehicleData(data, who, direction = null) {
+    const timestamp = isoNow(clock);
+    const arrivals = direction !== null && reportsArrivals(data, vehicleData.approaches[direction]);
+    if (direction) {
+      const approach = vehicleData.approaches[direction];
+      Object.assign(approach, data, {
+        vehicles_by_type: { ...approach.vehicles_by_type, ...data.vehicles_by_type },
+        timestamp
+      });
+      Object.assign(vehicleData, approachTotals(vehicleData.approaches), { timestamp });
+    } else {
+      Object.assign(vehicleData, data, {
+        vehicles_by_type: { ...vehicleData.vehicles_by_type, ...data.vehicles_by_type },
+        timestamp
+      });
+    }
+    watchdog.beat('feed');
+    // Only approach data tells which direction vehicles arrive from
+    if (arrivals) controller.detect(direction);
+    evaluatePreemption(who);
+    alerts.observe(vehicleData, timestamp).forEach(alert => {
+      record(who, {
+        category: 'alert',
+        action: `raise ${alert.code}`,
+        next: { status: alert.status, severity: alert.severity },
+        reason: alert.message,
+        details: alert
+      });
+    });
+    publishVehicles();
+  }
+
+  // Alerts raised from the feed's anomalies and the alert rules (see Alerts.js)
+  const alerts = createAlertTracker({
+    restored: restored?.alerts,
+    clock,
+    onChange: () => {
+      liveStream.publish('alerts', () => alerts.list());
+      persist();
+    }
+  });
+
+  // Acknowledge or resolve an alert on behalf of who, with an optional note
+  function handleAlert(action, id, who, note = null) {
+    const before = alerts.list('all').find(alert => alert.id === id)?.status;
+    const alert = alerts[action](id, { by: who.actor, note });
+    record(who, {
+      category: 'alert',
+      action: `${action} ${alert.code}`,
+      previous: { status: before },
+      next: { status: alert.status },
+      reason: note,
+      details: alert
+    });
+    return alert;
+  }
+
+  // Manual-override lock: while an operator holds it, only they command the
+  // site's lights and traffic flow (see Override.js)
+  const override = createOverrideLock({
+    clock,
+    onChange: (lock) => {
+      trafficFlow.override = lock;
+      publishTrafficFlow();
+    },
+    onExpire: (lock) => {
+      const previous = controlState();
+      resumeAfterOverride();
+      record(SYSTEM_ACTOR, {
+        category: 'command',
+        action: 'manual control expired',
+        previous,
+        next: controlState(),
+        reason: `No command from ${lock.holder} for ${overrideConfig.timeoutMinutes} min`,
+        details: lock
+      });
+    }
+  });
+
+  // Take manual control on behalf of who; automatic operation stops until the lock ends
+  function takeOverride(who, reason = null) {
+    const previous = controlState();
+    const lock = override.take(who.actor, reason);
+    suspendAutomatic('manual control');
+    record(who, { category: 'command', action: 'take manual control', previous, next: controlState(), reason, details: lock });
+    return lock;
+  }
+
+  // End the manual-override lock; an admin breaks someone else's with force
+  function releaseOverride(who, { force = false, reason = null } = {}) {
+    const previous = controlState();
+    const released = override.release(who.actor, { force });
+    resumeAfterOverride();
+    record(who, {
+      category: force ? 'admin' : 'command',
+      action: force ? 'break manual control' : 'release manual control',
+      previous,
+      next: controlState(),
+      reason,
+      details: released
+    });
+    return released;
+  }
+
+  // Once the lock ends the scheduled plan takes over again if the site is still
+  // in manual control; a site its holder already put back, or a fail-safe holds, is left alone
+  function resumeAfterOverride() {
+    if (trafficFlow.mode === 'manual' && !trafficFlow.failsafe) resumeAutomatic();
+  }
+
+  // Heartbeat watchdog - the vision feed and, when field controllers are in
+  // use, each light's controller must keep reporting once it has reported, so
+  // a cold start without them connected isn't taken for a fault
+  const watchdog = createWatchdog({
+    clock,
+    sources: !watchdogConfig.enabled ? [] : [
+      { id: 'feed', label: 'Vision feed', timeoutMs: watchdogConfig.feedTimeoutMs, afterFirstBeat: true },
+      ...(fieldControllers.enabled
+        ? Object.values(trafficLights).map(light => ({ id: `light:${light.id}`, label: `${light.name} controller`, timeoutMs: watchdogConfig.lightTimeoutMs, afterFirstBeat: true }))
+        : [])
+    ],
+    onMissed: (source) => enterFailsafe(`No heartbeat from ${source.label} for ${source.timeoutMs / 1000}s`, source),
+    onRestored: (source) => {
+      record(SYSTEM_ACTOR, {
+        category: 'fault',
+        action: `${source.id} heartbeat`,
+        reason: `${source.label} is reporting again`,
+        outcome: 'cleared'
+      });
+    },
+    onChange: (status) => liveStream.publish('watchdog', status)
+  });
+
+  const failsafeCommand = () => ({ type: watchdogConfig.failsafePhase, source: 'fail-safe' });
+
+  // Drop into the fail-safe state: automatic control and pre-emption stop and the
+  // site goes flashing red (or all-red) until an operator resets it
+  function enterFailsafe(reason, source) {
+    if (trafficFlow.failsafe) {
+      if (!trafficFlow.failsafe.sources.includes(source.id)) {
+        trafficFlow.failsafe = { ...trafficFlow.failsafe, sources: [...trafficFlow.failsafe.sources, source.id] };
+        publishTrafficFlow();
+      }
+      return;
+    }
+
+    const previous = controlState();
+    stopPlan('fail-safe');
+    preemption.cancel();
+    trafficFlow.preemption = null;
+    trafficFlow.mode = 'failsafe';
+    trafficFlow.modePlan = null;
+    trafficFlow.greenDuration = null;
+    trafficFlow.nextChangeAt = null;
+    trafficFlow.failsafe = { since: isoNow(clock), reason, sources: [source.id] };
+    signal.request(failsafeCommand());
+    publishTrafficFlow();
+
+    console.error(`[Watchdog] 🚨 ${site.name} entering fail-safe (${watchdogConfig.failsafePhase}), operator reset required`);
+    record(SYSTEM_ACTOR, {
+      category: 'fault',
+      action: 'fail-safe',
+      previous,
+      next: controlState(),
+      reason,
+      outcome: 'raised',
+      details: { source: source.id, phase: watchdogConfig.failsafePhase }
+    });
+  }
+
+  // Leave the fail-safe; the site stays all-red in manual mode. Returns the
+  // fail-safe that was cleared.
+  function clearFailsafe() {
+    const cleared = trafficFlow.failsafe;
+    trafficFlow.failsafe = null;
+    trafficFlow.mode = 'manual';
+    signal.request({ type: 'all-red', source: 'fail-safe reset' });
+    publishTrafficFlow();
+    return cleared;
+  }
+
+  // Why the schedule calls for a plan, for the audit trail
+  function describeSource(source) {
+    switch (source.type) {
+      case 'exception': return `Exception '${source.name}' on ${source.date}`;
+      case 'rule': return `Rule '${source.name}' until ${source.until}`;
+      default: return 'Default plan';
+    }
+  }
+
+  // Run a plan, starting from the given direction. Switching between adaptive,
+  // fixed-time and actuated plans takes effect from the next green; any other
+  // change goes through all-red. A forced direction the site no longer has is
+  // cycled through like the others.
+  function runPlan(plan, direction = trafficFlow.currentDirection) {
+    const cycles = (p) => ['adaptive', 'fixed', 'actuated'].includes(p?.type);
+    const previous = runningPlan;
+    runningPlan = plan;
+    if (cycles(plan) && cycles(previous) && controller.isRunning()) return;
+
+    controller.stop(`plan ${plan.name}`);
+    trafficFlow.greenDuration = null;
+    trafficFlow.nextChangeAt = null;
+    if (plan.type === 'flashing-yellow') {
+      signal.request({ type: 'flashing-yellow', source: `plan ${plan.name}` });
+    } else if (plan.type === 'forced' && directions.includes(plan.direction)) {
+      serveDirection(plan.direction);
+    } else {
+      controller.start(direction);
+    }
+    publishTrafficFlow();
+  }
+
+  function stopPlan(reason) {
+    runningPlan = null;
+    trafficFlow.phaseDecision = null;
+    controller.stop(reason);
+  }
+
+  // Look up the plan the schedule calls for and run it in automatic mode.
+  // Nothing changes during a fail-safe or an emergency pre-emption; the plan
+  // is picked up when automatic operation resumes.
+  function followSchedule(direction) {
+    const { plan, source } = activePlan(getSchedule(), new Date(clock.now()));
+    const shown = trafficFlow.plan;
+    if (shown?.id !== plan.id || JSON.stringify(shown.source) !== JSON.stringify(source)) {
+      trafficFlow.plan = {
+        id: plan.id,
+        name: plan.name,
+        type: plan.type,
+        source,
+        since: shown?.id === plan.id ? shown.since : isoNow(clock)
+      };
+      publishTrafficFlow();
+    }
+
+    if (trafficFlow.mode !== 'automatic' || preemption.status()) return;
+    if (JSON.stringify(runningPlan) === JSON.stringify(plan)) return;
+
+    console.log(`[Schedule] 📅 ${site.name} running plan '${plan.name}' (${plan.type})`);
+    record(SYSTEM_ACTOR, {
+      category: 'controller',
+      action: `plan ${plan.name}`,
+      previous: { plan: runningPlan?.id ?? null },
+      next: { plan: plan.id, type: plan.type },
+      reason: describeSource(source)
+    });
+    runPlan(plan, direction);
+  }
+
+  // (Re)start automatic operation from the given direction, under the plan
+  // the schedule calls for
+  function resumeAutomatic(direction = trafficFlow.currentDirection) {
+    trafficFlow.mode = 'automatic';
+    trafficFlow.modePlan = null;
+    stopPlan('restart');
+    followSchedule(direction);
+    publishTrafficFlow();
+  }
+
+  // Run the fixed-time or actuated mode with its plan, from the given direction,
+  // or one of the steady modes. The schedule is not followed until automatic
+  // mode resumes.
+  function runMode(mode, plan, direction = trafficFlow.currentDirection) {
+    if (STEADY_MODES[mode]) return runSteadyMode(mode);
+    console.log(`[Controller] 🎛️ ${site.name} running ${mode} mode`);
+    trafficFlow.mode = mode;
+    trafficFlow.modePlan = plan;
+    stopPlan('restart');
+    runPlan(plan, direction);
+    publishTrafficFlow();
+  }
+
+  // Hold every light flashing yellow, flashing red or dark. The signal state
+  // machine enters and leaves these through all-red.
+  function runSteadyMode(mode) {
+    console.log(`[Controller] 🌙 ${site.name} running ${mode} mode`);
+    trafficFlow.mode = mode;
+    trafficFlow.modePlan = null;
+    stopPlan(`${mode} mode`);
+    trafficFlow.greenDuration = null;
+    trafficFlow.nextChangeAt = null;
+    signal.request({ type: STEADY_MODES[mode], source: `${mode} mode` });
+    publishTrafficFlow();
+  }
+
+  // Restart the cycling mode the site is in, e.g. once a pre-emption ends
+  function resumeCycling(direction) {
+    if (trafficFlow.mode === 'automatic') {
+      resumeAutomatic(direction);
+    } else {
+      runMode(trafficFlow.mode, trafficFlow.modePlan, direction);
+    }
+  }
+
+  // Manual commands take over from the running plan or steady mode
+  function suspendAutomatic(reason) {
+    if (CYCLING_MODES.includes(trafficFlow.mode) || STEADY_MODES[trafficFlow.mode]) {
+      trafficFlow.mode = 'manual';
+    }
+    trafficFlow.modePlan = null;
+    trafficFlow.greenDuration = null;
+    trafficFlow.nextChangeAt = null;
+    stopPlan(reason);
+    publishTrafficFlow();
+  }
+
+  // Handle a field controller status message addressed to one of the lights
+  function handleFieldStatus(topic, data) {
+    const lightId = fieldControllers.handleStatus(topic, data);
+    if (lightId) watchdog.beat(`light:${lightId}`);
+  }
+
+  // (Re)send the current states, once acknowledgements can be received
+  function resendFieldStates() {
+    Object.values(trafficLights).forEach(light => fieldControllers.command(light.id, light.state));
+  }
+
+  // No light lets traffic in and nothing is about to change, so the site's
+  // signal groups can be reconfigured
+  function atRest() {
+    const { phase, pending } = signal.snapshot();
+    return !pending && !runningPlan && !preemption.status() && ['all-red', 'flashing', 'off'].includes(phase);
+  }
+
+  // Apply a change of site or light names
+  function rename(next) {
+    site = next;
+    next.lights.forEach(light => {
+      trafficLights[light.id].name = light.name;
+    });
+    publishLights();
+  }
+
+  // Full state sent to a stream client when it connects
+  function snapshot() {
+    return {
+      site,
+      lights: trafficLights,
+      trafficFlow,
+      signal: signal.snapshot(),
+      vehicleData,
+      performance: performance.estimate(),
+      system,
+      watchdog: watchdog.status(),
+      alerts: alerts.list()
+    };
+  }
+
+  // Short status for the site list
+  function summary() {
+    const { phase } = signal.snapshot();
+    return {
+      mode: trafficFlow.mode,
+      currentDirection: trafficFlow.currentDirection,
+      phase,
+      preemption: !!trafficFlow.preemption,
+      failsafe: !!trafficFlow.failsafe,
+      override: trafficFlow.override?.holder ?? null,
+      faults: Object.values(trafficLights).filter(light => light.field?.fault).length,
+      alerts: alerts.summary()
+    };
+  }
+
+  // The site's part of state.json
+  function state() {
+    return { trafficLights, trafficFlow, signal: signal.snapshot(), vehicleData, alerts: alerts.state() };
+  }
+
+  let scheduleTimer = null;
+
+  // Start the watchdog and the schedule, and resume the restored operating mode
+  function start() {
+    watchdog.start();
+    if (trafficFlow.failsafe) {
+      console.warn(`[Watchdog] 🚨 ${site.name} still in fail-safe since ${trafficFlow.failsafe.since}: ${trafficFlow.failsafe.reason}`);
+      signal.request(failsafeCommand());
+      followSchedule();
+    } else if (trafficFlow.mode === 'automatic') {
+      resumeAutomatic();
+    } else {
+      followSchedule();
+      if (CYCLING_MODES.includes(trafficFlow.mode) || STEADY_MODES[trafficFlow.mode]) {
+        runMode(trafficFlow.mode, trafficFlow.modePlan);
+      }
+    }
+    override.restore(trafficFlow.override);
+    scheduleTimer = clock.setInterval(() => followSchedule(), SCHEDULE_CHECK_MS);
+  }
+
+  // Cancel every timer and close the live stream, e.g. on shutdown
+  function stop() {
+    clock.clearInterval(scheduleTimer);
+    stopPlan('shutdown');
+    override.stop();
+    signal.stop();
+    fieldControllers.stop();
+    watchdog.stop();
+    liveStream.close();
+  }
+
+  return {
+    id: site.id,
+    get site() {
+      return site;
+    },
+    directions,
+    lights: trafficLights,
+    trafficFlow,
+    vehicleData,
+    signal,
+    controller,
+    preemption,
+    override,
+    takeOverride,
+    releaseOverride,
+    watchdog,
+    liveStream,
+    fieldControllers,
+    checkLightStates,
+    controlState,
+    auditCommand,
+    requestRed,
+    serveDirection,
+    resumeAutomatic,
+    runMode,
+    suspendAutomatic,
+    followSchedule,
+    evaluatePreemption,
+    ingestVehicleData,
+    alerts,
+    handleAlert,
+    performance,
+    clearFailsafe,
+    handleFieldStatus,
+    resendFieldStates,
+    publishTrafficFlow,
+    atRest,
+    rename,
+    snapshot,
+    summary,
+    state,
+    start,
+    stop
+  };
+}
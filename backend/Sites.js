@@ -0,0 +1,199 @@
+// Passages (sites) managed by this server and their signal groups.
+// A site is one passage or intersection: its lights, the direction each light
+// serves and which lights conflict. Lights serving the same direction are given
+// green together; the adaptive controller cycles through the directions in the
+// order their first light is listed.
+//
+//   { id, name, topicBase, lights: [{ id, name, direction }], conflicts: [[lightId, lightId]] }
+//
+// topicBase is the MQTT topic of the site's vision feed; data of one end of
+// the passage comes in under <topicBase>/<direction>. Light ids are unique
+// across all sites, since every light has its own field controller topics.
+
+import { VEHICLE_TYPES } from './PayloadSchema.js';
+
+export const DEFAULT_SITE = {
+  id: 'main',
+  name: 'Main Passage',
+  topicBase: 'traffic/vehicles',
+  lights: [
+    { id: 'light1', name: 'Traffic Light 1', direction: 'inbound' },
+    { id: 'light2', name: 'Traffic Light 2', direction: 'outbound' }
+  ],
+  conflicts: [['light1', 'light2']]
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_LIGHTS = 12;
+const MAX_NAME_LENGTH = 60;
+// Subtopics of a site's feed, which a direction can't be named after
+const FEED_SUBTOPICS = ['speeds', 'traffic_light', ...VEHICLE_TYPES];
+
+// Raised for an invalid or impossible site change; carries the HTTP status
+export class SiteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SiteError';
+    this.status = status;
+  }
+}
+
+// Directions of a site, in the order they are served
+export const siteDirections = (site) => [...new Set(site.lights.map(light => light.direction))];
+
+// Every pair of lights serving different directions: the default for a
+// single-lane passage, where all approaches feed the same lane
+export function defaultConflicts(lights) {
+  const pairs = [];
+  lights.forEach((a, i) => {
+    lights.slice(i + 1).forEach(b => {
+      if (a.direction !== b.direction) pairs.push([a.id, b.id]);
+    });
+  });
+  return pairs;
+}
+
+function checkId(value, name) {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new SiteError(`Invalid ${name} '${value}': use 1-32 lower-case letters, digits and dashes`);
+  }
+  return value;
+}
+
+function checkName(value, name) {
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_NAME_LENGTH) {
+    throw new SiteError(`Invalid ${name}: expected 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+const topicsOverlap = (a, b) => a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
+// Validate a site definition against the other sites and return it normalized
+export function validateSite(input, otherSites = []) {
+  if (!input || typeof input !== 'object') throw new SiteError('Expected a site object');
+
+  const id = checkId(input.id, 'site id');
+  if (otherSites.some(site => site.id === id)) throw new SiteError(`Site '${id}' already exists`, 409);
+  const name = checkName(input.name, 'site name');
+
+  if (!Array.isArray(input.lights) || input.lights.length < 2 || input.lights.length > MAX_LIGHTS) {
+    throw new SiteError(`A site needs 2-${MAX_LIGHTS} lights`);
+  }
+  const usedLightIds = new Set(otherSites.flatMap(site => site.lights.map(light => light.id)));
+  const lights = input.lights.map((light, index) => {
+    const lightId = checkId(light?.id, `light id (light ${index + 1})`);
+    if (usedLightIds.has(lightId)) throw new SiteError(`Light id '${lightId}' is already in use`, 409);
+    usedLightIds.add(lightId);
+    return {
+      id: lightId,
+      name: checkName(light.name, `name for ${lightId}`),
+      direction: checkId(light.direction, `direction for ${lightId}`)
+    };
+  });
+  const reserved = lights.find(light => FEED_SUBTOPICS.includes(light.direction));
+  if (reserved) {
+    throw new SiteError(`Direction '${reserved.direction}' of ${reserved.id} is a feed subtopic; choose another name`);
+  }
+  if (siteDirections({ lights }).length < 2) {
+    throw new SiteError('A site needs lights for at least two directions');
+  }
+
+  const byId = Object.fromEntries(lights.map(light => [light.id, light]));
+  let conflicts = defaultConflicts(lights);
+  if (input.conflicts !== undefined) {
+    if (!Array.isArray(input.conflicts)) throw new SiteError('conflicts must be a list of light id pairs');
+    const seen = new Set();
+    conflicts = [];
+    input.conflicts.forEach(pair => {
+      if (!Array.isArray(pair) || pair.length !== 2 || !byId[pair[0]] || !byId[pair[1]] || pair[0] === pair[1]) {
+        throw new SiteError(`Invalid conflict ${JSON.stringify(pair)}: expected two different lights of this site`);
+      }
+      if (byId[pair[0]].direction === byId[pair[1]].direction) {
+        throw new SiteError(`${pair[0]} and ${pair[1]} serve the same direction, so they are green together and can't conflict`);
+      }
+      const key = [...pair].sort().join('|');
+      if (!seen.has(key)) {
+        seen.add(key);
+        conflicts.push([pair[0], pair[1]]);
+      }
+    });
+  }
+
+  const topicBase = input.topicBase === undefined || input.topicBase === ''
+    ? `traffic/sites/${id}/vehicles`
+    : input.topicBase;
+  if (typeof topicBase !== 'string' || /[+#]/.test(topicBase) || topicBase.startsWith('/') || topicBase.endsWith('/')) {
+    throw new SiteError(`Invalid topicBase '${topicBase}': expected an MQTT topic without wildcards`);
+  }
+  const clash = otherSites.find(site => topicsOverlap(site.topicBase, topicBase));
+  if (clash) throw new SiteError(`topicBase '${topicBase}' overlaps with site '${clash.id}' (${clash.topicBase})`, 409);
+
+  return { id, name, topicBase, lights, conflicts };
+}
+
+// Whether two definitions differ in more than names, i.e. the site's signal
+// groups, conflicts or feed topic change
+export function isStructuralChange(previous, next) {
+  const shape = (site) => JSON.stringify({
+    topicBase: site.topicBase,
+    lights: site.lights.map(({ id, direction }) => ({ id, direction })),
+    conflicts: site.conflicts.map(pair => [...pair].sort()).sort()
+  });
+  return shape(previous) !== shape(next);
+}
+
+// Site definitions, persisted through load()/save(). The first site is the
+// default one, served by the routes without a site in their path.
+export function createSiteRegistry({ load, save }) {
+  const stored = load();
+  let sites = stored?.sites?.length > 0 ? stored.sites : [DEFAULT_SITE];
+  if (!stored) {
+    save({ sites });
+  }
+
+  function get(id) {
+    const site = sites.find(s => s.id === id);
+    if (!site) throw new SiteError(`Site '${id}' not found`, 404);
+    return site;
+  }
+
+  function create(input) {
+    const site = validateSite(input, sites);
+    sites = [...sites, site];
+    save({ sites });
+    return site;
+  }
+
+  // The id can't be changed. check(previous, site) may throw to refuse the
+  // change before it is saved. Returns { previous, site }.
+  function update(id, input, check = () => {}) {
+    const previous = get(id);
+    const merged = { ...previous, ...input, id };
+    // New lights without conflicts get the default conflicts for those lights
+    if (input.lights !== undefined && input.conflicts === undefined) delete merged.conflicts;
+    const site = validateSite(merged, sites.filter(s => s.id !== id));
+    check(previous, site);
+    sites = sites.map(s => (s.id === id ? site : s));
+    save({ sites });
+    return { previous, site };
+  }
+
+  function remove(id, check = () => {}) {
+    const site = get(id);
+    if (sites.length === 1) throw new SiteError('The last site cannot be deleted', 409);
+    check(site);
+    sites = sites.filter(s => s.id !== id);
+    save({ sites });
+    return site;
+  }
+
+  return {
+    list: () => sites,
+    get,
+    create,
+    update,
+    remove,
+    defaultSite: () => sites[0]
+  };
+}
@@ -0,0 +1,208 @@
+// Local storage for signal state, configuration and history.
+// - state.json holds the latest state and configuration. It is rewritten
+//   atomically (temp file + rename) and records whether the server shut down cleanly.
+// - users.json holds the user accounts and API tokens (password and token hashes only).
+// - sites.json holds the passages (sites) and their signal groups.
+// - config.json holds the versions of the runtime configuration.
+// - schedules.json holds each site's time-of-day plans and their calendar rules.
+// - history/YYYY-MM-DD.jsonl is an append-only log of time-series records,
+//   one file per (UTC) day so old days can simply be deleted.
+// - audit/YYYY-MM-DD.jsonl is the audit trail, in the same format but kept longer.
+
+import { mkdirSync, readFileSync, writeFileSync, renameSync, readdirSync, unlinkSync, createWriteStream, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const storageConfig = {
+  dir: process.env.DATA_DIR || join(__dirname, 'data'),
+  retentionDays: Number(process.env.HISTORY_RETENTION_DAYS) || 30,
+  auditRetentionDays: Number(process.env.AUDIT_RETENTION_DAYS) || 365,
+  // Delay used to coalesce state writes
+  saveDelayMs: 500
+};
+
+// Append-only log of { t, type, data } records in one file per (UTC) day
+function createDailyLog(dir, name) {
+  mkdirSync(dir, { recursive: true });
+  let day = null;
+  let stream = null;
+
+  function append(type, data, t = new Date().toISOString()) {
+    const recordDay = t.slice(0, 10);
+    if (recordDay !== day) {
+      if (stream) stream.end();
+      day = recordDay;
+      stream = createWriteStream(join(dir, `${day}.jsonl`), { flags: 'a' });
+      stream.on('error', (error) => {
+        console.error(`[Storage] ❌ Failed to write ${name}:`, error.message);
+      });
+    }
+    stream.write(`${JSON.stringify({ t, type, data })}\n`);
+  }
+
+  // Iterate the records between from and to (inclusive, ms or Date),
+  // optionally only those of the given types, in time order
+  async function* read({ from, to, types = null }) {
+    const fromIso = new Date(from).toISOString();
+    const toIso = new Date(to).toISOString();
+    const files = readdirSync(dir)
+      .filter(file => file.endsWith('.jsonl') && file.slice(0, 10) >= fromIso.slice(0, 10) && file.slice(0, 10) <= toIso.slice(0, 10))
+      .sort();
+
+    for (const file of files) {
+      const lines = createInterface({ input: createReadStream(join(dir, file)), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          // A torn last line after a crash
+          continue;
+        }
+        if (record.t < fromIso || record.t > toIso) continue;
+        if (types && !types.includes(record.type)) continue;
+        yield record;
+      }
+    }
+  }
+
+  // Delete days older than the retention period
+  function prune(retentionDays, now = Date.now()) {
+    const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    readdirSync(dir)
+      .filter(file => file.endsWith('.jsonl') && file.slice(0, 10) < cutoff)
+      .forEach(file => {
+        unlinkSync(join(dir, file));
+        console.log(`[Storage] 🧹 Removed ${name} file ${file}`);
+      });
+  }
+
+  // Resolves once everything has been written
+  function close() {
+    return new Promise(resolve => {
+      if (!stream) return resolve();
+      stream.end(resolve);
+      stream = null;
+      day = null;
+    });
+  }
+
+  return { append, read, prune, close, dir };
+}
+
+export function createStorage(config = storageConfig) {
+  const statePath = join(config.dir, 'state.json');
+  const usersPath = join(config.dir, 'users.json');
+  const sitesPath = join(config.dir, 'sites.json');
+  const configPath = join(config.dir, 'config.json');
+  const schedulesPath = join(config.dir, 'schedules.json');
+  const history = createDailyLog(join(config.dir, 'history'), 'history');
+  const audit = createDailyLog(join(config.dir, 'audit'), 'audit');
+
+  let saveTimer = null;
+  let pendingState = null;
+
+  // Read a JSON file, or null if there is none. A corrupt file is moved aside
+  // so it can be inspected, and treated as missing.
+  function readJson(path) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      const corruptPath = `${path}.corrupt-${Date.now()}`;
+      console.error(`[Storage] ❌ Could not read ${path}, moved to ${corruptPath}:`, error.message);
+      try {
+        renameSync(path, corruptPath);
+      } catch {
+        // Nothing more to do; the server starts from defaults
+      }
+      return null;
+    }
+  }
+
+  function writeJson(path, value, mode = 0o644) {
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(value, null, 2), { mode });
+    renameSync(tmpPath, path);
+  }
+
+  // Read the last saved state, or null if there is none
+  const loadState = () => readJson(statePath);
+  const writeState = (state) => writeJson(statePath, state);
+
+  // User accounts are written straight away and readable by the owner only
+  const loadUsers = () => readJson(usersPath);
+  const saveUsers = (users) => writeJson(usersPath, users, 0o600);
+
+  // Site definitions are written straight away
+  const loadSites = () => readJson(sitesPath);
+  const saveSites = (sites) => writeJson(sitesPath, sites);
+
+  // Configuration versions are written straight away
+  const loadConfig = () => readJson(configPath);
+  const saveConfig = (versions) => writeJson(configPath, versions);
+
+  // Schedules are written straight away
+  const loadSchedules = () => readJson(schedulesPath);
+  const saveSchedules = (schedules) => writeJson(schedulesPath, schedules);
+
+  // Save the state returned by getState(). Writes are coalesced; getState is
+  // called when the write actually happens so the latest state is stored.
+  function saveState(getState) {
+    pendingState = getState;
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      flushState();
+    }, config.saveDelayMs);
+  }
+
+  // Write any pending state straight away
+  function flushState(getState = pendingState) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    pendingState = null;
+    if (!getState) return;
+    try {
+      writeState(getState());
+    } catch (error) {
+      console.error(`[Storage] ❌ Failed to save state:`, error.message);
+    }
+  }
+
+  // Delete history and audit days older than their retention periods
+  function pruneHistory(now = Date.now()) {
+    history.prune(config.retentionDays, now);
+    audit.prune(config.auditRetentionDays, now);
+  }
+
+  // Close the logs; resolves once everything has been written
+  const close = () => Promise.all([history.close(), audit.close()]);
+
+  return {
+    loadState,
+    saveState,
+    flushState,
+    loadUsers,
+    saveUsers,
+    loadSites,
+    saveSites,
+    loadConfig,
+    saveConfig,
+    loadSchedules,
+    saveSchedules,
+    // Time-series records: appendHistory(type, data, t?), readHistory({ from, to, types })
+    appendHistory: history.append,
+    readHistory: history.read,
+    // Audit trail, same interface
+    appendAudit: audit.append,
+    readAudit: audit.read,
+    pruneHistory,
+    close,
+    historyDir: history.dir
+  };
+}
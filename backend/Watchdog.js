@@ -0,0 +1,95 @@
+// Heartbeat watchdog for the data sources the signal depends on: the vision
+// feed and each light's field controller. A source that stays silent for
+// longer than its timeout is reported as missed; the server then drops the
+// passage into a fail-safe state that only an operator can leave.
+//
+// Source status: 'waiting' (not heard from since start-up), 'ok' or 'missed'.
+// A source that never reports is missed once its timeout has passed since start-up,
+// unless it is only watched from its first heartbeat (afterFirstBeat).
+
+import { systemClock } from './Clock.js';
+
+export const watchdogConfig = {
+  enabled: process.env.WATCHDOG !== 'disabled',
+  feedTimeoutMs: Number(process.env.WATCHDOG_FEED_TIMEOUT_MS) || 15000,
+  lightTimeoutMs: Number(process.env.WATCHDOG_LIGHT_TIMEOUT_MS) || 10000,
+  // Phase held while in fail-safe: 'flashing' (flashing red on every end) or 'all-red'
+  failsafePhase: process.env.WATCHDOG_FAILSAFE === 'all-red' ? 'all-red' : 'flashing',
+  checkIntervalMs: 1000
+};
+
+// - sources: [{ id, label, timeoutMs, afterFirstBeat? }]
+// - onMissed(source) / onRestored(source): a source went silent / reported again
+// - onChange(status): any source changed status
+export function createWatchdog({ sources, checkIntervalMs = watchdogConfig.checkIntervalMs, onMissed = () => {}, onRestored = () => {}, onChange = () => {}, clock = systemClock }) {
+  const watched = new Map(sources.map(source => [source.id, { afterFirstBeat: false, ...source, status: 'waiting', lastSeen: null, since: null }]));
+  // A source only watched from its first heartbeat isn't missing before it
+  const isMissing = (source) => source.status === 'missed' || (source.status === 'waiting' && !source.afterFirstBeat);
+  let startedAt = clock.now();
+  let timer = null;
+
+  function status() {
+    return [...watched.values()].map(({ id, label, timeoutMs, status: state, lastSeen, since }) => ({
+      id,
+      label,
+      timeoutMs,
+      status: state,
+      lastSeen: lastSeen ? new Date(lastSeen).toISOString() : null,
+      since: since ? new Date(since).toISOString() : null
+    }));
+  }
+
+  // Record a heartbeat from a source
+  function beat(id) {
+    const source = watched.get(id);
+    if (!source) return;
+    source.lastSeen = clock.now();
+    if (source.status === 'ok') return;
+
+    const wasMissed = source.status === 'missed';
+    source.status = 'ok';
+    source.since = source.lastSeen;
+    if (wasMissed) {
+      console.log(`[Watchdog] ✅ ${source.label} is reporting again`);
+      onRestored(source);
+    }
+    onChange(status());
+  }
+
+  function check() {
+    const now = clock.now();
+    let changed = false;
+    watched.forEach(source => {
+      if (source.status === 'missed') return;
+      if (source.lastSeen === null && source.afterFirstBeat) return;
+      if (now - (source.lastSeen ?? startedAt) > source.timeoutMs) {
+        source.status = 'missed';
+        source.since = now;
+        changed = true;
+        console.error(`[Watchdog] 🚨 No heartbeat from ${source.label} for ${source.timeoutMs / 1000}s`);
+        onMissed(source);
+      }
+    });
+    if (changed) onChange(status());
+  }
+
+  function start() {
+    if (timer || watched.size === 0) return;
+    startedAt = clock.now();
+    timer = clock.setInterval(check, checkIntervalMs);
+  }
+
+  function stop() {
+    clock.clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    beat,
+    start,
+    stop,
+    status,
+    // Sources not currently reporting
+    missing: () => status().filter(source => isMissing(watched.get(source.id)))
+  };
+}
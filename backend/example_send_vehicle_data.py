@@ -6,9 +6,12 @@ This simulates the data structure from your YOLO tracking script.
 import requests
 import time
 import json
+import os
 from datetime import datetime
 
 API_URL = "http://localhost:3001/api/vehicles"
+# API token with the operator role, issued by an admin through POST /api/tokens
+API_TOKEN = os.environ.get("API_TOKEN", "")
 
 # Example vehicle data matching your YOLO script output
 def send_vehicle_data():
@@ -39,7 +42,7 @@ def send_vehicle_data():
     }
     
     try:
-        response = requests.post(API_URL, json=data)
+        response = requests.post(API_URL, json=data, headers={"Authorization": f"Bearer {API_TOKEN}"})
         if response.status_code == 200:
             print(f"[✓] Data sent successfully at {datetime.now().strftime('%H:%M:%S')}")
             print(f"    Waiting vehicles: {data['vehicles_waiting']}")
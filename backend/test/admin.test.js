@@ -0,0 +1,363 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, waitFor } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+const startServer = () => startTestServer({
+  before: () => {
+    watchdogConfig.enabled = false;
+    fieldConfig.enabled = false;
+  }
+});
+
+const BRIDGE = {
+  id: 'bridge',
+  name: 'Old Bridge',
+  lights: [
+    { id: 'bridge-n', name: 'North end', direction: 'north' },
+    { id: 'bridge-s', name: 'South end', direction: 'south' }
+  ]
+};
+
+describe('site routes', () => {
+  let t;
+  let viewer;
+  before(async () => {
+    t = await startServer();
+    viewer = await t.userToken('viewer');
+  });
+  after(() => t.stop());
+
+  it('lists the sites with their status', async () => {
+    const { body } = await t.request('GET', '/api/sites', { token: viewer });
+    assert.equal(body.defaultSiteId, 'main');
+    assert.deepEqual(body.sites.map(site => site.id), ['main']);
+    assert.equal(body.sites[0].status.mode, 'automatic');
+    assert.equal((await t.request('GET', '/api/sites/nowhere', { token: viewer })).status, 404);
+  });
+
+  it('adds a site, validates it and serves its routes under /api/sites/:siteId', async () => {
+    assert.equal((await t.request('POST', '/api/sites', { token: viewer, body: BRIDGE })).status, 403);
+    const single = await t.request('POST', '/api/sites', { token: t.adminToken, body: { ...BRIDGE, lights: BRIDGE.lights.slice(0, 1) } });
+    assert.equal(single.status, 400);
+    const clash = await t.request('POST', '/api/sites', { token: t.adminToken, body: { ...BRIDGE, topicBase: 'traffic/vehicles' } });
+    assert.equal(clash.status, 409);
+
+    const created = await t.request('POST', '/api/sites', { token: t.adminToken, body: BRIDGE });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.site.topicBase, 'traffic/sites/bridge/vehicles');
+    assert.deepEqual(created.body.site.conflicts, [['bridge-n', 'bridge-s']]);
+    assert.equal((await t.request('POST', '/api/sites', { token: t.adminToken, body: BRIDGE })).status, 409);
+
+    const lights = await t.request('GET', '/api/sites/bridge/lights', { token: viewer });
+    assert.equal(lights.body.site.id, 'bridge');
+    assert.deepEqual(Object.keys(lights.body.lights), ['bridge-n', 'bridge-s']);
+    // The default routes still answer for the main site
+    assert.equal((await t.request('GET', '/api/lights', { token: viewer })).body.site.id, 'main');
+    assert.equal((await t.request('GET', '/api/sites/nowhere/lights', { token: viewer })).status, 404);
+
+    // The new site has its own feed topic
+    await t.publish('traffic/sites/bridge/vehicles/north', { vehicles_waiting: 5 });
+    assert.equal(t.site('bridge').vehicleData.approaches.north.vehicles_waiting, 5);
+    assert.equal(t.site().vehicleData.vehicles_waiting, 0);
+  });
+
+  it('renames a site straight away but changes signal groups only at rest', async () => {
+    const renamed = await t.request('PUT', '/api/sites/bridge', { token: t.adminToken, body: { name: 'New Bridge' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(t.site('bridge').site.name, 'New Bridge');
+
+    const lights = [...BRIDGE.lights, { id: 'bridge-s2', name: 'South bus lane', direction: 'south' }];
+    const busy = await t.request('PUT', '/api/sites/bridge', { token: t.adminToken, body: { lights } });
+    assert.equal(busy.status, 409);
+    assert.match(busy.body.error, /^Stop the site first/);
+
+    await t.request('POST', '/api/sites/bridge/emergency-stop', { token: t.adminToken, body: {} });
+    t.clock.advance(2000);
+    const changed = await t.request('PUT', '/api/sites/bridge', { token: t.adminToken, body: { lights } });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(Object.keys(t.site('bridge').lights), ['bridge-n', 'bridge-s', 'bridge-s2']);
+    // The restarted runtime keeps the site's state
+    assert.equal(t.site('bridge').trafficFlow.mode, 'manual');
+    assert.equal(t.site('bridge').vehicleData.approaches.north.vehicles_waiting, 5);
+  });
+
+  it('deletes a site only at rest, and never the last one', async () => {
+    await t.request('POST', '/api/sites/bridge/traffic-flow', { token: t.adminToken, body: { mode: 'automatic' } });
+    assert.equal((await t.request('DELETE', '/api/sites/bridge', { token: t.adminToken })).status, 409);
+
+    await t.request('POST', '/api/sites/bridge/emergency-stop', { token: t.adminToken, body: {} });
+    t.clock.advance(2000);
+    assert.equal((await t.request('DELETE', '/api/sites/bridge', { token: t.adminToken })).status, 200);
+    assert.equal(t.site('bridge'), undefined);
+    assert.equal((await t.request('GET', '/api/sites/bridge/lights', { token: viewer })).status, 404);
+
+    await t.request('POST', '/api/emergency-stop', { token: t.adminToken, body: {} });
+    t.clock.advance(2000);
+    const last = await t.request('DELETE', '/api/sites/main', { token: t.adminToken });
+    assert.equal(last.status, 409);
+    assert.equal(last.body.error, 'The last site cannot be deleted');
+  });
+
+  it('records the changes in the audit trail', async () => {
+    const entries = await waitFor(async () => {
+      const { body } = await t.request('GET', '/api/audit?category=admin&q=site', { token: t.adminToken });
+      return body.entries.length >= 4 && body.entries;
+    });
+    assert.deepEqual(entries.map(entry => entry.action).slice(0, 4), [
+      'delete site bridge',
+      'update site bridge',
+      'update site bridge',
+      'create site bridge'
+    ]);
+    assert.ok(entries.every(entry => entry.actor === 'admin'));
+  });
+});
+
+describe('system, audit and ingest routes', () => {
+  let t;
+  before(async () => {
+    t = await startServer();
+  });
+  after(() => t.stop());
+
+  it('reports the start-up time and a first start', async () => {
+    const { body } = await t.request('GET', '/api/system', { token: t.adminToken });
+    assert.equal(body.startedAt, new Date(t.clock.now()).toISOString());
+    assert.equal(body.lastShutdownClean, null);
+  });
+
+  it('validates audit queries and filters the entries', async () => {
+    assert.equal((await t.request('GET', '/api/audit?from=yesterday', { token: t.adminToken })).status, 400);
+    assert.equal((await t.request('GET', '/api/audit?limit=0', { token: t.adminToken })).status, 400);
+    assert.equal((await t.request('GET', '/api/audit', { token: await t.userToken('viewer') })).status, 403);
+
+    await t.request('POST', '/api/emergency-stop', { token: t.adminToken, body: { reason: 'audit test' } });
+    const { body } = await waitFor(async () => {
+      const response = await t.request('GET', '/api/audit?category=command&actor=admin', { token: t.adminToken });
+      return response.body.entries.length > 0 && response;
+    });
+    assert.equal(body.entries[0].reason, 'audit test');
+    assert.equal(body.entries[0].t, new Date(t.clock.now()).toISOString());
+  });
+
+  it('counts messages per source', async () => {
+    await t.publish('traffic/vehicles', { vehicles_waiting: 1 });
+    const { body } = await t.request('GET', '/api/ingest', { token: t.adminToken });
+    const feed = body.sources.find(source => source.source === 'traffic/vehicles');
+    assert.equal(feed.accepted, 1);
+
+    await t.publish('traffic/vehicles', { vehicles_waiting: 'many' });
+    const rejected = (await t.request('GET', '/api/ingest', { token: t.adminToken })).body.sources.find(source => source.source === 'traffic/vehicles');
+    assert.equal(rejected.rejected, 1);
+    assert.equal(rejected.lastRejectedAt, new Date(t.clock.now()).toISOString());
+  });
+});
+
+describe('config routes', () => {
+  let t;
+  before(async () => {
+    t = await startServer();
+  });
+  after(() => t.stop());
+
+  it('returns the active settings with their schema', async () => {
+    const { body } = await t.request('GET', '/api/config', { token: await t.userToken('viewer') });
+    assert.equal(body.version, 1);
+    assert.equal(typeof body.config.portal.pollIntervalMs, 'number');
+    assert.equal(body.schema.portal.fields.pollIntervalMs.type, 'integer');
+  });
+
+  it('saves a change as a new version, refusing stale and invalid ones', async () => {
+    const saved = await t.request('PUT', '/api/config', {
+      token: t.adminToken,
+      body: { config: { portal: { pollIntervalMs: 5000 } }, version: 1, reason: 'slower polling' }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.version, 2);
+    assert.equal(saved.body.config.portal.pollIntervalMs, 5000);
+
+    const stale = await t.request('PUT', '/api/config', { token: t.adminToken, body: { config: { portal: { pollIntervalMs: 3000 } }, version: 1 } });
+    assert.equal(stale.status, 409);
+    const invalid = await t.request('PUT', '/api/config', { token: t.adminToken, body: { config: { portal: { pollIntervalMs: 10 } } } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.errors.length > 0);
+    assert.equal((await t.request('PUT', '/api/config', { token: await t.userToken('operator'), body: { config: {} } })).status, 403);
+  });
+
+  it('lists the versions and rolls back to an earlier one', async () => {
+    const versions = await t.request('GET', '/api/config/versions', { token: t.adminToken });
+    assert.deepEqual(versions.body.versions.map(version => version.version), [2, 1]);
+    assert.equal(versions.body.versions[0].reason, 'slower polling');
+    assert.equal(versions.body.versions[0].savedAt, new Date(t.clock.now()).toISOString());
+
+    const rolledBack = await t.request('POST', '/api/config/rollback', { token: t.adminToken, body: { version: 1 } });
+    assert.equal(rolledBack.status, 200);
+    assert.equal(rolledBack.body.version, 3);
+    assert.equal(rolledBack.body.config.portal.pollIntervalMs, versions.body.versions[1].config.portal.pollIntervalMs);
+    assert.equal((await t.request('POST', '/api/config/rollback', { token: t.adminToken, body: { version: 3 } })).status, 409);
+    assert.equal((await t.request('POST', '/api/config/rollback', { token: t.adminToken, body: { version: 9 } })).status, 404);
+  });
+});
+
+describe('schedule routes', () => {
+  let t;
+  let viewer;
+  before(async () => {
+    t = await startServer();
+    viewer = await t.userToken('viewer');
+  });
+  after(() => t.stop());
+
+  it('starts with the adaptive plan', async () => {
+    const { body } = await t.request('GET', '/api/schedule', { token: viewer });
+    assert.equal(body.schedule.defaultPlanId, 'adaptive');
+    assert.equal(body.active.type, 'adaptive');
+    assert.ok(body.planTypes.includes('fixed'));
+  });
+
+  it('replaces the schedule and switches to the plan it calls for', async () => {
+    const schedule = {
+      plans: [
+        { id: 'adaptive', name: 'Adaptive', type: 'adaptive' },
+        { id: 'night', name: 'Night', type: 'flashing-yellow' }
+      ],
+      // Every day from 22:00 (server time) for 8 hours
+      rules: [{ name: 'Nights', planId: 'night', cron: '0 22 * * *', durationMinutes: 480 }],
+      exceptions: [],
+      defaultPlanId: 'night',
+      reason: 'quiet road'
+    };
+    const saved = await t.request('PUT', '/api/schedule', { token: t.adminToken, body: schedule });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.active.id, 'night');
+    assert.equal(t.site().trafficFlow.plan.type, 'flashing-yellow');
+
+    const invalid = await t.request('PUT', '/api/schedule', { token: t.adminToken, body: { ...schedule, defaultPlanId: 'missing' } });
+    assert.equal(invalid.status, 400);
+    const cron = await t.request('PUT', '/api/schedule', { token: t.adminToken, body: { ...schedule, rules: [{ ...schedule.rules[0], cron: '61 * * * *' }] } });
+    assert.equal(cron.status, 400);
+    assert.equal((await t.request('PUT', '/api/schedule', { token: viewer, body: schedule })).status, 403);
+  });
+
+  it('lays out the plans over the coming days', async () => {
+    const { body } = await t.request('GET', '/api/schedule/calendar?days=2', { token: viewer });
+    assert.equal(body.from, new Date(t.clock.now()).toISOString());
+    assert.equal(body.to, new Date(t.clock.now() + 2 * 24 * 60 * 60 * 1000).toISOString());
+    assert.ok(body.blocks.length > 0);
+    assert.ok(body.blocks.every(block => block.planId === 'night'));
+
+    assert.equal((await t.request('GET', '/api/schedule/calendar?from=soon', { token: viewer })).status, 400);
+    assert.equal((await t.request('GET', '/api/schedule/calendar?days=40', { token: viewer })).status, 400);
+  });
+
+  it('gives green after the overnight flashing yellow only once the passage is clear', async () => {
+    const CLEARANCE_MS = 36 * 1000;
+    const lightStates = () => Object.values(t.site().lights).map(light => light.state);
+    const plans = [
+      { id: 'night', name: 'Night', type: 'flashing-yellow' },
+      { id: 'morning', name: 'Morning', type: 'forced', direction: 'inbound' }
+    ];
+    await t.request('PUT', '/api/schedule', { token: t.adminToken, body: { plans, rules: [], exceptions: [], defaultPlanId: 'morning' } });
+    t.clock.advance(CLEARANCE_MS);
+    assert.deepEqual(lightStates(), ['green', 'red']);
+
+    // Flashing yellow from this minute (server time) for two minutes
+    const now = new Date(t.clock.now());
+    const rules = [{ name: 'Nights', planId: 'night', cron: `${now.getMinutes()} ${now.getHours()} * * *`, durationMinutes: 2 }];
+    await t.request('PUT', '/api/schedule', { token: t.adminToken, body: { plans, rules, exceptions: [], defaultPlanId: 'morning' } });
+    t.clock.advance(3000);
+    assert.deepEqual(lightStates(), ['flashing-yellow', 'flashing-yellow']);
+
+    // The morning plan serves inbound again, from the start of the all-red
+    while (lightStates()[0] === 'flashing-yellow') t.clock.advance(1000);
+    assert.equal(t.site().trafficFlow.plan.id, 'morning');
+    assert.deepEqual(lightStates(), ['red', 'red']);
+    t.clock.advance(CLEARANCE_MS - 1000);
+    assert.deepEqual(lightStates(), ['red', 'red']);
+    t.clock.advance(1000);
+    assert.deepEqual(lightStates(), ['green', 'red']);
+  });
+});
+
+describe('simulator routes', () => {
+  let t;
+  let viewer;
+  before(async () => {
+    t = await startServer();
+    viewer = await t.userToken('viewer');
+  });
+  after(() => t.stop());
+
+  it('is stopped at first', async () => {
+    assert.deepEqual((await t.request('GET', '/api/simulator', { token: viewer })).body, { running: false });
+    assert.equal((await t.request('POST', '/api/simulator/stop', { token: t.adminToken, body: {} })).status, 409);
+  });
+
+  it('validates the settings', async () => {
+    const unknown = await t.request('POST', '/api/simulator/start', { token: t.adminToken, body: { speed: 3 } });
+    assert.equal(unknown.status, 400);
+    const direction = await t.request('POST', '/api/simulator/start', { token: t.adminToken, body: { arrivalsPerMinute: { north: 5 } } });
+    assert.equal(direction.status, 400);
+    assert.equal((await t.request('POST', '/api/simulator/start', { token: viewer, body: {} })).status, 403);
+  });
+
+  it('feeds simulated traffic through the feed ingestion until stopped', async () => {
+    const started = await t.request('POST', '/api/simulator/start', {
+      token: t.adminToken,
+      body: { arrivalsPerMinute: 30, emergencyPerHour: 0 }
+    });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.startedAt, new Date(t.clock.now()).toISOString());
+    assert.equal((await t.request('POST', '/api/simulator/start', { token: t.adminToken, body: {} })).status, 409);
+
+    t.clock.advance(60 * 1000);
+    const { body } = await t.request('GET', '/api/simulator', { token: viewer });
+    assert.equal(body.running, true);
+    const arrivals = Object.values(body.approaches).reduce((sum, approach) => sum + approach.arrivalsLastMinute, 0);
+    assert.ok(arrivals > 0);
+
+    // Simulated messages are counted under the topics a camera would use
+    const inbound = async () => (await t.request('GET', '/api/ingest', { token: viewer })).body.sources
+      .find(source => source.source === 'traffic/vehicles/inbound');
+    const { accepted, rejected } = await inbound();
+    assert.ok(accepted > 0);
+    assert.equal(rejected, 0);
+    assert.equal(t.site().vehicleData.approaches.inbound.camera, 'simulator-inbound');
+
+    const stopped = await t.request('POST', '/api/simulator/stop', { token: t.adminToken, body: { reason: 'done' } });
+    assert.deepEqual(stopped.body, { running: false });
+    t.clock.advance(10 * 1000);
+    assert.equal((await inbound()).accepted, accepted);
+  });
+});
+
+describe('simulated demo', () => {
+  let t;
+  before(async () => {
+    // As run by `npm run simulate`: no field controllers, watchdog on
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = true;
+        fieldConfig.enabled = false;
+      }
+    });
+  });
+  after(() => t.stop());
+
+  it('keeps cycling past the watchdog timeouts', async () => {
+    await t.request('POST', '/api/simulator/start', { token: t.adminToken, body: { arrivalsPerMinute: 20, emergencyPerHour: 0 } });
+
+    const served = new Set();
+    for (let elapsed = 0; elapsed < 3 * 60 * 1000; elapsed += 1000) {
+      t.clock.advance(1000);
+      Object.values(t.site().lights).filter(light => light.state === 'green').forEach(light => served.add(light.id));
+    }
+    assert.equal(t.site().trafficFlow.failsafe, null);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+    assert.deepEqual([...served].sort(), ['light1', 'light2']);
+    assert.ok(t.site().watchdog.status().every(source => source.status === 'ok'));
+  });
+});
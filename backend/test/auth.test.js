@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, ADMIN_PASSWORD } from './helpers.js';
+
+describe('auth routes', () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.stop());
+
+  it('logs in, returns the user and logs out', async () => {
+    const login = await t.request('POST', '/api/auth/login', { body: { username: 'admin', password: ADMIN_PASSWORD } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.role, 'admin');
+    assert.equal(login.body.expiresAt, new Date(t.clock.now() + 12 * 60 * 60 * 1000).toISOString());
+
+    const me = await t.request('GET', '/api/auth/me', { token: login.body.token });
+    assert.deepEqual(me.body.user, { username: 'admin', role: 'admin', via: 'session' });
+
+    assert.equal((await t.request('POST', '/api/auth/logout', { token: login.body.token })).status, 200);
+    assert.equal((await t.request('GET', '/api/auth/me', { token: login.body.token })).status, 401);
+  });
+
+  it('rejects a wrong password and locks the account after repeated failures', async () => {
+    await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'locked', password: 'right-password', role: 'viewer' } });
+    for (let i = 0; i < 5; i += 1) {
+      const failed = await t.request('POST', '/api/auth/login', { body: { username: 'locked', password: 'wrong-password' } });
+      assert.equal(failed.status, 401);
+    }
+    const locked = await t.request('POST', '/api/auth/login', { body: { username: 'locked', password: 'right-password' } });
+    assert.equal(locked.status, 429);
+
+    t.clock.advance(61 * 1000);
+    const unlocked = await t.request('POST', '/api/auth/login', { body: { username: 'locked', password: 'right-password' } });
+    assert.equal(unlocked.status, 200);
+  });
+
+  it('starts counting failed logins afresh once a lockout has run out', async () => {
+    await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'relocked', password: 'right-password', role: 'viewer' } });
+    const attempt = (password) => t.request('POST', '/api/auth/login', { body: { username: 'relocked', password } });
+    for (let i = 0; i < 5; i += 1) await attempt('wrong-password');
+    assert.equal((await attempt('right-password')).status, 429);
+
+    t.clock.advance(61 * 1000);
+    assert.equal((await attempt('wrong-password')).status, 401);
+    assert.equal((await attempt('right-password')).status, 200);
+  });
+
+  it('keeps no failed logins for unknown usernames', async () => {
+    const attempt = (password) => t.request('POST', '/api/auth/login', { body: { username: 'ghost', password } });
+    for (let i = 0; i < 6; i += 1) assert.equal((await attempt('wrong-password')).status, 401);
+
+    // Nothing was kept for the name, so an account created with it isn't locked
+    await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'ghost', password: 'right-password', role: 'viewer' } });
+    assert.equal((await attempt('right-password')).status, 200);
+  });
+
+  it('closes the live streams of a session when it logs out', async () => {
+    const token = await t.login();
+    const response = await fetch(`${t.baseUrl}/api/stream?access_token=${token}`);
+    const reader = response.body.getReader();
+    // Read up to the snapshot
+    let received = '';
+    while (!received.includes('event: snapshot')) received += new TextDecoder().decode((await reader.read()).value);
+
+    await t.request('POST', '/api/auth/logout', { token });
+    for (;;) {
+      const { done } = await reader.read();
+      if (done) break;
+    }
+    assert.equal((await fetch(`${t.baseUrl}/api/stream?access_token=${token}`)).status, 401);
+  });
+
+  it('expires sessions after the inactivity period', async () => {
+    const token = await t.login();
+    t.clock.advance(11 * 60 * 60 * 1000);
+    // Using the session extends it
+    assert.equal((await t.request('GET', '/api/auth/me', { token })).status, 200);
+    t.clock.advance(11 * 60 * 60 * 1000);
+    assert.equal((await t.request('GET', '/api/auth/me', { token })).status, 200);
+    t.clock.advance(12 * 60 * 60 * 1000);
+    assert.equal((await t.request('GET', '/api/auth/me', { token })).status, 401);
+  });
+
+  it('answers 401 without a token and 403 below the required role', async () => {
+    assert.equal((await t.request('GET', '/api/lights')).status, 401);
+    const viewer = await t.userToken('viewer');
+    assert.equal((await t.request('GET', '/api/lights', { token: viewer })).status, 200);
+    const forbidden = await t.request('POST', '/api/emergency-stop', { token: viewer, body: {} });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.role, 'viewer');
+    assert.equal((await t.request('GET', '/api/users', { token: viewer })).status, 403);
+  });
+});
+
+describe('user routes', () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.stop());
+
+  it('creates, lists, updates and deletes users', async () => {
+    const created = await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'jordan', password: 'password-1', role: 'operator' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.role, 'operator');
+    assert.equal((await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'jordan', password: 'password-1' } })).status, 409);
+    assert.equal((await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'x', password: 'password-1' } })).status, 400);
+    assert.equal((await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'sam', password: 'short' } })).status, 400);
+
+    const list = await t.request('GET', '/api/users', { token: t.adminToken });
+    assert.deepEqual(list.body.users.map(user => user.username).sort(), ['admin', 'jordan']);
+
+    // A role change ends the user's sessions
+    const session = await t.login('jordan', 'password-1');
+    const updated = await t.request('PUT', '/api/users/jordan', { token: t.adminToken, body: { role: 'viewer' } });
+    assert.equal(updated.body.user.role, 'viewer');
+    assert.equal((await t.request('GET', '/api/auth/me', { token: session })).status, 401);
+    assert.equal((await t.request('PUT', '/api/users/nobody', { token: t.adminToken, body: { role: 'viewer' } })).status, 404);
+    assert.equal((await t.request('PUT', '/api/users/jordan', { token: t.adminToken, body: { role: 'root' } })).status, 400);
+
+    assert.equal((await t.request('DELETE', '/api/users/jordan', { token: t.adminToken })).status, 200);
+    assert.equal((await t.request('DELETE', '/api/users/jordan', { token: t.adminToken })).status, 404);
+  });
+
+  it('keeps the last admin', async () => {
+    assert.equal((await t.request('PUT', '/api/users/admin', { token: t.adminToken, body: { role: 'operator' } })).status, 409);
+    assert.equal((await t.request('DELETE', '/api/users/admin', { token: t.adminToken })).status, 409);
+  });
+
+  it('issues, uses and revokes API tokens', async () => {
+    const issued = await t.request('POST', '/api/tokens', { token: t.adminToken, body: { name: 'camera', role: 'operator' } });
+    assert.equal(issued.status, 201);
+    assert.equal(typeof issued.body.token, 'string');
+    assert.equal((await t.request('POST', '/api/tokens', { token: t.adminToken, body: { name: ' ' } })).status, 400);
+
+    const me = await t.request('GET', '/api/auth/me', { token: issued.body.token });
+    assert.deepEqual(me.body.user, { username: 'token:camera', role: 'operator', via: 'api-token' });
+
+    const list = await t.request('GET', '/api/tokens', { token: t.adminToken });
+    assert.equal(list.body.tokens.length, 1);
+    assert.equal(list.body.tokens[0].lastUsedAt, new Date(t.clock.now()).toISOString());
+    assert.equal(list.body.tokens[0].token, undefined);
+
+    assert.equal((await t.request('DELETE', `/api/tokens/${issued.body.id}`, { token: t.adminToken })).status, 200);
+    assert.equal((await t.request('DELETE', `/api/tokens/${issued.body.id}`, { token: t.adminToken })).status, 404);
+    assert.equal((await t.request('GET', '/api/auth/me', { token: issued.body.token })).status, 401);
+  });
+});
@@ -0,0 +1,201 @@
+// Shared setup of the test suite: a manual clock, an in-process MQTT broker
+// and a server app running on a temporary data directory.
+
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'net';
+import { once } from 'events';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+
+import { createApp } from '../App.js';
+import { createStorage, storageConfig } from '../Storage.js';
+import { authConfig } from '../Auth.js';
+
+// The server logs every change it makes; TEST_LOGS=1 shows them along with the results
+if (!process.env.TEST_LOGS) {
+  ['log', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
+
+export const ADMIN_PASSWORD = 'test-admin-password';
+export const FEED_CLIENT_ID = 'test_feed';
+
+// Clock whose time only moves when advance() is called. Timers due in the
+// advanced interval run in order, each at its own time.
+export function createFakeClock(start = Date.parse('2026-03-02T08:00:00.000Z')) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, fn, intervalMs }
+
+  const schedule = (fn, ms, repeat) => {
+    const delay = Math.max(Number(ms) || 0, 0);
+    const id = nextId++;
+    timers.set(id, { at: now + delay, fn, intervalMs: repeat ? Math.max(delay, 1) : null });
+    return id;
+  };
+  const cancel = (id) => timers.delete(id);
+
+  function advance(ms) {
+    const target = now + ms;
+    for (;;) {
+      const [due] = [...timers.entries()]
+        .filter(([, timer]) => timer.at <= target)
+        .sort(([idA, a], [idB, b]) => a.at - b.at || idA - idB);
+      if (!due) break;
+      const [id, timer] = due;
+      now = timer.at;
+      if (timer.intervalMs) timer.at += timer.intervalMs;
+      else timers.delete(id);
+      timer.fn();
+    }
+    now = target;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: cancel,
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: cancel,
+    advance,
+    // Timers still scheduled
+    pending: () => timers.size
+  };
+}
+
+// Resolve once check() returns a truthy value, polling in real time
+export async function waitFor(check, { timeoutMs = 2000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function startBroker() {
+  const broker = await Aedes.createBroker();
+  const server = createServer(broker.handle);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    broker,
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    async close() {
+      await new Promise(resolve => broker.close(resolve));
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Start the app with a fake clock, a temporary data directory and a local
+// broker, log in as the bootstrap admin and connect a client for the vision feed.
+// - before(): called before the app is created, e.g. to change module settings
+export async function startTestServer({ clock = createFakeClock(), before = () => {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'traffic-control-test-'));
+  const broker = await startBroker();
+  authConfig.bootstrapPassword = ADMIN_PASSWORD;
+  before();
+
+  // The server's MQTT client subscribes once connected; its main feed topic is the last ready signal
+  const subscribed = new Promise(resolve => {
+    broker.broker.on('subscribe', (subscriptions, client) => {
+      if (client.id !== FEED_CLIENT_ID && subscriptions.some(({ topic }) => topic === 'traffic/vehicles')) resolve();
+    });
+  });
+
+  const server = createApp({
+    storage: createStorage({ ...storageConfig, dir }),
+    clock,
+    connectMqtt: (url, options) => mqtt.connect(broker.url, options)
+  });
+  const http = server.app.listen(0, '127.0.0.1');
+  await once(http, 'listening');
+  const baseUrl = `http://127.0.0.1:${http.address().port}`;
+  server.start();
+  await subscribed;
+
+  const feed = await mqtt.connectAsync(broker.url, { clientId: FEED_CLIENT_ID });
+  const received = []; // { topic, message } the feed client saw, e.g. field controller commands
+
+  // Call the API; body is sent as JSON and the JSON answer parsed
+  async function request(method, path, { token, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function login(username = 'admin', password = ADMIN_PASSWORD) {
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (status !== 200) throw new Error(`Login as ${username} failed: ${body.error}`);
+    return body.token;
+  }
+
+  const adminToken = await login();
+
+  // A user with the given role, logged in; returns the session token
+  async function userToken(role) {
+    const username = `test-${role}`;
+    const { status, body } = await request('POST', '/api/users', { token: await login(), body: { username, password: 'test-password', role } });
+    if (status !== 201 && status !== 409) throw new Error(`Creating ${username} failed: ${body.error}`);
+    return login(username, 'test-password');
+  }
+
+  // Publish a feed message and wait until the server has handled it: its
+  // client acknowledges a message once the message handler has run. Messages
+  // are published one at a time, so the next acknowledgement is this one's.
+  // message is sent as JSON unless it is a string.
+  async function publish(topic, message) {
+    const handled = new Promise(resolve => {
+      const onAck = (packet, client) => {
+        if (client.id === FEED_CLIENT_ID) return;
+        broker.broker.off('ack', onAck);
+        resolve();
+      };
+      broker.broker.on('ack', onAck);
+    });
+    await feed.publishAsync(topic, typeof message === 'string' ? message : JSON.stringify(message), { qos: 1 });
+    await handled;
+  }
+
+  // Receive what the server publishes on a topic (wildcards allowed)
+  async function subscribe(topic) {
+    await feed.subscribeAsync(topic, { qos: 1 });
+  }
+  feed.on('message', (topic, message) => received.push({ topic, message: JSON.parse(message.toString()) }));
+
+  return {
+    server,
+    clock,
+    baseUrl,
+    dir,
+    adminToken,
+    request,
+    login,
+    userToken,
+    publish,
+    subscribe,
+    received,
+    // Runtime of a site; main is the default site
+    site: (siteId = 'main') => server.runtimes.get(siteId),
+    async stop() {
+      await feed.endAsync();
+      await server.stop();
+      http.closeAllConnections();
+      await new Promise(resolve => http.close(resolve));
+      await broker.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
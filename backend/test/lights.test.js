@@ -0,0 +1,231 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, waitFor } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+// Clearance of the default 150 m passage at the 15 km/h assumed without speed data
+const CLEARANCE_MS = 36 * 1000;
+
+const lightStates = (body) => Object.fromEntries(Object.values(body.lights).map(light => [light.id, light.state]));
+
+describe('light and traffic flow routes', () => {
+  let t;
+  let operator;
+  const control = (lightId, action, token = operator) =>
+    t.request('POST', `/api/lights/${lightId}/control`, { token, body: { action } });
+  const auditEntries = async (category) => (await t.request('GET', `/api/audit?category=${category}`, { token: operator })).body.entries;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        // The heartbeats and field controllers are covered in mqtt.test.js
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+  });
+  after(() => t.stop());
+
+  it('starts all-red in automatic mode and gives the first green after the clearance', async () => {
+    let lights = await t.request('GET', '/api/lights', { token: operator });
+    assert.equal(lights.body.site.id, 'main');
+    assert.equal(lights.body.trafficFlow.mode, 'automatic');
+    assert.equal(lights.body.signal.phase, 'all-red');
+    assert.equal(lights.body.signal.pending, null);
+
+    // The controller waits for the passage to settle, then asks for inbound;
+    // the all-red shown so far counts towards the clearance
+    t.clock.advance(3000);
+    assert.deepEqual(t.site().signal.snapshot().pending.lightIds, ['light1']);
+    assert.equal(t.site().signal.snapshot().timeRemainingMs, CLEARANCE_MS - 3000);
+
+    t.clock.advance(CLEARANCE_MS - 3000);
+    lights = await t.request('GET', '/api/lights', { token: operator });
+    assert.deepEqual(lightStates(lights.body), { light1: 'green', light2: 'red' });
+    assert.ok(lights.body.trafficFlow.greenDuration > 0);
+  });
+
+  describe('from all-red in manual mode', () => {
+    beforeEach(async () => {
+      const stopped = await t.request('POST', '/api/emergency-stop', { token: operator, body: {} });
+      assert.equal(stopped.status, 200);
+      t.clock.advance(5000);
+    });
+
+    it('emergency stop turns every light red and suspends automatic mode', async () => {
+      const lights = await t.request('GET', '/api/lights', { token: operator });
+      assert.deepEqual(lightStates(lights.body), { light1: 'red', light2: 'red' });
+      assert.equal(lights.body.signal.phase, 'all-red');
+      assert.equal(lights.body.trafficFlow.mode, 'manual');
+      assert.equal(lights.body.trafficFlow.greenDuration, null);
+      const [entry] = await waitFor(async () => {
+        const entries = await auditEntries('command');
+        return entries.some(candidate => candidate.action === 'emergency stop') && entries;
+      });
+      assert.equal(entry.action, 'emergency stop');
+      assert.equal(entry.next.mode, 'manual');
+      assert.equal(entry.next.pending, 'all-red');
+    });
+
+    it('gets a single light and answers 404 for an unknown one', async () => {
+      const light = await t.request('GET', '/api/lights/light2', { token: operator });
+      assert.equal(light.status, 200);
+      assert.equal(light.body.light.direction, 'outbound');
+      assert.equal((await t.request('GET', '/api/lights/nope', { token: operator })).status, 404);
+      assert.equal((await control('nope', 'green')).status, 404);
+    });
+
+    it('rejects an unknown action', async () => {
+      const response = await control('light1', 'blue');
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /Unknown action 'blue'/);
+    });
+
+    it('green: serves the light, through the clearance on a direction reversal', async () => {
+      // light1 was served last, so light2 needs the clearance first; the
+      // all-red already shown counts towards it
+      const response = await control('light2', 'green');
+      assert.equal(response.status, 200);
+      assert.equal(response.body.signal.phase, 'all-red');
+      assert.deepEqual(response.body.signal.pending.lightIds, ['light2']);
+      assert.equal(response.body.signal.clearance.active, true);
+      const remainingMs = response.body.signal.timeRemainingMs;
+      assert.ok(remainingMs > 0 && remainingMs <= CLEARANCE_MS - 5000);
+
+      t.clock.advance(remainingMs - 1);
+      assert.equal(t.site().lights.light2.state, 'red');
+      t.clock.advance(1);
+      assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'green' });
+
+      // Serving the same light again needs no clearance
+      await control('light2', 'red');
+      t.clock.advance(1000);
+      const again = await control('light2', 'green');
+      assert.deepEqual(lightStates(again.body), { light1: 'red', light2: 'green' });
+    });
+
+    it('red: ends a green through yellow', async () => {
+      await control('light1', 'green');
+      t.clock.advance(CLEARANCE_MS);
+      assert.equal(t.site().lights.light1.state, 'green');
+
+      const response = await control('light1', 'red');
+      assert.equal(response.status, 200);
+      assert.deepEqual(lightStates(response.body), { light1: 'yellow', light2: 'red' });
+      t.clock.advance(1000);
+      assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+      assert.equal(t.site().signal.snapshot().phase, 'all-red');
+    });
+
+    it('red: leaves another light alone', async () => {
+      await control('light1', 'green');
+      t.clock.advance(CLEARANCE_MS);
+      const response = await control('light2', 'red');
+      assert.deepEqual(lightStates(response.body), { light1: 'green', light2: 'red' });
+    });
+
+    it('toggle: a red light goes green, a green one goes red', async () => {
+      await control('light1', 'toggle');
+      t.clock.advance(CLEARANCE_MS);
+      assert.equal(t.site().lights.light1.state, 'green');
+
+      const response = await control('light1', 'toggle');
+      assert.equal(response.body.lights.light1.state, 'yellow');
+      t.clock.advance(1000);
+      assert.equal(t.site().lights.light1.state, 'red');
+    });
+
+    it('yellow: holds a green light yellow until the next command', async () => {
+      await control('light1', 'green');
+      t.clock.advance(CLEARANCE_MS);
+
+      const response = await control('light1', 'yellow');
+      assert.equal(response.status, 200);
+      assert.equal(response.body.lights.light1.state, 'yellow');
+      t.clock.advance(60 * 1000);
+      assert.equal(t.site().lights.light1.state, 'yellow');
+
+      await control('light1', 'red');
+      assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    });
+
+    it('yellow: is blocked by the conflict monitor while a conflicting light is green', async () => {
+      await control('light1', 'green');
+      t.clock.advance(CLEARANCE_MS);
+
+      const response = await control('light2', 'yellow');
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error, 'Transition blocked by conflict monitor');
+      assert.deepEqual(lightStates(response.body), { light1: 'green', light2: 'red' });
+      const entries = await waitFor(async () => {
+        const found = await auditEntries('conflict');
+        return found.length > 0 && found;
+      });
+      assert.equal(entries[0].outcome, 'blocked');
+    });
+
+    it('a light command in automatic mode switches to manual', async () => {
+      await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'automatic' } });
+      assert.equal(t.site().trafficFlow.mode, 'automatic');
+      const response = await control('light1', 'green');
+      assert.equal(response.body.trafficFlow.mode, 'manual');
+    });
+
+    it('rejects light and flow commands during emergency pre-emption', async () => {
+      await t.request('POST', '/api/vehicles', { token: operator, body: { emergency_count: 1, emergency_direction: 'outbound' } });
+      assert.equal(t.site().trafficFlow.preemption.direction, 'outbound');
+
+      const light = await control('light1', 'green');
+      assert.equal(light.status, 409);
+      assert.equal(light.body.error, 'Emergency pre-emption in progress');
+      const flow = await t.request('POST', '/api/traffic-flow', { token: operator, body: { direction: 'inbound' } });
+      assert.equal(flow.status, 409);
+
+      const rejected = await waitFor(async () => {
+        const entries = await auditEntries('command');
+        return entries.find(entry => entry.outcome === 'rejected');
+      });
+      assert.equal(rejected.reason, 'Emergency pre-emption in progress');
+
+      // Emergency stop cancels the pre-emption
+      const stopped = await t.request('POST', '/api/emergency-stop', { token: operator, body: { reason: 'test' } });
+      assert.equal(stopped.body.trafficFlow.preemption, null);
+      assert.equal(t.site().preemption.status(), null);
+      await t.request('POST', '/api/vehicles', { token: operator, body: { emergency_count: 0 } });
+    });
+
+    it('traffic flow: validates mode and direction', async () => {
+      const mode = await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'sideways' } });
+      assert.equal(mode.status, 400);
+      const direction = await t.request('POST', '/api/traffic-flow', { token: operator, body: { direction: 'north' } });
+      assert.equal(direction.status, 400);
+    });
+
+    it('traffic flow: a direction is served in manual mode', async () => {
+      const response = await t.request('POST', '/api/traffic-flow', { token: operator, body: { direction: 'outbound', reason: 'roadworks' } });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.trafficFlow.mode, 'manual');
+      assert.equal(response.body.trafficFlow.currentDirection, 'outbound');
+      t.clock.advance(CLEARANCE_MS);
+      assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'green' });
+    });
+
+    it('traffic flow: automatic mode resumes the scheduled plan and alternates directions', async () => {
+      const response = await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'automatic', direction: 'inbound' } });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.trafficFlow.mode, 'automatic');
+      assert.equal(response.body.trafficFlow.plan.type, 'adaptive');
+
+      t.clock.advance(CLEARANCE_MS);
+      assert.equal(t.site().lights.light1.state, 'green');
+      const greenMs = t.site().trafficFlow.greenDuration * 1000;
+      // Green, yellow and the clearance, then the other direction
+      t.clock.advance(greenMs + 1000 + CLEARANCE_MS);
+      assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'green' });
+      assert.equal(t.site().trafficFlow.currentDirection, 'outbound');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+// Clearance of the default 150 m passage at the 15 km/h assumed without speed data
+const CLEARANCE_MS = 36 * 1000;
+const YELLOW_MS = 1000;
+
+const lightStates = (site) => Object.fromEntries(Object.values(site.lights).map(light => [light.id, light.state]));
+
+describe('fixed-time and actuated modes', () => {
+  let t;
+  let operator;
+  const flow = (body) => t.request('POST', '/api/traffic-flow', { token: operator, body });
+  const decision = () => t.site().trafficFlow.phaseDecision;
+  // Each arrival raises the count of the approach
+  let counted = 0;
+  const arrive = (direction) => t.publish(`traffic/vehicles/${direction}`, { total_vehicles_counted: ++counted });
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+  });
+  after(() => t.stop());
+
+  it('rejects invalid splits and green limits', async () => {
+    const splits = await flow({ mode: 'fixed-time', splits: { inbound: 20 } });
+    assert.equal(splits.status, 400);
+    assert.match(splits.body.error, /green for outbound in plan fixed-time/);
+    const limits = await flow({ mode: 'actuated', minGreenSeconds: 40, maxGreenSeconds: 20 });
+    assert.equal(limits.status, 400);
+    const gap = await flow({ mode: 'actuated', gapSeconds: 0 });
+    assert.equal(gap.status, 400);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+  });
+
+  it('fixed-time: runs the given split for each direction', async () => {
+    const response = await flow({ mode: 'fixed-time', direction: 'inbound', splits: { inbound: 15, outbound: 25 } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.trafficFlow.mode, 'fixed-time');
+    assert.deepEqual(response.body.trafficFlow.modePlan.greenSeconds, { inbound: 15, outbound: 25 });
+
+    t.clock.advance(CLEARANCE_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'green', light2: 'red' });
+    assert.equal(t.site().trafficFlow.greenDuration, 15);
+    assert.equal(decision().state, 'timed');
+    assert.match(decision().message, /^Fixed-time green of 15s/);
+
+    t.clock.advance(15 * 1000 + YELLOW_MS + CLEARANCE_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'green' });
+    assert.equal(t.site().trafficFlow.greenDuration, 25);
+  });
+
+  it('actuated: gaps out at the minimum green without arrivals', async () => {
+    const response = await flow({ mode: 'actuated', direction: 'inbound', minGreenSeconds: 10, maxGreenSeconds: 30, gapSeconds: 3 });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.trafficFlow.mode, 'actuated');
+
+    // The outbound green of the fixed-time mode ends through yellow and all-red
+    t.clock.advance(YELLOW_MS + CLEARANCE_MS);
+    assert.equal(t.site().lights.light1.state, 'green');
+    assert.equal(decision().state, 'min-green');
+    assert.equal(decision().nextChangeAt, new Date(t.clock.now() + 10 * 1000).toISOString());
+
+    t.clock.advance(10 * 1000);
+    assert.equal(t.site().lights.light1.state, 'yellow');
+    assert.equal(decision().state, 'gap-out');
+    const { body } = await t.request('GET', '/api/audit?category=controller', { token: operator });
+    assert.equal(body.entries[0].action, 'gap-out inbound');
+  });
+
+  it('actuated: arrivals extend the green until the gap runs out', async () => {
+    t.clock.advance(YELLOW_MS + CLEARANCE_MS);
+    assert.equal(t.site().lights.light2.state, 'green');
+
+    t.clock.advance(8 * 1000);
+    await arrive('outbound');
+    t.clock.advance(2 * 1000);
+    assert.equal(t.site().lights.light2.state, 'green');
+    assert.equal(decision().state, 'extending');
+    assert.equal(decision().nextChangeAt, new Date(t.clock.now() + 1000).toISOString());
+    assert.equal(t.site().trafficFlow.nextChangeAt, decision().nextChangeAt);
+
+    // Arrivals on the other approach do not hold this green
+    await arrive('inbound');
+    t.clock.advance(1000);
+    assert.equal(t.site().lights.light2.state, 'yellow');
+    assert.equal(decision().state, 'gap-out');
+  });
+
+  it('actuated: ends the green at the maximum while vehicles keep arriving', async () => {
+    t.clock.advance(YELLOW_MS + CLEARANCE_MS);
+    assert.equal(t.site().lights.light1.state, 'green');
+
+    for (let second = 0; second < 30; second += 2) {
+      await arrive('inbound');
+      t.clock.advance(2 * 1000);
+    }
+    assert.equal(t.site().lights.light1.state, 'yellow');
+    assert.equal(decision().state, 'max-out');
+  });
+
+  it('actuated: a standing queue or site-wide data does not hold the green', async () => {
+    const steady = async () => {
+      await t.publish('traffic/vehicles/inbound', { vehicles_waiting: 5 });
+      await t.publish('traffic/vehicles/outbound', { vehicles_waiting: 3 });
+      await t.publish('traffic/vehicles', { vehicles_waiting: 8 });
+    };
+    await steady();
+    t.clock.advance(YELLOW_MS + CLEARANCE_MS);
+    assert.equal(t.site().lights.light2.state, 'green');
+
+    for (let second = 0; second < 10; second++) {
+      await steady();
+      t.clock.advance(1000);
+    }
+    assert.equal(t.site().lights.light2.state, 'yellow');
+    assert.equal(decision().state, 'gap-out');
+  });
+
+  it('a manual command leaves the mode and its plan', async () => {
+    const response = await flow({ direction: 'inbound' });
+    assert.equal(response.body.trafficFlow.mode, 'manual');
+    assert.equal(response.body.trafficFlow.modePlan, null);
+    assert.equal(response.body.trafficFlow.phaseDecision, null);
+  });
+});
+
+describe('flashing and dark modes', () => {
+  let t;
+  let operator;
+  const flow = (body) => t.request('POST', '/api/traffic-flow', { token: operator, body });
+  const ALL_RED_MS = 2000;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+    // Start from inbound being served
+    t.clock.advance(CLEARANCE_MS);
+  });
+  after(() => t.stop());
+
+  it('flashing-yellow: entered through yellow and all-red', async () => {
+    assert.equal(t.site().lights.light1.state, 'green');
+    const response = await flow({ mode: 'flashing-yellow', reason: 'night' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.trafficFlow.mode, 'flashing-yellow');
+    assert.equal(t.site().lights.light1.state, 'yellow');
+
+    t.clock.advance(YELLOW_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    t.clock.advance(ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'flashing-yellow', light2: 'flashing-yellow' });
+    assert.equal(t.site().signal.snapshot().phase, 'flashing-yellow');
+  });
+
+  it('flashing-red and dark: switched between through all-red', async () => {
+    await flow({ mode: 'flashing-red' });
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    t.clock.advance(ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'flashing-red', light2: 'flashing-red' });
+
+    const response = await flow({ mode: 'dark' });
+    assert.equal(response.body.trafficFlow.mode, 'dark');
+    t.clock.advance(ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'off', light2: 'off' });
+  });
+
+  it('rejects a direction with a steady mode', async () => {
+    const response = await flow({ mode: 'dark', direction: 'inbound' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Mode 'dark' serves no direction");
+  });
+
+  it('returns to the steady mode once an emergency pre-emption ends', async () => {
+    await t.request('POST', '/api/vehicles', { token: operator, body: { emergency_count: 1, emergency_direction: 'outbound' } });
+    assert.equal(t.site().trafficFlow.preemption.direction, 'outbound');
+    t.clock.advance(CLEARANCE_MS);
+    assert.equal(t.site().lights.light2.state, 'green');
+
+    await t.request('POST', '/api/vehicles', { token: operator, body: { emergency_count: 0 } });
+    assert.equal(t.site().trafficFlow.mode, 'dark');
+    t.clock.advance(YELLOW_MS + ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'off', light2: 'off' });
+  });
+
+  it('automatic mode resumes from all-red, through the clearance', async () => {
+    const response = await flow({ mode: 'automatic' });
+    assert.equal(response.body.trafficFlow.mode, 'automatic');
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    // Vehicles may have entered from both ends while dark, so even the
+    // direction served before gets green only once the passage is clear
+    t.clock.advance(CLEARANCE_MS - 1);
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    t.clock.advance(1);
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'green' });
+  });
+
+  it('a light served before flashing yellow gets green again only after the clearance', async () => {
+    const control = (action) => t.request('POST', '/api/lights/light1/control', { token: operator, body: { action } });
+    await control('green');
+    t.clock.advance(YELLOW_MS + CLEARANCE_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'green', light2: 'red' });
+
+    await flow({ mode: 'flashing-yellow' });
+    t.clock.advance(YELLOW_MS + ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'flashing-yellow', light2: 'flashing-yellow' });
+
+    await control('green');
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    t.clock.advance(CLEARANCE_MS - 1);
+    assert.equal(t.site().signal.snapshot().phase, 'all-red');
+    assert.equal(t.site().signal.snapshot().clearance.active, true);
+    t.clock.advance(1);
+    assert.deepEqual(lightStates(t.site()), { light1: 'green', light2: 'red' });
+  });
+
+  it('leaving flashing red is treated like start-up', async () => {
+    await flow({ mode: 'flashing-red' });
+    t.clock.advance(YELLOW_MS + ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'flashing-red', light2: 'flashing-red' });
+
+    await flow({ direction: 'inbound' });
+    t.clock.advance(ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'red', light2: 'red' });
+    t.clock.advance(CLEARANCE_MS - ALL_RED_MS);
+    assert.deepEqual(lightStates(t.site()), { light1: 'green', light2: 'red' });
+  });
+});
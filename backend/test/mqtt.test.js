@@ -0,0 +1,326 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, waitFor } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+describe('vision feed messages', () => {
+  let t;
+  let viewer;
+  const ingest = async (source) => {
+    const { body } = await t.request('GET', '/api/ingest', { token: viewer });
+    return body.sources.find(entry => entry.source === source);
+  };
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    viewer = await t.userToken('viewer');
+  });
+  after(() => t.stop());
+
+  it('main topic: merges the site vehicle data', async () => {
+    await t.publish('traffic/vehicles', { total_vehicles_counted: 12, vehicles_waiting: 3, vehicles_by_type: { car: 10, bus: 2 } });
+    const data = t.site().vehicleData;
+    assert.equal(data.total_vehicles_counted, 12);
+    assert.equal(data.vehicles_by_type.bus, 2);
+    assert.equal(data.timestamp, new Date(t.clock.now()).toISOString());
+    assert.equal((await ingest('traffic/vehicles')).accepted, 1);
+  });
+
+  it('count topics: set the count of one vehicle type', async () => {
+    await t.publish('traffic/vehicles/truck', { count: 4 });
+    assert.equal(t.site().vehicleData.vehicles_by_type.truck, 4);
+    assert.equal(t.site().vehicleData.truck_count, 4);
+    assert.equal(t.site().vehicleData.vehicles_by_type.car, 10);
+  });
+
+  it('traffic_light and speeds topics: update only their fields', async () => {
+    await t.publish('traffic/vehicles/traffic_light', { green_light_duration: 25, vehicles_in_passage: 1 });
+    await t.publish('traffic/vehicles/speeds', { cspeed: 32.5, tspeed: 21 });
+    const data = t.site().vehicleData;
+    assert.equal(data.green_light_duration, 25);
+    assert.equal(data.vehicles_in_passage, 1);
+    assert.equal(data.cspeed, 32.5);
+    assert.equal(data.vehicles_waiting, 3);
+  });
+
+  it('approach topics: update one end of the passage', async () => {
+    await t.publish('traffic/vehicles/inbound', { vehicles_waiting: 6, camera: 'cam-in' });
+    await t.publish('traffic/vehicles/inbound/speeds', { cspeed: 28 });
+    await t.publish('traffic/vehicles/outbound/car', { count: 9 });
+    const { approaches } = t.site().vehicleData;
+    assert.equal(approaches.inbound.vehicles_waiting, 6);
+    assert.equal(approaches.inbound.camera, 'cam-in');
+    assert.equal(approaches.inbound.cspeed, 28);
+    assert.equal(approaches.outbound.vehicles_by_type.car, 9);
+    assert.equal(t.site().vehicleData.vehicles_waiting, 6);
+  });
+
+  it('emergency topics: pre-empt for the approach and end once cleared', async () => {
+    await t.publish('traffic/vehicles/outbound/emergency', { count: 1 });
+    assert.equal(t.site().trafficFlow.preemption.direction, 'outbound');
+    assert.equal(t.site().vehicleData.approaches.outbound.emergency_count, 1);
+
+    await t.publish('traffic/vehicles/outbound/emergency', { count: 0 });
+    assert.equal(t.site().trafficFlow.preemption, null);
+
+    // On the site topic the direction comes with the message
+    await t.publish('traffic/vehicles/emergency', { count: 2, direction: 'inbound' });
+    assert.equal(t.site().trafficFlow.preemption.direction, 'inbound');
+    await t.publish('traffic/vehicles/emergency', { count: 0 });
+    assert.equal(t.site().trafficFlow.preemption, null);
+
+    const { body } = await t.request('GET', '/api/audit?category=preemption', { token: await t.userToken('operator') });
+    assert.ok(body.entries.every(entry => entry.source === 'mqtt'));
+  });
+
+  it('rejects invalid JSON, invalid payloads and unknown subtopics', async () => {
+    await t.publish('traffic/vehicles', '{not json');
+    assert.match((await ingest('traffic/vehicles')).lastError, /^Invalid JSON/);
+
+    const { cspeed } = t.site().vehicleData;
+    await t.publish('traffic/vehicles/speeds', { cspeed: -5 });
+    const speeds = await ingest('traffic/vehicles/speeds');
+    assert.equal(speeds.rejected, 1);
+    assert.equal(speeds.lastRejectedAt !== null, true);
+    assert.equal(t.site().vehicleData.cspeed, cspeed);
+
+    await t.publish('traffic/vehicles/inbound/horses', { count: 1 });
+    assert.equal((await ingest('traffic/vehicles/inbound/horses')).lastError, 'No site uses this topic');
+  });
+});
+
+describe('field controllers and heartbeat watchdog', () => {
+  let t;
+  let operator;
+  const commands = (lightId) => t.received.filter(({ topic }) => topic === `traffic/lights/${lightId}/command`).map(({ message }) => message);
+  const lastCommand = (lightId) => commands(lightId).at(-1);
+  // Answer the last command of a light like a working field controller
+  const confirm = (lightId) => t.publish(`traffic/lights/${lightId}/status`, { state: lastCommand(lightId).state, commandId: lastCommand(lightId).commandId });
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = true;
+        fieldConfig.enabled = true;
+      }
+    });
+    operator = await t.userToken('operator');
+    await t.subscribe('traffic/lights/+/command');
+  });
+  after(() => t.stop());
+
+  it('commands the current states once connected and clears them on confirmation', async () => {
+    await waitFor(() => lastCommand('light1') && lastCommand('light2'), { message: 'light commands' });
+    assert.equal(lastCommand('light1').state, 'red');
+    assert.equal(lastCommand('light1').issuedAt, new Date(t.clock.now()).toISOString());
+
+    await confirm('light1');
+    await confirm('light2');
+    t.clock.advance(fieldConfig.ackTimeoutMs);
+    const { field } = t.site().lights.light1;
+    assert.equal(field.confirmed.state, 'red');
+    assert.equal(field.fault, null);
+  });
+
+  it('raises a fault for a controller showing another state, cleared once it matches', async () => {
+    await t.publish('traffic/lights/light2/status', { state: 'green' });
+    assert.equal(t.site().lights.light2.field.fault.type, 'mismatch');
+
+    await t.publish('traffic/lights/light2/status', { state: 'red' });
+    assert.equal(t.site().lights.light2.field.fault, null);
+
+    const { body } = await t.request('GET', '/api/audit?category=fault', { token: operator });
+    assert.deepEqual(body.entries.map(entry => entry.outcome), ['cleared', 'raised']);
+  });
+
+  it('ignores the status of an unknown light', async () => {
+    await t.publish('traffic/lights/light9/status', { state: 'red' });
+    assert.equal(t.site().lights.light9, undefined);
+  });
+
+  it('drops into fail-safe when heartbeats stop and stays there until an operator resets it', async () => {
+    await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+    t.clock.advance(watchdogConfig.lightTimeoutMs + 1000);
+
+    const watchdog = await t.request('GET', '/api/watchdog', { token: operator });
+    assert.deepEqual(watchdog.body.sources.map(source => [source.id, source.status]), [
+      ['feed', 'ok'],
+      ['light:light1', 'missed'],
+      ['light:light2', 'missed']
+    ]);
+    assert.equal(watchdog.body.failsafe.reason.includes('Traffic Light 1'), true);
+    assert.equal(t.site().trafficFlow.mode, 'failsafe');
+    assert.equal(t.site().lights.light1.state, 'flashing-red');
+    await waitFor(() => lastCommand('light1').state === 'flashing-red' && lastCommand('light2').state === 'flashing-red', { message: 'flashing-red commands' });
+
+    const light = await t.request('POST', '/api/lights/light1/control', { token: operator, body: { action: 'green' } });
+    assert.equal(light.status, 409);
+    assert.equal(light.body.error, 'Fail-safe active; an operator must reset it first');
+    assert.equal((await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'automatic' } })).status, 409);
+
+    const early = await t.request('POST', '/api/failsafe/reset', { token: operator, body: {} });
+    assert.equal(early.status, 409);
+    assert.deepEqual(early.body.sources.map(source => source.id), ['light:light1', 'light:light2']);
+
+    await confirm('light1');
+    await confirm('light2');
+    const reset = await t.request('POST', '/api/failsafe/reset', { token: operator, body: { reason: 'controllers back' } });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.trafficFlow.mode, 'manual');
+    assert.equal(reset.body.trafficFlow.failsafe, null);
+    assert.equal((await t.request('POST', '/api/failsafe/reset', { token: operator, body: {} })).status, 409);
+
+    // Leaving a flashing phase holds all-red first
+    t.clock.advance(2000);
+    assert.equal(t.site().lights.light1.state, 'red');
+  });
+
+  it('raises a fault for a command that is not acknowledged in time', async () => {
+    await waitFor(() => lastCommand('light1').state === 'red', { message: 'red command' });
+    // The feed keeps reporting, so only the field controller is silent
+    await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+    t.clock.advance(fieldConfig.ackTimeoutMs);
+    assert.equal(t.site().trafficFlow.mode, 'manual');
+    assert.equal(t.site().lights.light1.field.fault.type, 'ack-timeout');
+
+    await confirm('light1');
+    assert.equal(t.site().lights.light1.field.fault, null);
+  });
+
+  it('commands the flashing and dark modes and takes their confirmation', async () => {
+    await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'flashing-yellow' } });
+    await waitFor(() => lastCommand('light1').state === 'flashing-yellow' && lastCommand('light2').state === 'flashing-yellow', { message: 'flashing-yellow commands' });
+    await confirm('light1');
+    await confirm('light2');
+    assert.equal(t.site().lights.light1.field.confirmed.state, 'flashing-yellow');
+    assert.equal(t.site().lights.light2.field.fault, null);
+
+    await t.request('POST', '/api/traffic-flow', { token: operator, body: { mode: 'dark' } });
+    t.clock.advance(2000);
+    await waitFor(() => lastCommand('light1').state === 'off' && lastCommand('light2').state === 'off', { message: 'off commands' });
+    await confirm('light1');
+    assert.equal(t.site().lights.light1.field.confirmed.state, 'off');
+
+    // A controller acknowledging the command but still flashing is a fault
+    await t.publish('traffic/lights/light2/status', { state: 'flashing-yellow', commandId: lastCommand('light2').commandId });
+    assert.equal(t.site().lights.light2.field.fault.type, 'mismatch');
+  });
+});
+
+describe('cold start without a vision feed', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = true;
+        fieldConfig.enabled = false;
+      }
+    });
+  });
+  after(() => t.stop());
+
+  it('watches the feed only from its first message', async () => {
+    t.clock.advance(watchdogConfig.feedTimeoutMs * 2);
+    assert.equal(t.site().trafficFlow.failsafe, null);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+    assert.deepEqual(t.site().watchdog.status().map(source => [source.id, source.status]), [['feed', 'waiting']]);
+
+    await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+    t.clock.advance(watchdogConfig.feedTimeoutMs + 1000);
+    assert.equal(t.site().trafficFlow.mode, 'failsafe');
+    assert.deepEqual(t.site().trafficFlow.failsafe.sources, ['feed']);
+  });
+});
+
+describe('field controllers enabled but not connected', () => {
+  let t;
+  let operator;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = true;
+        fieldConfig.enabled = true;
+      }
+    });
+    operator = await t.userToken('operator');
+  });
+  after(() => t.stop());
+
+  it('keeps running while no controller has reported', async () => {
+    for (let elapsed = 0; elapsed <= watchdogConfig.lightTimeoutMs * 2; elapsed += 5000) {
+      await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+      t.clock.advance(5000);
+    }
+
+    const { body } = await t.request('GET', '/api/watchdog', { token: operator });
+    assert.deepEqual(body.sources.map(source => [source.id, source.status]), [
+      ['feed', 'ok'],
+      ['light:light1', 'waiting'],
+      ['light:light2', 'waiting']
+    ]);
+    assert.equal(body.failsafe, null);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+  });
+
+  it('watches a controller from its first report', async () => {
+    await t.publish('traffic/lights/light1/status', { state: t.site().lights.light1.state });
+    await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+    t.clock.advance(watchdogConfig.lightTimeoutMs + 1000);
+
+    assert.equal(t.site().trafficFlow.mode, 'failsafe');
+    assert.deepEqual(t.site().trafficFlow.failsafe.sources, ['light:light1']);
+    assert.deepEqual(t.site().watchdog.missing().map(source => source.id), ['light:light1']);
+  });
+});
+
+describe('fail-safe reset', () => {
+  let t;
+  let operator;
+  const CLEARANCE_MS = 36 * 1000;
+  const lightStates = () => Object.values(t.site().lights).map(light => light.state);
+  // Keep the vision feed reporting for the given time
+  const feedFor = async (ms) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+      if (elapsed % 5000 === 0) await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+      t.clock.advance(1000);
+    }
+  };
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = true;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+  });
+  after(() => t.stop());
+
+  it('serves the light served before the fail-safe only after the full clearance', async () => {
+    await feedFor(CLEARANCE_MS);
+    assert.deepEqual(lightStates(), ['green', 'red']);
+
+    // The green ends through yellow and all-red
+    t.clock.advance(watchdogConfig.feedTimeoutMs + 5000);
+    assert.equal(t.site().trafficFlow.mode, 'failsafe');
+    assert.deepEqual(lightStates(), ['flashing-red', 'flashing-red']);
+
+    await t.publish('traffic/vehicles', { vehicles_waiting: 0 });
+    assert.equal((await t.request('POST', '/api/failsafe/reset', { token: operator, body: {} })).status, 200);
+    await t.request('POST', '/api/lights/light1/control', { token: operator, body: { action: 'green' } });
+    await feedFor(CLEARANCE_MS - 1000);
+    assert.deepEqual(lightStates(), ['red', 'red']);
+    await feedFor(1000);
+    assert.deepEqual(lightStates(), ['green', 'red']);
+  });
+});
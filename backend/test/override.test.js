@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('manual-override lock', () => {
+  let t;
+  let holder;
+  let other;
+  const control = (token, action = 'green') => t.request('POST', '/api/lights/light1/control', { token, body: { action } });
+  const lightStates = () => Object.fromEntries(Object.values(t.site().lights).map(light => [light.id, light.state]));
+  const auditEntries = async (category) => (await t.request('GET', `/api/audit?category=${category}`, { token: holder })).body.entries;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    holder = await t.userToken('operator');
+    await t.request('POST', '/api/users', { token: t.adminToken, body: { username: 'second-operator', password: 'test-password', role: 'operator' } });
+    other = await t.login('second-operator', 'test-password');
+  });
+  after(() => t.stop());
+
+  it('locks the site to the operator who takes manual control', async () => {
+    const taken = await t.request('POST', '/api/override', { token: holder, body: { reason: 'roadworks' } });
+    assert.equal(taken.status, 200);
+    assert.equal(taken.body.trafficFlow.mode, 'manual');
+    assert.equal(taken.body.trafficFlow.override.holder, 'test-operator');
+    assert.equal(taken.body.trafficFlow.override.reason, 'roadworks');
+    assert.equal(taken.body.trafficFlow.override.expiresAt, new Date(t.clock.now() + 10 * MINUTE_MS).toISOString());
+
+    const viewer = await t.userToken('viewer');
+    const { body } = await t.request('GET', '/api/override', { token: viewer });
+    assert.equal(body.override.holder, 'test-operator');
+    assert.equal(body.timeoutMinutes, 10);
+  });
+
+  it('rejects light, flow and lock commands from everyone else', async () => {
+    const light = await control(other);
+    assert.equal(light.status, 409);
+    assert.equal(light.body.error, 'Manual control is held by test-operator');
+    const flow = await t.request('POST', '/api/traffic-flow', { token: other, body: { mode: 'automatic' } });
+    assert.equal(flow.status, 409);
+    const take = await t.request('POST', '/api/override', { token: other, body: {} });
+    assert.equal(take.status, 409);
+    const release = await t.request('POST', '/api/override/release', { token: other, body: {} });
+    assert.equal(release.status, 403);
+
+    const rejected = (await auditEntries('command')).filter(entry => entry.outcome === 'rejected');
+    assert.equal(rejected.length, 3);
+    assert.ok(rejected.every(entry => entry.actor === 'second-operator'));
+    assert.equal(t.site().trafficFlow.mode, 'manual');
+  });
+
+  it('renews the lock with each command of its holder; emergency stop stays open to all', async () => {
+    t.clock.advance(9 * MINUTE_MS);
+    assert.equal((await control(holder)).status, 200);
+    assert.equal(t.site().trafficFlow.override.expiresAt, new Date(t.clock.now() + 10 * MINUTE_MS).toISOString());
+
+    t.clock.advance(9 * MINUTE_MS);
+    assert.equal(t.site().trafficFlow.override.holder, 'test-operator');
+    const stop = await t.request('POST', '/api/emergency-stop', { token: other, body: {} });
+    assert.equal(stop.status, 200);
+    assert.equal(stop.body.trafficFlow.override.holder, 'test-operator');
+  });
+
+  it('returns to automatic mode once the holder releases it', async () => {
+    const released = await t.request('POST', '/api/override/release', { token: holder, body: {} });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.trafficFlow.override, null);
+    assert.equal(released.body.trafficFlow.mode, 'automatic');
+    assert.equal((await t.request('POST', '/api/override/release', { token: holder, body: {} })).status, 409);
+  });
+
+  it('lapses after the configured time without a command', async () => {
+    const config = await t.request('PUT', '/api/config', { token: t.adminToken, body: { config: { override: { timeoutMinutes: 2 } } } });
+    assert.equal(config.status, 200);
+
+    await t.request('POST', '/api/override', { token: other, body: {} });
+    assert.equal(t.site().trafficFlow.mode, 'manual');
+    t.clock.advance(2 * MINUTE_MS);
+    assert.equal(t.site().trafficFlow.override, null);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+
+    const [expired] = await auditEntries('command');
+    assert.equal(expired.action, 'manual control expired');
+    assert.equal(expired.actor, 'system');
+    assert.equal((await control(holder)).status, 200);
+  });
+
+  it('leaves a site its holder already put back to automatic running when it lapses', async () => {
+    await t.request('POST', '/api/override', { token: holder, body: {} });
+    const resumed = await t.request('POST', '/api/traffic-flow', { token: holder, body: { mode: 'automatic' } });
+    assert.equal(resumed.body.trafficFlow.mode, 'automatic');
+    // Let the cycle get going until just before the lock lapses, mid-green
+    t.clock.advance(2 * MINUTE_MS - 1000);
+    const before = lightStates();
+    assert.ok(Object.values(before).includes('green'));
+
+    t.clock.advance(1000);
+    assert.equal(t.site().trafficFlow.override, null);
+    assert.equal(t.site().trafficFlow.mode, 'automatic');
+    assert.deepEqual(lightStates(), before);
+  });
+
+  it('can be broken by an admin', async () => {
+    await t.request('POST', '/api/override', { token: holder, body: {} });
+    assert.equal((await t.request('POST', '/api/override/break', { token: other, body: {} })).status, 403);
+
+    const broken = await t.request('POST', '/api/override/break', { token: t.adminToken, body: { reason: 'operator left' } });
+    assert.equal(broken.status, 200);
+    assert.equal(broken.body.trafficFlow.override, null);
+    assert.equal(broken.body.trafficFlow.mode, 'automatic');
+    const [entry] = await auditEntries('admin');
+    assert.equal(entry.action, 'break manual control');
+    assert.equal(entry.details.holder, 'test-operator');
+    assert.equal((await t.request('POST', '/api/override/break', { token: t.adminToken, body: {} })).status, 409);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+// Yellow plus the 36 s clearance of the default passage without speed data
+const CHANGE_SECONDS = 1 + 36;
+
+describe('performance estimates', () => {
+  let t;
+  let operator;
+  const estimate = async () => (await t.request('GET', '/api/performance', { token: operator })).body;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+  });
+  after(() => t.stop());
+
+  it('estimates from the planned timing until greens were served', async () => {
+    const body = await estimate();
+    assert.equal(body.updatedAt, new Date(t.clock.now()).toISOString());
+    assert.deepEqual(Object.keys(body.approaches), ['inbound', 'outbound']);
+
+    const { inbound } = body.approaches;
+    assert.equal(inbound.source, 'site');
+    assert.equal(inbound.timing, 'planned');
+    assert.equal(inbound.greenSeconds, 20);
+    assert.equal(inbound.cycleSeconds, 2 * (20 + CHANGE_SECONDS));
+    assert.equal(inbound.queueDischargeSeconds, 0);
+    assert.equal(body.site.levelOfService, inbound.levelOfService);
+  });
+
+  it('discharges trucks and buses slower than cars', async () => {
+    await t.request('POST', '/api/vehicles/inbound', { token: operator, body: { vehicles_waiting: 5, vehicles_per_minute: 2, vehicles_by_type: { car: 10 } } });
+    await t.request('POST', '/api/vehicles/outbound', { token: operator, body: { vehicles_waiting: 5, vehicles_per_minute: 2, vehicles_by_type: { truck: 5, bus: 5 } } });
+
+    const { approaches, site } = await estimate();
+    assert.equal(approaches.inbound.source, 'approach');
+    assert.equal(approaches.inbound.headwaySeconds, 2);
+    assert.equal(approaches.outbound.headwaySeconds, 3.5);
+    assert.ok(approaches.outbound.capacityPerHour < approaches.inbound.capacityPerHour);
+    assert.ok(approaches.outbound.delaySeconds > approaches.inbound.delaySeconds);
+    assert.ok(approaches.outbound.queueDischargeSeconds > approaches.inbound.queueDischargeSeconds);
+    assert.equal(approaches.inbound.cyclesToClear, 1);
+    assert.equal(site.worstDirection, 'outbound');
+    // Both approaches have the same arrivals, so the site delay is their average
+    assert.equal(site.delaySeconds, Math.round(((approaches.inbound.delaySeconds + approaches.outbound.delaySeconds) / 2) * 10) / 10);
+  });
+
+  it('reports level of service F and no discharge time when arrivals exceed capacity', async () => {
+    await t.request('POST', '/api/vehicles/outbound', { token: operator, body: { vehicles_waiting: 30, vehicles_per_minute: 20 } });
+    const { approaches, site } = await estimate();
+    assert.ok(approaches.outbound.degreeOfSaturation > 1);
+    assert.equal(approaches.outbound.levelOfService, 'F');
+    assert.equal(approaches.outbound.queueDischargeSeconds, null);
+    assert.equal(approaches.outbound.cyclesToClear, null);
+    assert.equal(site.levelOfService, 'F');
+    assert.equal(site.queueDischargeSeconds, null);
+  });
+
+  it('uses the greens actually served once a direction had two', async () => {
+    const plan = { id: 'fixed', name: 'Fixed', type: 'fixed', greenSeconds: { inbound: 15, outbound: 25 } };
+    const saved = await t.request('PUT', '/api/schedule', {
+      token: t.adminToken,
+      body: { plans: [plan], rules: [], exceptions: [], defaultPlanId: 'fixed' }
+    });
+    assert.equal(saved.status, 200);
+
+    // The first inbound green starts after the clearance held from start-up,
+    // the second one a cycle later
+    const cycleSeconds = 15 + CHANGE_SECONDS + 25 + CHANGE_SECONDS;
+    t.clock.advance((36 + cycleSeconds + 15) * 1000);
+    const { approaches } = await estimate();
+    assert.equal(approaches.inbound.timing, 'observed');
+    assert.equal(approaches.inbound.greenSeconds, 15);
+    assert.equal(approaches.inbound.cycleSeconds, cycleSeconds);
+    assert.equal(approaches.outbound.timing, 'planned');
+
+    // Served greens older than the window no longer count
+    await t.request('POST', '/api/emergency-stop', { token: operator, body: {} });
+    t.clock.advance(31 * 60 * 1000);
+    assert.equal((await estimate()).approaches.inbound.timing, 'planned');
+  });
+
+  it('is served for every site and sent with the stream snapshot', async () => {
+    assert.equal((await t.request('GET', '/api/sites/main/performance', { token: operator })).status, 200);
+    assert.equal((await t.request('GET', '/api/sites/nowhere/performance', { token: operator })).status, 404);
+    assert.equal(t.site().snapshot().performance.approaches.inbound.direction, 'inbound');
+  });
+});
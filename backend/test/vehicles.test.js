@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, waitFor } from './helpers.js';
+import { watchdogConfig } from '../Watchdog.js';
+import { fieldConfig } from '../FieldControllers.js';
+
+describe('vehicle data, history, stream and alert routes', () => {
+  let t;
+  let operator;
+  let viewer;
+
+  before(async () => {
+    t = await startTestServer({
+      before: () => {
+        watchdogConfig.enabled = false;
+        fieldConfig.enabled = false;
+      }
+    });
+    operator = await t.userToken('operator');
+    viewer = await t.userToken('viewer');
+  });
+  after(() => t.stop());
+
+  it('merges posted vehicle data and counts accepted and rejected payloads', async () => {
+    const posted = await t.request('POST', '/api/vehicles', {
+      token: operator,
+      body: { vehicles_by_type: { car: 4 }, vehicles_waiting: 2, cspeed: 30 }
+    });
+    assert.equal(posted.status, 200);
+    assert.equal(posted.body.vehicleData.vehicles_by_type.car, 4);
+
+    await t.request('POST', '/api/vehicles', { token: operator, body: { vehicles_by_type: { truck: 1 } } });
+    const data = await t.request('GET', '/api/vehicles', { token: viewer });
+    assert.equal(data.body.vehicles_by_type.car, 4);
+    assert.equal(data.body.vehicles_by_type.truck, 1);
+    assert.equal(data.body.timestamp, new Date(t.clock.now()).toISOString());
+
+    const invalid = await t.request('POST', '/api/vehicles', { token: operator, body: { vehicles_waiting: -1 } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.errors.length > 0);
+    assert.equal((await t.request('POST', '/api/vehicles', { token: viewer, body: {} })).status, 403);
+
+    const ingest = await t.request('GET', '/api/ingest', { token: viewer });
+    const route = ingest.body.sources.find(source => source.source === 'POST /api/vehicles');
+    assert.equal(route.accepted, 2);
+    assert.equal(route.rejected, 1);
+  });
+
+  it('keeps the data of each approach and sums them into the site totals', async () => {
+    const inbound = await t.request('POST', '/api/vehicles/inbound', { token: operator, body: { vehicles_waiting: 3, vehicles_by_type: { car: 2 } } });
+    assert.equal(inbound.status, 200);
+    await t.request('POST', '/api/vehicles/outbound', { token: operator, body: { vehicles_waiting: 4, vehicles_by_type: { car: 5 } } });
+
+    const approach = await t.request('GET', '/api/vehicles/outbound', { token: viewer });
+    assert.equal(approach.body.vehicles_waiting, 4);
+    const site = await t.request('GET', '/api/vehicles', { token: viewer });
+    assert.equal(site.body.vehicles_waiting, 7);
+    assert.equal(site.body.vehicles_by_type.car, 7);
+
+    assert.equal((await t.request('GET', '/api/vehicles/north', { token: viewer })).status, 404);
+    assert.equal((await t.request('GET', '/api/vehicles/constructor', { token: viewer })).status, 404);
+    assert.equal((await t.request('GET', '/api/vehicles/toString', { token: viewer })).status, 404);
+    assert.equal((await t.request('POST', '/api/vehicles/north', { token: operator, body: {} })).status, 404);
+    assert.equal((await t.request('POST', '/api/vehicles/inbound', { token: operator, body: { cspeed: 'fast' } })).status, 400);
+  });
+
+  it('aggregates the recorded vehicle data into history buckets', async () => {
+    const invalid = await t.request('GET', '/api/history?bucket=2m', { token: viewer });
+    assert.equal(invalid.status, 400);
+
+    // Buckets end before the current time
+    t.clock.advance(60 * 1000);
+    const history = await waitFor(async () => {
+      const { body } = await t.request('GET', '/api/history?bucket=1h', { token: viewer });
+      return body.buckets.some(bucket => bucket.samples > 0) && body;
+    });
+    assert.equal(history.to, new Date(t.clock.now()).toISOString());
+    const bucket = history.buckets.find(candidate => candidate.samples > 0);
+    assert.equal(bucket.waiting.max, 7);
+  });
+
+  it('streams a snapshot, then the changes', async () => {
+    const token = await t.login('test-viewer', 'test-password');
+    const controller = new AbortController();
+    const response = await fetch(`${t.baseUrl}/api/stream?access_token=${token}`, { signal: controller.signal });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    // The next event of the given type: { event, data }
+    const nextEvent = async (type) => {
+      for (;;) {
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const [index, block] of events.entries()) {
+          const event = block.match(/^event: (.*)$/m)?.[1];
+          if (event === type) {
+            buffer = [...events.slice(index + 1), buffer].join('\n\n');
+            return { event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+          }
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`Stream ended before a ${type} event`);
+        buffer += decoder.decode(value, { stream: true });
+      }
+    };
+
+    const snapshot = await nextEvent('snapshot');
+    assert.equal(snapshot.data.site.id, 'main');
+    assert.equal(snapshot.data.vehicleData.vehicles_waiting, 7);
+
+    await t.request('POST', '/api/vehicles', { token: operator, body: { vehicles_in_passage: 2 } });
+    const vehicles = await nextEvent('vehicles');
+    assert.equal(vehicles.data.vehicles_in_passage, 2);
+    controller.abort();
+
+    assert.equal((await fetch(`${t.baseUrl}/api/stream`)).status, 401);
+  });
+
+  it('raises alerts from the feed and lets operators acknowledge and resolve them', async () => {
+    await t.request('POST', '/api/vehicles/inbound', { token: operator, body: { vehicles_waiting: 20, anomalies: ['wrong_way'] } });
+    const { body } = await t.request('GET', '/api/alerts', { token: viewer });
+    assert.deepEqual(body.alerts.map(alert => [alert.code, alert.direction, alert.severity]).sort(), [
+      ['queue-length', 'inbound', 'warning'],
+      ['wrong_way', 'inbound', 'critical']
+    ]);
+    const wrongWay = body.alerts.find(alert => alert.code === 'wrong_way');
+    assert.equal(wrongWay.firstSeen, new Date(t.clock.now()).toISOString());
+
+    assert.equal((await t.request('GET', '/api/alerts?status=later', { token: viewer })).status, 400);
+    assert.equal((await t.request('POST', `/api/alerts/${wrongWay.id}/acknowledge`, { token: viewer, body: {} })).status, 403);
+    assert.equal((await t.request('POST', `/api/alerts/${wrongWay.id}/acknowledge`, { token: operator, body: { note: 42 } })).status, 400);
+
+    const acknowledged = await t.request('POST', `/api/alerts/${wrongWay.id}/acknowledge`, { token: operator, body: { note: 'on it' } });
+    assert.equal(acknowledged.body.alert.status, 'acknowledged');
+    assert.equal(acknowledged.body.alert.acknowledged.by, 'test-operator');
+    assert.equal((await t.request('POST', `/api/alerts/${wrongWay.id}/acknowledge`, { token: operator, body: {} })).status, 409);
+
+    t.clock.advance(60 * 1000);
+    const resolved = await t.request('POST', `/api/alerts/${wrongWay.id}/resolve`, { token: operator, body: { note: 'driver turned around' } });
+    assert.equal(resolved.body.alert.resolved.at, new Date(t.clock.now()).toISOString());
+    assert.equal((await t.request('POST', `/api/alerts/${wrongWay.id}/resolve`, { token: operator, body: {} })).status, 409);
+    assert.equal((await t.request('POST', '/api/alerts/nope/resolve', { token: operator, body: {} })).status, 404);
+
+    const remaining = await t.request('GET', '/api/alerts', { token: viewer });
+    assert.deepEqual(remaining.body.alerts.map(alert => alert.code), ['queue-length']);
+    const done = await t.request('GET', '/api/alerts?status=resolved', { token: viewer });
+    assert.deepEqual(done.body.alerts.map(alert => alert.id), [wrongWay.id]);
+  });
+});
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+
+import { apiFetch, sitePath } from './api';
+
+const SEVERITY_ICONS = { critical: '🛑', warning: '⚠️', info: 'ℹ️' };
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString();
+
+// Alerts of the site raised from the feed's anomalies and the alert rules.
+// alerts are the unresolved ones, kept current by the live stream; operators
+// acknowledge and resolve them here.
+function AlertsPanel({ siteId, alerts, canOperate }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const [resolved, setResolved] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  // Resolved alerts are only loaded while shown; a resolve elsewhere changes
+  // the unresolved list, so that reloads them too
+  useEffect(() => {
+    if (!showResolved) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await apiFetch(sitePath(siteId, '/alerts?status=resolved'));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        if (!cancelled) setResolved(data.alerts);
+      } catch (loadError) {
+        console.error('Error fetching resolved alerts:', loadError);
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [siteId, showResolved, alerts]);
+
+  const act = async (alert, action) => {
+    let note = null;
+    if (action === 'resolve') {
+      note = window.prompt(`Resolve "${alert.message}"? Add a note for the event log (optional):`, '');
+      if (note === null) return;
+    }
+    setError(null);
+    setBusy(alert.id);
+    try {
+      const response = await apiFetch(sitePath(siteId, `/alerts/${alert.id}/${action}`), { method: 'POST', body: { note } });
+      const data = await response.json();
+      if (!response.ok) setError(data.error || `Request failed (${response.status})`);
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const shown = showResolved ? resolved : alerts;
+
+  return (
+    <div className="alerts-panel">
+      <div className="alerts-header">
+        <h2>🔔 Alerts</h2>
+        <span className="alerts-count">{alerts.length} unresolved</span>
+        <button className="range-btn" onClick={() => setShowResolved(!showResolved)}>
+          {showResolved ? 'Show Unresolved' : 'Show Resolved'}
+        </button>
+      </div>
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      {shown.length === 0 ? (
+        <p className="alerts-empty">{showResolved ? 'No resolved alerts' : 'No alerts - all clear'}</p>
+      ) : (
+        <ul className="alerts-list">
+          {shown.map(alert => (
+            <li key={alert.id} className={`alert-item severity-${alert.severity} status-${alert.status}`}>
+              <span className="alert-severity" title={alert.severity}>{SEVERITY_ICONS[alert.severity]}</span>
+              <div className="alert-body">
+                <div className="alert-message">{alert.message}</div>
+                <div className="alert-meta">
+                  {alert.direction && <span>{alert.direction}</span>}
+                  <span>first {formatTime(alert.firstSeen)}</span>
+                  <span>{alert.active ? `still reported, last ${formatTime(alert.lastSeen)}` : `cleared ${formatTime(alert.clearedAt)}`}</span>
+                  {alert.occurrences > 1 && <span>{alert.occurrences}×</span>}
+                  {alert.acknowledged && <span>acknowledged by {alert.acknowledged.by}</span>}
+                  {alert.resolved && (
+                    <span>
+                      resolved by {alert.resolved.by} at {formatTime(alert.resolved.at)}
+                      {alert.resolved.note && `: ${alert.resolved.note}`}
+                    </span>
+                  )}
+                </div>
+              </div>
+              {canOperate && alert.status !== 'resolved' && (
+                <div className="alert-actions">
+                  {alert.status === 'open' && (
+                    <button className="range-btn" onClick={() => act(alert, 'acknowledge')} disabled={busy === alert.id}>
+                      Acknowledge
+                    </button>
+                  )}
+                  <button className="range-btn" onClick={() => act(alert, 'resolve')} disabled={busy === alert.id}>
+                    Resolve
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -1,17 +1,170 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import './App.css';
 
-const API_BASE_URL = 'http://localhost:3001/api';
+import {
+  apiFetch,
+  sitePath,
+  streamUrl,
+  fetchHistory,
+  averageGreenSeconds,
+  hasRole,
+  loadSession,
+  logout,
+  setUnauthorizedHandler
+} from './api';
+import HistoryView from './HistoryView';
+import LoginScreen from './LoginScreen';
+import UsersView from './UsersView';
+import EventLogView from './EventLogView';
+import SitesView from './SitesView';
+import SettingsView from './SettingsView';
+import ScheduleView from './ScheduleView';
+import AlertsPanel from './AlertsPanel';
+import { describePlanSource, FLOW_MODE_LABELS, PHASE_DECISION_LABELS } from './plans';
+
+const SITE_KEY = 'traffic-portal-site';
+
+// Modes in which the site cycles through its directions on its own; fixed-time
+// and actuated run the server's default timing when selected here
+const CYCLING_MODES = ['automatic', 'fixed-time', 'actuated'];
+// Modes in which every light shows the same signal, entered and left through all-red
+const STEADY_MODES = ['flashing-yellow', 'flashing-red', 'dark'];
+const MODE_DESCRIPTIONS = {
+  automatic: 'Run the plan the schedule calls for',
+  'fixed-time': 'Give every direction the same fixed green',
+  actuated: 'Extend each green while vehicles keep arriving, ending it after a gap',
+  'flashing-yellow': 'Every light flashing yellow, e.g. overnight',
+  'flashing-red': 'Every light flashing red',
+  dark: 'Every light dark, e.g. for maintenance'
+};
 
 function App() {
-  const [lights, setLights] = useState({
-    light1: { id: 'light1', name: 'Traffic Light 1', state: 'red', direction: 'inbound' },
-    light2: { id: 'light2', name: 'Traffic Light 2', state: 'red', direction: 'outbound' }
-  });
+  const [session, setSession] = useState(loadSession);
+
+  // An expired or revoked session takes the user back to the login screen
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      logout().finally(() => setSession(null));
+    });
+  }, []);
+
+  if (!session) {
+    return <LoginScreen onLogin={setSession} />;
+  }
+
+  return (
+    <Portal
+      key={session.token}
+      user={session.user}
+      onLogout={() => logout().finally(() => setSession(null))}
+    />
+  );
+}
+
+// Loads the sites and the configuration, and shows the selected site. A site's console is mounted
+// afresh when another site is picked, so nothing of the previous one lingers.
+function Portal({ user, onLogout }) {
+  const [sites, setSites] = useState(null);
+  const [defaultSiteId, setDefaultSiteId] = useState(null);
+  const [sitesError, setSitesError] = useState(null);
+  const [siteId, setSiteId] = useState(() => localStorage.getItem(SITE_KEY));
+  const [view, setView] = useState('dashboard');
+  // Active configuration version: { version, config, schema, ... }
+  const [config, setConfig] = useState(null);
+
+  const loadSites = useCallback(async () => {
+    try {
+      const response = await apiFetch('/sites');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+      setSites(data.sites);
+      setDefaultSiteId(data.defaultSiteId);
+      setSitesError(null);
+    } catch (error) {
+      console.error('Error fetching sites:', error);
+      setSitesError(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const response = await apiFetch('/config');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        setConfig(data);
+      } catch (error) {
+        console.error('Error fetching configuration:', error);
+        setSitesError(error.message);
+      }
+    };
+    loadConfig();
+  }, []);
+
+  // The list carries each site's status for the site switcher
+  useEffect(() => {
+    loadSites();
+    const interval = setInterval(loadSites, 10000);
+    return () => clearInterval(interval);
+  }, [loadSites]);
+
+  // A new version from the settings page or the live stream; the schema is kept
+  const updateConfig = useCallback((current) => setConfig(previous => ({ ...previous, ...current })), []);
+
+  const selectSite = (id) => {
+    localStorage.setItem(SITE_KEY, id);
+    setSiteId(id);
+  };
+
+  // A deleted or unknown site falls back to the default one
+  const site = sites?.find(s => s.id === siteId) ?? sites?.find(s => s.id === defaultSiteId) ?? sites?.[0];
+
+  if (!site || !config) {
+    return (
+      <div className="app">
+        <div className="app-content">
+          <div className="dashboard">
+            <p className="chart-empty">{sitesError ? `Could not load sites: ${sitesError}` : 'Loading sites...'}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <SiteConsole
+      key={site.id}
+      user={user}
+      site={site}
+      sites={sites}
+      onSelectSite={selectSite}
+      onSitesChange={loadSites}
+      config={config}
+      onConfigChange={updateConfig}
+      view={view}
+      onViewChange={setView}
+      onLogout={onLogout}
+    />
+  );
+}
+
+// Dashboard, history and admin pages of one site
+function SiteConsole({ user, site, sites, onSelectSite, onSitesChange, config, onConfigChange, view, onViewChange: setView, onLogout }) {
+  const canOperate = hasRole(user, 'operator');
+  const isAdmin = hasRole(user, 'admin');
+  const siteId = site.id;
+  const { pollIntervalMs } = config.config.portal;
+  const defaultGreenSeconds = config.config.green.defaultSeconds;
+  const directions = [...new Set(site.lights.map(light => light.direction))];
+
+  const [lights, setLights] = useState(() => Object.fromEntries(
+    site.lights.map(light => [light.id, { ...light, state: 'red' }])
+  ));
   const [trafficFlow, setTrafficFlow] = useState({
     mode: 'automatic',
-    currentDirection: 'inbound'
+    currentDirection: site.lights[0].direction
   });
+  const [signal, setSignal] = useState({ phase: 'all-red', servedLightId: null, timeRemainingMs: null, clearance: {} });
   const [vehicleData, setVehicleData] = useState({
     vehicles_waiting: 0,
     vehicles_by_type: { car: 0, truck: 0, bus: 0, motorcycle: 0, emergency: 0 },
@@ -21,7 +174,7 @@ function App() {
     motorcycle_count: 0,
     emergency_count: 0,
     priority_vehicles: 0,
-    green_light_duration: 20,
+    green_light_duration: defaultGreenSeconds,
     vehicles_per_minute: 0,
     anomalies: [],
     bspeed: 0,
@@ -32,89 +185,235 @@ function App() {
   });
   const [loading, setLoading] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [commandError, setCommandError] = useState(null);
 
-  // Fetch initial state - reduced polling frequency for better performance
+  const [streamStatus, setStreamStatus] = useState('connecting');
+  const [system, setSystem] = useState(null);
+  const [watchdog, setWatchdog] = useState([]);
+  // Unresolved alerts
+  const [alerts, setAlerts] = useState([]);
+  // Estimated delay, queue discharge and level of service per approach
+  const [performance, setPerformance] = useState(null);
+
+  // Live updates over Server-Sent Events. The site's lights are only polled while the
+  // stream is down; EventSource keeps retrying in the background.
   useEffect(() => {
-    fetchLightStates();
-    fetchVehicleData();
-    const lightInterval = setInterval(fetchLightStates, 3000); // Reduced from 2000ms
-    const vehicleInterval = setInterval(fetchVehicleData, 3000); // Reduced from 2000ms
+    let pollInterval = null;
+
+    const fetchLightStates = async () => {
+      try {
+        const response = await apiFetch(sitePath(siteId, '/lights'));
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (data.lights && data.trafficFlow) {
+          setLights(data.lights);
+          setTrafficFlow(data.trafficFlow);
+          if (data.signal) {
+            setSignal(data.signal);
+          }
+          if (data.vehicleData) {
+            setVehicleData(data.vehicleData);
+          }
+          setConnectionStatus('connected');
+        }
+        const alertsResponse = await apiFetch(sitePath(siteId, '/alerts'));
+        if (alertsResponse.ok) {
+          setAlerts((await alertsResponse.json()).alerts);
+        }
+        const performanceResponse = await apiFetch(sitePath(siteId, '/performance'));
+        if (performanceResponse.ok) {
+          setPerformance(await performanceResponse.json());
+        }
+      } catch (error) {
+        console.error('Error fetching traffic light states:', error);
+        setConnectionStatus('disconnected');
+      }
+    };
+
+    const startPolling = () => {
+      if (pollInterval) return;
+      fetchLightStates();
+      pollInterval = setInterval(fetchLightStates, pollIntervalMs);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+
+    const stream = new EventSource(streamUrl(siteId));
+
+    stream.onopen = () => {
+      stopPolling();
+      setStreamStatus('live');
+      setConnectionStatus('connected');
+    };
+
+    stream.onerror = () => {
+      setStreamStatus('polling');
+      startPolling();
+    };
+
+    stream.addEventListener('snapshot', (event) => {
+      const data = JSON.parse(event.data);
+      setLights(data.lights);
+      setTrafficFlow(data.trafficFlow);
+      setSignal(data.signal);
+      setVehicleData(data.vehicleData);
+      setPerformance(data.performance || null);
+      setSystem(data.system);
+      setWatchdog(data.watchdog || []);
+      setAlerts(data.alerts || []);
+    });
+
+    stream.addEventListener('lights', (event) => {
+      const data = JSON.parse(event.data);
+      setLights(data.lights);
+      setSignal(data.signal);
+    });
+
+    stream.addEventListener('traffic-flow', (event) => {
+      setTrafficFlow(JSON.parse(event.data));
+    });
+
+    stream.addEventListener('watchdog', (event) => {
+      setWatchdog(JSON.parse(event.data));
+    });
+
+    stream.addEventListener('alerts', (event) => {
+      setAlerts(JSON.parse(event.data));
+    });
+
+    stream.addEventListener('vehicles', (event) => {
+      setVehicleData(JSON.parse(event.data));
+    });
+
+    stream.addEventListener('performance', (event) => {
+      setPerformance(JSON.parse(event.data));
+    });
+
+    stream.addEventListener('config', (event) => {
+      onConfigChange(JSON.parse(event.data));
+    });
+
     return () => {
-      clearInterval(lightInterval);
-      clearInterval(vehicleInterval);
+      stream.close();
+      stopPolling();
     };
-  }, []);
+  }, [siteId, pollIntervalMs, onConfigChange]);
 
-  const fetchLightStates = async () => {
+  const controlLight = async (lightId, action) => {
+    setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/lights`);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      const response = await apiFetch(sitePath(siteId, `/lights/${lightId}/control`), { method: 'POST', body: { action } });
+      const data = await response.json();
+      if (data.lights) {
+        setLights(data.lights);
       }
+      if (data.signal) {
+        setSignal(data.signal);
+      }
+      setCommandError(response.status === 409 ? data.reason ?? data.error : null);
+    } catch (error) {
+      console.error('Error controlling traffic light:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setTrafficMode = async (mode) => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(sitePath(siteId, '/traffic-flow'), { method: 'POST', body: { mode } });
       const data = await response.json();
       if (data.lights && data.trafficFlow) {
         setLights(data.lights);
         setTrafficFlow(data.trafficFlow);
-        if (data.vehicleData) {
-          setVehicleData(data.vehicleData);
+        if (data.signal) {
+          setSignal(data.signal);
         }
-        setConnectionStatus('connected');
       }
+      setCommandError(response.status === 409 ? data.reason ?? data.error : null);
     } catch (error) {
-      console.error('Error fetching traffic light states:', error);
-      setConnectionStatus('disconnected');
+      console.error('Error changing traffic mode:', error);
+    } finally {
+      setLoading(false);
     }
   };
 
-  const fetchVehicleData = async () => {
+  const emergencyStop = async () => {
+    setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/vehicles`);
-      if (response.ok) {
-        const data = await response.json();
-        setVehicleData(data);
+      const response = await apiFetch(sitePath(siteId, '/emergency-stop'), { method: 'POST' });
+      const data = await response.json();
+      if (data.lights) {
+        setLights(data.lights);
+      }
+      if (data.signal) {
+        setSignal(data.signal);
       }
     } catch (error) {
-      console.error('Error fetching vehicle data:', error);
+      console.error('Error in emergency stop:', error);
+    } finally {
+      setLoading(false);
     }
   };
 
-  const controlLight = async (lightId, action) => {
+  // Take, release or break (admin) the manual-override lock
+  const overrideControl = async (action) => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/lights/${lightId}/control`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action })
-      });
+      const path = action === 'take' ? '/override' : `/override/${action}`;
+      const response = await apiFetch(sitePath(siteId, path), { method: 'POST', body: {} });
       const data = await response.json();
       if (data.lights) {
         setLights(data.lights);
       }
+      if (data.trafficFlow) {
+        setTrafficFlow(data.trafficFlow);
+      }
+      if (data.signal) {
+        setSignal(data.signal);
+      }
+      setCommandError(response.ok ? null : data.error);
     } catch (error) {
-      console.error('Error controlling traffic light:', error);
+      console.error('Error changing manual control:', error);
     } finally {
       setLoading(false);
     }
   };
 
-  const emergencyStop = async () => {
+  const resetFailsafe = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/emergency-stop`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
+      const response = await apiFetch(sitePath(siteId, '/failsafe/reset'), { method: 'POST', body: {} });
       const data = await response.json();
       if (data.lights) {
         setLights(data.lights);
       }
+      if (data.trafficFlow) {
+        setTrafficFlow(data.trafficFlow);
+      }
+      if (data.signal) {
+        setSignal(data.signal);
+      }
+      setCommandError(response.ok ? null : data.error);
     } catch (error) {
-      console.error('Error in emergency stop:', error);
+      console.error('Error resetting fail-safe:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const controlsLocked = loading || !!trafficFlow.preemption || !!trafficFlow.failsafe;
+  // Someone else holds manual control, so only the emergency stop is left to this user
+  const lockedByOther = !!trafficFlow.override && trafficFlow.override.holder !== user.username;
+  const canCommand = canOperate && !lockedByOther;
+  // The first light, the details, then the other lights
+  const [firstLight, ...otherLights] = Object.values(lights);
+
   return (
     <div className="app">
       {/* Content */}
@@ -125,19 +424,132 @@ function App() {
           One-Way Traffic Control System
         </h1>
         <p className="app-subtitle">Management Portal</p>
+        {sites.length > 1 && (
+          <div className="site-switcher">
+            <label htmlFor="site-select">Site</label>
+            <select id="site-select" value={siteId} onChange={(event) => onSelectSite(event.target.value)}>
+              {sites.map(s => (
+                <option key={s.id} value={s.id}>
+                  {s.name}{siteAlert(s.status)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
         <div className={`connection-status ${connectionStatus}`}>
           {connectionStatus === 'connected' ? '🟢 Connected' : connectionStatus === 'connecting' ? '🟡 Connecting...' : '🔴 Disconnected'}
         </div>
+        <div className="user-badge">
+          <span className="user-name">👤 {user.username}</span>
+          <span className={`role-badge ${user.role}`}>{user.role}</span>
+          <button className="logout-btn" onClick={onLogout}>Log out</button>
+        </div>
+        <nav className="view-tabs">
+          <button
+            className={`view-tab ${view === 'dashboard' ? 'active' : ''}`}
+            onClick={() => setView('dashboard')}
+          >
+            🚦 Dashboard
+          </button>
+          <button
+            className={`view-tab ${view === 'history' ? 'active' : ''}`}
+            onClick={() => setView('history')}
+          >
+            📈 History
+          </button>
+          <button
+            className={`view-tab ${view === 'schedule' ? 'active' : ''}`}
+            onClick={() => setView('schedule')}
+          >
+            📅 Schedule
+          </button>
+          {canOperate && (
+            <button
+              className={`view-tab ${view === 'events' ? 'active' : ''}`}
+              onClick={() => setView('events')}
+            >
+              📝 Event Log
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              className={`view-tab ${view === 'users' ? 'active' : ''}`}
+              onClick={() => setView('users')}
+            >
+              👥 Users
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              className={`view-tab ${view === 'sites' ? 'active' : ''}`}
+              onClick={() => setView('sites')}
+            >
+              🗺️ Sites
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              className={`view-tab ${view === 'settings' ? 'active' : ''}`}
+              onClick={() => setView('settings')}
+            >
+              ⚙️ Settings
+            </button>
+          )}
+        </nav>
       </header>
 
+      {view === 'history' ? (
+        <div className="dashboard">
+          <HistoryView siteId={siteId} />
+        </div>
+      ) : view === 'schedule' ? (
+        <div className="dashboard">
+          <ScheduleView siteId={siteId} directions={directions} canEdit={isAdmin} />
+        </div>
+      ) : view === 'events' && canOperate ? (
+        <div className="dashboard">
+          <EventLogView sites={sites} />
+        </div>
+      ) : view === 'users' && isAdmin ? (
+        <div className="dashboard">
+          <UsersView currentUser={user} />
+        </div>
+      ) : view === 'sites' && isAdmin ? (
+        <div className="dashboard">
+          <SitesView sites={sites} onChange={onSitesChange} />
+        </div>
+      ) : view === 'settings' && isAdmin ? (
+        <div className="dashboard">
+          <SettingsView config={config} onChange={onConfigChange} />
+        </div>
+      ) : (
       <div className="dashboard">
+        {trafficFlow.failsafe && (
+          <FailsafeBanner
+            failsafe={trafficFlow.failsafe}
+            watchdog={watchdog}
+            onReset={canOperate ? resetFailsafe : null}
+            loading={loading}
+          />
+        )}
+        {trafficFlow.preemption && <PreemptionBanner preemption={trafficFlow.preemption} />}
+        {trafficFlow.override && (
+          <OverrideBanner
+            override={trafficFlow.override}
+            isHolder={!lockedByOther}
+            onRelease={!lockedByOther ? () => overrideControl('release') : isAdmin ? () => overrideControl('break') : null}
+            loading={loading}
+          />
+        )}
+
         {/* Traffic Lights Display */}
         <div className="lights-container">
-          {lights?.light1 && (
+          {firstLight && (
             <TrafficLightCard
-              light={lights.light1}
+              light={firstLight}
               onControl={controlLight}
-              loading={loading}
+              loading={controlsLocked}
+              canControl={canCommand}
             />
           )}
           
@@ -147,7 +559,13 @@ function App() {
               <div className="detail-icon">📊</div>
               <div className="detail-content">
                 <h4>System Status</h4>
-                <p>Real-time monitoring active</p>
+                <p>
+                  {Object.values(lights).some(light => light.field?.fault)
+                    ? '⚠️ Field controller fault'
+                    : system?.lastShutdownClean === false
+                      ? '⚠️ Recovered from an unclean shutdown'
+                      : 'Real-time monitoring active'}
+                </p>
               </div>
             </div>
             <div className="detail-card">
@@ -157,35 +575,58 @@ function App() {
                 <p className={`connection-text ${connectionStatus}`}>
                   {connectionStatus === 'connected' ? 'Connected' : connectionStatus === 'connecting' ? 'Connecting...' : 'Disconnected'}
                 </p>
+                {watchdog.map(source => (
+                  <p key={source.id} className={`heartbeat ${source.status}`}>
+                    {source.status === 'ok' ? '💚' : source.status === 'missed' ? '💔' : '⏳'} {source.label}
+                    {source.status === 'missed' && ' - no heartbeat'}
+                  </p>
+                ))}
               </div>
             </div>
             <div className="detail-card">
               <div className="detail-icon">⚡</div>
               <div className="detail-content">
                 <h4>Response Time</h4>
-                <p>&lt; 100ms</p>
+                <p>{streamStatus === 'live' ? '< 100ms (live)' : `~${Number((pollIntervalMs / 1000).toFixed(1))}s (polling)`}</p>
               </div>
             </div>
           </div>
 
-          {lights?.light2 && (
+          {otherLights.map(light => (
             <TrafficLightCard
-              light={lights.light2}
+              key={light.id}
+              light={light}
               onControl={controlLight}
-              loading={loading}
+              loading={controlsLocked}
+              canControl={canCommand}
             />
-          )}
+          ))}
         </div>
 
+        {commandError && (
+          <div className="command-error" role="alert">
+            ⛔ Command blocked: {commandError}
+          </div>
+        )}
+
         {/* Vehicle Tracking Panel */}
-        <VehicleTrackingPanel vehicleData={vehicleData} />
+        <VehicleTrackingPanel
+          siteId={siteId}
+          vehicleData={vehicleData}
+          performance={performance}
+          directions={directions}
+          lights={lights}
+          defaultGreenSeconds={defaultGreenSeconds}
+        />
+
+        <AlertsPanel siteId={siteId} alerts={alerts} canOperate={canOperate} />
 
         {/* System Status */}
         <div className="status-panel">
           <div className="status-item">
             <span className="status-label">Mode:</span>
             <span className={`status-value ${trafficFlow.mode}`}>
-              {trafficFlow.mode.charAt(0).toUpperCase() + trafficFlow.mode.slice(1)}
+              {FLOW_MODE_LABELS[trafficFlow.mode] ?? trafficFlow.mode}
             </span>
           </div>
           <div className="status-item">
@@ -194,30 +635,221 @@ function App() {
               {trafficFlow.currentDirection.charAt(0).toUpperCase() + trafficFlow.currentDirection.slice(1)}
             </span>
           </div>
+          {trafficFlow.plan && (
+            <div className="status-item">
+              <span className="status-label">Plan:</span>
+              <span className={`status-value plan-${trafficFlow.plan.type}`} title={describePlanSource(trafficFlow.plan.source)}>
+                {trafficFlow.plan.name}
+                {trafficFlow.mode !== 'automatic' && ' (not running)'}
+              </span>
+            </div>
+          )}
+          {CYCLING_MODES.includes(trafficFlow.mode) && trafficFlow.greenDuration && (
+            <div className="status-item">
+              <span className="status-label">{trafficFlow.mode === 'actuated' ? 'Min Green:' : 'Green:'}</span>
+              <span className="status-value">{trafficFlow.greenDuration}s</span>
+            </div>
+          )}
+          {trafficFlow.phaseDecision && (
+            <div className="status-item">
+              <span className="status-label">Green Decision:</span>
+              <span className={`status-value decision-${trafficFlow.phaseDecision.state}`} title={trafficFlow.phaseDecision.message}>
+                {PHASE_DECISION_LABELS[trafficFlow.phaseDecision.state] ?? trafficFlow.phaseDecision.state}
+              </span>
+              <span className="status-detail">{trafficFlow.phaseDecision.message}</span>
+            </div>
+          )}
+          <div className="status-item">
+            <span className="status-label">Phase:</span>
+            <span className={`status-value phase-${signal.phase}`}>
+              {formatPhase(signal.phase)}
+              {signal.timeRemainingMs !== null && ` (${Math.ceil(signal.timeRemainingMs / 1000)}s)`}
+            </span>
+          </div>
+          {signal.clearance?.active && (
+            <div className="status-item">
+              <span className="status-label">All-Red Clearance:</span>
+              <span className="status-value clearance">
+                {signal.clearance.seconds + signal.clearance.extendedSeconds}s
+                {signal.clearance.extendedSeconds > 0 && ' (extended)'}
+              </span>
+            </div>
+          )}
+          {!trafficFlow.failsafe && canOperate && !trafficFlow.override && (
+            <button
+              className="control-btn take-control"
+              onClick={() => overrideControl('take')}
+              disabled={loading || !!trafficFlow.preemption}
+              title="Lock the site's light and flow commands to you until you release them"
+            >
+              🔒 Take Manual Control
+            </button>
+          )}
+          {!trafficFlow.failsafe && canCommand && (
+            <div className="mode-buttons">
+              {CYCLING_MODES.filter(mode => mode !== trafficFlow.mode).map(mode => (
+                <button
+                  key={mode}
+                  className="control-btn toggle"
+                  onClick={() => setTrafficMode(mode)}
+                  disabled={loading}
+                  title={MODE_DESCRIPTIONS[mode]}
+                >
+                  {mode === 'automatic' ? 'Resume Automatic' : FLOW_MODE_LABELS[mode]}
+                </button>
+              ))}
+              {STEADY_MODES.filter(mode => mode !== trafficFlow.mode).map(mode => (
+                <button
+                  key={mode}
+                  className={`control-btn mode-${mode}`}
+                  onClick={() => setTrafficMode(mode)}
+                  disabled={loading}
+                  title={MODE_DESCRIPTIONS[mode]}
+                >
+                  {FLOW_MODE_LABELS[mode]}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
+      )}
 
       {/* Floating Emergency Stop Button */}
-      <button 
-        className="floating-emergency-btn" 
-        onClick={emergencyStop} 
-        disabled={loading}
-        title="Emergency Stop"
-      >
-        <span className="emergency-icon">🛑</span>
-        <span className="emergency-text">Emergency Stop</span>
-      </button>
+      {canOperate && (
+        <button 
+          className="floating-emergency-btn" 
+          onClick={emergencyStop} 
+          disabled={loading}
+          title={`Emergency Stop: every light at ${site.name} to red`}
+        >
+          <span className="emergency-icon">🛑</span>
+          <span className="emergency-text">Emergency Stop</span>
+        </button>
+      )}
+      </div>
+    </div>
+  );
+}
+
+function PreemptionBanner({ preemption }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const elapsedSeconds = Math.max(Math.floor((now - Date.parse(preemption.startedAt)) / 1000), 0);
+  const minutes = Math.floor(elapsedSeconds / 60);
+  const seconds = String(elapsedSeconds % 60).padStart(2, '0');
+
+  return (
+    <div className="preemption-banner" role="alert">
+      <span className="preemption-icon">🚨</span>
+      <div className="preemption-content">
+        <h3>Emergency Pre-emption Active</h3>
+        <p>
+          Green held for the <strong>{preemption.direction}</strong> approach
+          {preemption.count > 1 && ` (${preemption.count} emergency vehicles)`}
+        </p>
       </div>
+      <span className="preemption-elapsed">{minutes}:{seconds}</span>
     </div>
   );
 }
 
-function TrafficLightCard({ light, onControl, loading }) {
+function OverrideBanner({ override, isHolder, onRelease, loading }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remainingSeconds = Math.max(Math.ceil((Date.parse(override.expiresAt) - now) / 1000), 0);
+  const minutes = Math.floor(remainingSeconds / 60);
+  const seconds = String(remainingSeconds % 60).padStart(2, '0');
+
+  return (
+    <div className="preemption-banner override-banner" role="status">
+      <span className="preemption-icon">🔒</span>
+      <div className="preemption-content">
+        <h3>{isHolder ? 'You Hold Manual Control' : `Manual Control Held by ${override.holder}`}</h3>
+        <p>
+          Since {new Date(override.since).toLocaleTimeString()}
+          {override.reason && ` - ${override.reason}`}
+        </p>
+        <p>
+          {isHolder
+            ? 'Only your commands are accepted; without one the site returns to its scheduled plan in'
+            : 'Light and flow controls are locked; the site returns to its scheduled plan in'}
+        </p>
+      </div>
+      <span className="preemption-elapsed" title="Released after this long without a command">{minutes}:{seconds}</span>
+      {onRelease && (
+        <button className="failsafe-reset-btn" onClick={onRelease} disabled={loading}>
+          {isHolder ? 'Release Control' : 'Break Lock'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function FailsafeBanner({ failsafe, watchdog, onReset, loading }) {
+  const missing = watchdog.filter(source => source.status !== 'ok');
+
+  return (
+    <div className="preemption-banner failsafe-banner" role="alert">
+      <span className="preemption-icon">⚠️</span>
+      <div className="preemption-content">
+        <h3>Fail-Safe Active</h3>
+        <p>{failsafe.reason} (since {new Date(failsafe.since).toLocaleTimeString()})</p>
+        <p>
+          {missing.length > 0
+            ? `Waiting for: ${missing.map(source => source.label).join(', ')}`
+            : 'All sources are reporting again; an operator can reset the fail-safe'}
+        </p>
+      </div>
+      {onReset && (
+        <button className="failsafe-reset-btn" onClick={onReset} disabled={loading || missing.length > 0}>
+          Reset Fail-Safe
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Marker for a site that needs attention, shown in the site switcher
+function siteAlert(status) {
+  if (status.failsafe) return ' ⚠️ fail-safe';
+  if (status.preemption) return ' 🚨 pre-emption';
+  if (status.override) return ` 🔒 ${status.override}`;
+  if (status.faults > 0) return ' ⚠️ fault';
+  if (status.alerts?.open > 0) return ` 🔔 ${status.alerts.open}`;
+  return '';
+}
+
+function formatPhase(phase) {
+  switch (phase) {
+    case 'green': return 'Green';
+    case 'yellow': return 'Yellow';
+    case 'all-red': return 'All Red';
+    case 'flashing': return 'Flashing';
+    case 'flashing-yellow': return 'Flashing Yellow';
+    case 'off': return 'Dark';
+    default: return 'Unknown';
+  }
+}
+
+function TrafficLightCard({ light, onControl, loading, canControl }) {
   const getStateColor = (state) => {
     switch (state) {
       case 'green': return '#10b981';
       case 'red': return '#ef4444';
+      case 'flashing-red': return '#ef4444';
       case 'yellow': return '#f59e0b';
+      case 'flashing-yellow': return '#f59e0b';
       default: return '#6b7280';
     }
   };
@@ -227,10 +859,16 @@ function TrafficLightCard({ light, onControl, loading }) {
       case 'green': return 'Green';
       case 'red': return 'Red';
       case 'yellow': return 'Yellow';
+      case 'flashing-red': return 'Flashing Red';
+      case 'flashing-yellow': return 'Flashing Yellow';
+      case 'off': return 'Dark';
       default: return 'Unknown';
     }
   };
 
+  const field = light.field;
+  const fieldStatus = field?.fault ? 'fault' : field?.confirmed?.state === field?.commanded?.state ? 'confirmed' : 'pending';
+
   return (
     <div className={`traffic-light-card ${light.state}`}>
       <div className="light-header">
@@ -241,17 +879,17 @@ function TrafficLightCard({ light, onControl, loading }) {
       <div className="traffic-light-visual">
         <div className="traffic-light-housing">
           <div 
-            className={`light-bulb red ${light.state === 'red' ? 'active' : ''}`}
+            className={`light-bulb red ${light.state === 'red' ? 'active' : ''} ${light.state === 'flashing-red' ? 'active flashing' : ''}`}
             style={{ 
-              backgroundColor: light.state === 'red' ? '#ef4444' : '#4b5563',
-              boxShadow: light.state === 'red' ? '0 0 20px #ef4444, 0 0 40px #ef4444' : 'none'
+              backgroundColor: light.state === 'red' || light.state === 'flashing-red' ? '#ef4444' : '#4b5563',
+              boxShadow: light.state === 'red' || light.state === 'flashing-red' ? '0 0 20px #ef4444, 0 0 40px #ef4444' : 'none'
             }}
           ></div>
           <div 
-            className={`light-bulb yellow ${light.state === 'yellow' ? 'active' : ''}`}
+            className={`light-bulb yellow ${light.state === 'yellow' ? 'active' : ''} ${light.state === 'flashing-yellow' ? 'active flashing' : ''}`}
             style={{ 
-              backgroundColor: light.state === 'yellow' ? '#f59e0b' : '#4b5563',
-              boxShadow: light.state === 'yellow' ? '0 0 20px #f59e0b, 0 0 40px #f59e0b' : 'none'
+              backgroundColor: light.state === 'yellow' || light.state === 'flashing-yellow' ? '#f59e0b' : '#4b5563',
+              boxShadow: light.state === 'yellow' || light.state === 'flashing-yellow' ? '0 0 20px #f59e0b, 0 0 40px #f59e0b' : 'none'
             }}
           ></div>
           <div 
@@ -267,6 +905,28 @@ function TrafficLightCard({ light, onControl, loading }) {
         </div>
       </div>
 
+      {/* Commanded vs. confirmed by the field controller */}
+      {field?.commanded && (
+        <div className={`field-status ${fieldStatus}`}>
+          <div className="field-row">
+            <span className="status-label">Commanded</span>
+            <span>{getStateText(field.commanded.state)}</span>
+          </div>
+          <div className="field-row">
+            <span className="status-label">Confirmed</span>
+            <span>
+              {field.confirmed ? getStateText(field.confirmed.state) : '—'}
+              {fieldStatus === 'confirmed' && ' ✓'}
+              {fieldStatus === 'pending' && ' (awaiting ack)'}
+            </span>
+          </div>
+          {field.fault && (
+            <div className="field-fault" role="alert">⚠️ {field.fault.message}</div>
+          )}
+        </div>
+      )}
+
+      {canControl && (
       <div className="light-controls">
         <button
           className="control-btn green"
@@ -297,32 +957,38 @@ function TrafficLightCard({ light, onControl, loading }) {
           Toggle
         </button>
       </div>
+      )}
     </div>
   );
 }
 
-function VehicleTrackingPanel({ vehicleData }) {
+function VehicleTrackingPanel({ siteId, vehicleData, performance, directions, lights, defaultGreenSeconds }) {
   const waitingVehicles = vehicleData.vehicles_waiting || 0;
+  // Each end is shown separately once the feed reports per approach
+  const approaches = vehicleData.approaches || {};
+  const perApproach = directions.some(direction => approaches[direction]?.timestamp);
   const priorityVehicles = vehicleData.priority_vehicles || 0;
-  const greenLightDuration = vehicleData.green_light_duration || 20;
+  const greenLightDuration = vehicleData.green_light_duration || defaultGreenSeconds;
   const vehiclesByType = vehicleData.vehicles_by_type || {};
   
-  // Track green light duration history for average calculation
-  const [greenLightHistory, setGreenLightHistory] = useState([]);
-  
+  // Average of the greens actually served in the last hour, from the server history
+  const [averageGreenLightTime, setAverageGreenLightTime] = useState(null);
+
   useEffect(() => {
-    if (greenLightDuration > 0) {
-      setGreenLightHistory(prev => {
-        const updated = [...prev, greenLightDuration];
-        // Keep last 10 values for average
-        return updated.slice(-10);
-      });
-    }
-  }, [greenLightDuration]);
-  
-  const averageGreenLightTime = greenLightHistory.length > 0
-    ? Math.round(greenLightHistory.reduce((a, b) => a + b, 0) / greenLightHistory.length)
-    : greenLightDuration;
+    const loadAverage = async () => {
+      try {
+        const to = Date.now();
+        const history = await fetchHistory({ siteId, from: to - 60 * 60 * 1000, to, bucket: '1h', metrics: ['green'] });
+        setAverageGreenLightTime(averageGreenSeconds(history.buckets));
+      } catch (error) {
+        console.error('Error fetching green light history:', error);
+      }
+    };
+
+    loadAverage();
+    const interval = setInterval(loadAverage, 30000);
+    return () => clearInterval(interval);
+  }, [siteId]);
   
   const vehicleTypes = [
     { type: 'car', icon: '🚗', label: 'Cars', count: vehiclesByType.car || vehicleData.car_count || 0, speed: vehicleData.cspeed || 0 },
@@ -356,13 +1022,54 @@ function VehicleTrackingPanel({ vehicleData }) {
         <KeyMetricCard
           icon="⏱️"
           label="Avg Green Light Time"
-          value={averageGreenLightTime}
+          value={averageGreenLightTime ?? greenLightDuration}
           color="#10b981"
           unit="seconds"
         />
+        {performance && (
+          <>
+            <KeyMetricCard
+              icon="🕰️"
+              label="Estimated Delay"
+              value={Math.round(performance.site.delaySeconds)}
+              color="#f59e0b"
+              unit="sec/vehicle"
+            />
+            <KeyMetricCard
+              icon="🚦"
+              label="Queue Clears In"
+              value={performance.site.queueDischargeSeconds === null ? '∞' : Math.round(performance.site.queueDischargeSeconds)}
+              color="#0ea5e9"
+              unit={performance.site.queueDischargeSeconds === null ? 'oversaturated' : 'seconds'}
+            />
+            <KeyMetricCard
+              icon="📐"
+              label="Level of Service"
+              value={performance.site.levelOfService}
+              color={LOS_COLORS[performance.site.levelOfService]}
+              unit={`worst: ${performance.site.worstDirection} ${performance.approaches[performance.site.worstDirection].levelOfService}`}
+            />
+          </>
+        )}
       </div>
       
+      {/* Both ends of the passage, side by side */}
+      {perApproach && (
+        <div className="approaches-grid">
+          {directions.map(direction => (
+            <ApproachCard
+              key={direction}
+              direction={direction}
+              approach={approaches[direction]}
+              estimate={performance?.approaches[direction]}
+              lightState={Object.values(lights).find(light => light.direction === direction)?.state}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Waiting Vehicles Section */}
+      {!perApproach && (
       <div className="waiting-vehicles-section">
         <div className="waiting-header">
           <span className="waiting-icon">⏳</span>
@@ -380,6 +1087,7 @@ function VehicleTrackingPanel({ vehicleData }) {
           )}
         </div>
       </div>
+      )}
 
       {/* Vehicle Types Grid */}
       <div className="vehicle-types-grid">
@@ -404,16 +1112,62 @@ function VehicleTrackingPanel({ vehicleData }) {
         </div>
       </div>
 
-      {/* Anomalies Section */}
-      {vehicleData.anomalies && vehicleData.anomalies.length > 0 && (
-        <div className="anomalies-section">
-          <h4>⚠️ Anomalies Detected</h4>
-          <div className="anomalies-list">
-            {vehicleData.anomalies.map((anomaly, idx) => (
-              <span key={idx} className="anomaly-badge">{anomaly}</span>
+    </div>
+  );
+}
+
+// Colour of each level of service, from free flow (A) to oversaturated (F)
+const LOS_COLORS = { A: '#10b981', B: '#22c55e', C: '#eab308', D: '#f59e0b', E: '#f97316', F: '#ef4444' };
+
+// Queue, arrivals, counts and the delay estimate at one end of the passage
+function ApproachCard({ direction, approach, estimate, lightState }) {
+  const waiting = approach?.vehicles_waiting || 0;
+  const byType = approach?.vehicles_by_type || {};
+
+  return (
+    <div className={`approach-card ${approach?.timestamp ? '' : 'no-data'}`}>
+      <div className="approach-header">
+        <span className={`approach-signal state-${lightState || 'off'}`} title={lightState} />
+        <h3>{direction.charAt(0).toUpperCase() + direction.slice(1)}</h3>
+        <span className="waiting-count">{waiting}</span>
+      </div>
+      {!approach?.timestamp ? (
+        <p className="approach-empty">No data from this end yet</p>
+      ) : (
+        <>
+          <div className="waiting-vehicles-visual">
+            {Array.from({ length: Math.min(waiting, 5) }).map((_, i) => (
+              <div key={i} className="waiting-vehicle-icon">🚗</div>
             ))}
+            {waiting > 5 && <div className="waiting-vehicle-more">+{waiting - 5}</div>}
           </div>
-        </div>
+          <div className="approach-stats">
+            <span>⏱️ {approach.vehicles_per_minute || 0}/min</span>
+            <span>🚨 {approach.priority_vehicles || 0} priority</span>
+            <span>🔢 {approach.total_vehicles_counted || 0} counted</span>
+            {approach.cspeed > 0 && <span>🚗 {approach.cspeed.toFixed(1)} km/h</span>}
+          </div>
+          <div className="approach-types">
+            🚗 {byType.car || 0} · 🚚 {byType.truck || 0} · 🚌 {byType.bus || 0} · 🏍️ {byType.motorcycle || 0}
+            {approach.emergency_count > 0 && <> · 🚨 {approach.emergency_count}</>}
+          </div>
+          {estimate && (
+            <div className="approach-estimate" title={`Degree of saturation ${estimate.degreeOfSaturation ?? '—'}, ${estimate.timing} timing`}>
+              <span className="los-badge" style={{ backgroundColor: LOS_COLORS[estimate.levelOfService] }}>
+                LOS {estimate.levelOfService}
+              </span>
+              <span>🕰️ {Math.round(estimate.delaySeconds)}s delay</span>
+              <span>
+                {estimate.queueDischargeSeconds === null
+                  ? '♾️ queue keeps growing'
+                  : `🚦 clears in ${Math.round(estimate.queueDischargeSeconds)}s`}
+              </span>
+            </div>
+          )}
+          <div className="approach-updated">
+            {approach.camera && `${approach.camera} · `}updated {new Date(approach.timestamp).toLocaleTimeString()}
+          </div>
+        </>
       )}
     </div>
   );
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+
+import { apiFetch } from './api';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RANGES = [
+  { id: '1h', label: 'Last Hour', ms: HOUR_MS },
+  { id: '24h', label: 'Last 24 Hours', ms: 24 * HOUR_MS },
+  { id: '7d', label: 'Last 7 Days', ms: 7 * 24 * HOUR_MS },
+  { id: '30d', label: 'Last 30 Days', ms: 30 * 24 * HOUR_MS }
+];
+
+const CATEGORIES = [
+  { id: 'command', label: 'Commands' },
+  { id: 'controller', label: 'Controller' },
+  { id: 'preemption', label: 'Pre-emption' },
+  { id: 'conflict', label: 'Conflicts' },
+  { id: 'fault', label: 'Faults' },
+  { id: 'alert', label: 'Alerts' },
+  { id: 'admin', label: 'Admin' }
+];
+
+const SOURCES = [
+  { id: 'ui', label: 'Portal' },
+  { id: 'rest', label: 'REST' },
+  { id: 'mqtt', label: 'MQTT' },
+  { id: 'simulator', label: 'Simulator' },
+  { id: 'system', label: 'System' }
+];
+
+const EMPTY_FILTERS = { rangeId: '24h', site: '', category: '', source: '', actor: '', q: '' };
+
+// Audit trail of commands and automatic decisions, newest first.
+// sites: the configured sites, for the site filter
+function EventLogView({ sites = [] }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Text filters are applied on submit rather than on every key press
+  const [draft, setDraft] = useState({ actor: '', q: '' });
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const requestKey = JSON.stringify({ ...filters, refreshCount });
+
+  useEffect(() => {
+    let cancelled = false;
+    const { rangeId, site, category, source, actor, q } = JSON.parse(requestKey);
+    const to = Date.now();
+    const query = new URLSearchParams({ from: String(to - RANGES.find(r => r.id === rangeId).ms), to: String(to) });
+    if (site) query.set('site', site);
+    if (category) query.set('category', category);
+    if (source) query.set('source', source);
+    if (actor) query.set('actor', actor);
+    if (q) query.set('q', q);
+
+    const load = async () => {
+      try {
+        const response = await apiFetch(`/audit?${query}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        if (!cancelled) setResult({ key: requestKey, data, error: null });
+      } catch (error) {
+        console.error('Error fetching audit trail:', error);
+        if (!cancelled) setResult({ key: requestKey, data: null, error: error.message });
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [requestKey]);
+
+  const loading = result?.key !== requestKey;
+  const entries = result?.data?.entries || [];
+
+  const setFilter = (name, value) => setFilters(current => ({ ...current, [name]: value }));
+
+  const applySearch = (event) => {
+    event.preventDefault();
+    setFilters(current => ({ ...current, actor: draft.actor.trim(), q: draft.q.trim() }));
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setDraft({ actor: '', q: '' });
+  };
+
+  return (
+    <div className="admin-panel">
+      <h2>Event Log</h2>
+
+      <form className="admin-form" onSubmit={applySearch}>
+        <select value={filters.rangeId} onChange={(event) => setFilter('rangeId', event.target.value)}>
+          {RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+        </select>
+        {sites.length > 1 && (
+          <select value={filters.site} onChange={(event) => setFilter('site', event.target.value)}>
+            <option value="">All sites</option>
+            {sites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        )}
+        <select value={filters.category} onChange={(event) => setFilter('category', event.target.value)}>
+          <option value="">All categories</option>
+          {CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+        </select>
+        <select value={filters.source} onChange={(event) => setFilter('source', event.target.value)}>
+          <option value="">All sources</option>
+          {SOURCES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        <input
+          placeholder="Actor"
+          value={draft.actor}
+          onChange={(event) => setDraft({ ...draft, actor: event.target.value })}
+        />
+        <input
+          placeholder="Search"
+          value={draft.q}
+          onChange={(event) => setDraft({ ...draft, q: event.target.value })}
+        />
+        <button className="control-btn toggle" type="submit">Apply</button>
+        <button className="range-btn" type="button" onClick={clearFilters}>Clear</button>
+        <button
+          className="range-btn"
+          type="button"
+          onClick={() => setRefreshCount(count => count + 1)}
+          disabled={loading}
+        >
+          {loading ? 'Loading...' : '↻ Refresh'}
+        </button>
+      </form>
+
+      {result?.error && !loading && <div className="form-error" role="alert">{result.error}</div>}
+
+      {result?.data && (
+        <div className="event-log-summary">
+          Showing {entries.length} of {result.data.total} matching events
+        </div>
+      )}
+
+      <table className="admin-table event-log">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Site</th>
+            <th>Category</th>
+            <th>Action</th>
+            <th>Actor</th>
+            <th>Source</th>
+            <th>Change</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry.id} className={`outcome-${entry.outcome}`}>
+              <td>{new Date(entry.t).toLocaleString()}</td>
+              <td>{entry.site ? sites.find(s => s.id === entry.site)?.name ?? entry.site : '—'}</td>
+              <td><span className={`category-badge ${entry.category}`}>{entry.category}</span></td>
+              <td>
+                {entry.action}
+                {entry.outcome !== 'applied' && <span className={`outcome-badge ${entry.outcome}`}>{entry.outcome}</span>}
+              </td>
+              <td>{entry.actor}</td>
+              <td>{SOURCES.find(s => s.id === entry.source)?.label ?? entry.source}</td>
+              <td className="event-change">
+                {describeChanges(entry.previous, entry.next).map(line => <div key={line}>{line}</div>)}
+              </td>
+              <td>{entry.reason || '—'}</td>
+            </tr>
+          ))}
+          {!loading && entries.length === 0 && (
+            <tr>
+              <td colSpan="8" className="chart-empty">No events match these filters</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Flatten { lights: { light1: 'red' } } into { 'lights.light1': 'red' }
+function flatten(value, prefix = '') {
+  if (value === null || typeof value !== 'object') return {};
+  return Object.entries(value).reduce((flat, [key, child]) => (
+    child !== null && typeof child === 'object'
+      ? { ...flat, ...flatten(child, `${prefix}${key}.`) }
+      : { ...flat, [`${prefix}${key}`]: child }
+  ), {});
+}
+
+// "field: before → after" for every field that differs between previous and next
+function describeChanges(previous, next) {
+  const before = flatten(previous);
+  const after = flatten(next);
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const format = (value) => (value === undefined || value === null ? '—' : String(value));
+  return keys
+    .filter(key => before[key] !== after[key])
+    .map(key => (previous ? `${key}: ${format(before[key])} → ${format(after[key])}` : `${key}: ${format(after[key])}`));
+}
+
+export default EventLogView;
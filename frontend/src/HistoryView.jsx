@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+
+import { fetchHistory, averageGreenSeconds } from './api';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Selectable time ranges and the bucket size each one is shown in
+const RANGES = [
+  { id: '1h', label: 'Last Hour', ms: HOUR_MS, bucket: '1m' },
+  { id: '6h', label: 'Last 6 Hours', ms: 6 * HOUR_MS, bucket: '15m' },
+  { id: '24h', label: 'Last 24 Hours', ms: 24 * HOUR_MS, bucket: '15m' },
+  { id: '7d', label: 'Last 7 Days', ms: 7 * 24 * HOUR_MS, bucket: '1h' },
+  { id: '30d', label: 'Last 30 Days', ms: 30 * 24 * HOUR_MS, bucket: '1d' }
+];
+
+const VEHICLE_SERIES = [
+  { key: 'car', label: 'Cars', color: '#667eea' },
+  { key: 'truck', label: 'Trucks', color: '#f59e0b' },
+  { key: 'bus', label: 'Buses', color: '#10b981' },
+  { key: 'motorcycle', label: 'Motorcycles', color: '#8b5cf6' },
+  { key: 'emergency', label: 'Emergency', color: '#ef4444' }
+];
+
+function HistoryView({ siteId }) {
+  const [rangeId, setRangeId] = useState('24h');
+  const [refreshCount, setRefreshCount] = useState(0);
+  // Last response, tagged with the request it answers so a stale one shows as loading
+  const [result, setResult] = useState(null);
+
+  const requestKey = `${siteId}:${rangeId}:${refreshCount}`;
+  const range = RANGES.find(r => r.id === rangeId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const to = Date.now();
+
+    fetchHistory({ siteId, from: to - range.ms, to, bucket: range.bucket })
+      .then(data => {
+        if (!cancelled) setResult({ key: requestKey, data, error: null });
+      })
+      .catch(error => {
+        console.error('Error fetching history:', error);
+        if (!cancelled) setResult({ key: requestKey, data: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [requestKey, siteId, range]);
+
+  const loading = result?.key !== requestKey;
+  const buckets = result?.data?.buckets || [];
+  const times = buckets.map(b => Date.parse(b.start));
+
+  const series = (pick) => buckets.map(b => pick(b) ?? null);
+  const vehiclesCounted = buckets.reduce((sum, b) => sum + (b.vehiclesCounted || 0), 0);
+  const peakQueue = buckets.reduce((max, b) => Math.max(max, b.waiting?.max ?? 0), 0);
+  const greensServed = buckets.reduce((sum, b) => sum + (b.green?.count || 0), 0);
+  const averageGreen = averageGreenSeconds(buckets);
+
+  return (
+    <div className="history-view">
+      <div className="history-panel">
+        <h2>Traffic History</h2>
+
+        <div className="history-controls">
+          {RANGES.map(r => (
+            <button
+              key={r.id}
+              className={`range-btn ${r.id === rangeId ? 'active' : ''}`}
+              onClick={() => setRangeId(r.id)}
+            >
+              {r.label}
+            </button>
+          ))}
+          <button
+            className="range-btn refresh"
+            onClick={() => setRefreshCount(count => count + 1)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : '↻ Refresh'}
+          </button>
+        </div>
+
+        {result?.error && !loading && (
+          <div className="command-error" role="alert">
+            ⚠️ Could not load history: {result.error}
+          </div>
+        )}
+
+        <div className="vehicle-stats">
+          <div className="stat-item">
+            <span className="stat-label">Vehicles Counted:</span>
+            <span className="stat-value">{vehiclesCounted}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Peak Queue:</span>
+            <span className="stat-value">{peakQueue}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Greens Served:</span>
+            <span className="stat-value">{greensServed}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Avg Green Light Time:</span>
+            <span className="stat-value">{averageGreen !== null ? `${averageGreen}s` : '—'}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="charts-grid">
+        <ChartCard
+          title="Vehicle Counts by Type"
+          subtitle="Peak vehicles in view per interval"
+          times={times}
+          bucket={range.bucket}
+          series={VEHICLE_SERIES.map(s => ({ ...s, values: series(b => b.counts?.[s.key]) }))}
+        />
+        <ChartCard
+          title="Average Speed by Type"
+          subtitle="km/h"
+          times={times}
+          bucket={range.bucket}
+          series={VEHICLE_SERIES
+            .filter(s => s.key !== 'emergency')
+            .map(s => ({ ...s, values: series(b => b.speeds?.[s.key]) }))}
+        />
+        <ChartCard
+          title="Queue Length"
+          subtitle="Vehicles waiting"
+          times={times}
+          bucket={range.bucket}
+          series={[
+            { label: 'Average', color: '#667eea', values: series(b => b.waiting?.avg) },
+            { label: 'Peak', color: '#ef4444', values: series(b => b.waiting?.max) }
+          ]}
+        />
+        <ChartCard
+          title="Green Durations"
+          subtitle="Seconds"
+          times={times}
+          bucket={range.bucket}
+          series={[
+            { label: 'Served (avg)', color: '#10b981', values: series(b => b.green?.avg) },
+            { label: 'Served (max)', color: '#059669', values: series(b => b.green?.max) },
+            { label: 'Recommended', color: '#f59e0b', values: series(b => b.green?.recommendedAvg) }
+          ]}
+        />
+      </div>
+    </div>
+  );
+}
+
+function formatTime(time, bucket) {
+  const date = new Date(time);
+  if (bucket === '1d') {
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  }
+  if (bucket === '1h') {
+    return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function ChartCard({ title, subtitle, times, bucket, series }) {
+  const hasData = series.some(s => s.values.some(v => v !== null));
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <h3>{title}</h3>
+        <span className="chart-subtitle">{subtitle}</span>
+      </div>
+      {hasData ? (
+        <LineChart times={times} bucket={bucket} series={series} />
+      ) : (
+        <div className="chart-empty">No data recorded in this range</div>
+      )}
+      <div className="chart-legend">
+        {series.map(s => (
+          <span key={s.label} className="legend-item">
+            <span className="legend-swatch" style={{ background: s.color }} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const CHART = { width: 600, height: 220, left: 40, right: 12, top: 12, bottom: 28 };
+
+// Minimal SVG line chart. Null values (no samples in a bucket) break the line.
+function LineChart({ times, bucket, series }) {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+
+  const maxValue = Math.max(1, ...series.flatMap(s => s.values.filter(v => v !== null)));
+  const yMax = Math.ceil(maxValue);
+  const x = (i) => CHART.left + (times.length > 1 ? (i / (times.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => CHART.top + plotHeight - (value / yMax) * plotHeight;
+
+  // Split each series into runs of consecutive values
+  const segments = (values) => {
+    const runs = [];
+    let run = [];
+    values.forEach((value, i) => {
+      if (value === null) {
+        if (run.length) runs.push(run);
+        run = [];
+      } else {
+        run.push([x(i), y(value)]);
+      }
+    });
+    if (run.length) runs.push(run);
+    return runs;
+  };
+
+  const yTicks = [0, yMax / 2, yMax];
+  const xTicks = times.length > 1 ? [0, Math.floor((times.length - 1) / 2), times.length - 1] : [0];
+
+  return (
+    <svg className="line-chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img">
+      {yTicks.map(tick => (
+        <g key={tick}>
+          <line className="chart-grid" x1={CHART.left} x2={CHART.width - CHART.right} y1={y(tick)} y2={y(tick)} />
+          <text className="chart-axis" x={CHART.left - 6} y={y(tick) + 4} textAnchor="end">
+            {Number.isInteger(tick) ? tick : tick.toFixed(1)}
+          </text>
+        </g>
+      ))}
+      {xTicks.map(i => (
+        <text key={i} className="chart-axis" x={x(i)} y={CHART.height - 8} textAnchor="middle">
+          {formatTime(times[i], bucket)}
+        </text>
+      ))}
+      {series.map(s => segments(s.values).map((run, i) => (
+        run.length === 1 ? (
+          <circle key={`${s.label}-${i}`} cx={run[0][0]} cy={run[0][1]} r="3" fill={s.color} />
+        ) : (
+          <polyline
+            key={`${s.label}-${i}`}
+            points={run.map(point => point.join(',')).join(' ')}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+        )
+      )))}
+    </svg>
+  );
+}
+
+export default HistoryView;
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+
+import { login } from './api';
+
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      onLogin(await login(username, password));
+    } catch (loginError) {
+      setError(loginError.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="app">
+      <div className="app-content">
+        <header className="app-header">
+          <h1 className="app-title">
+            <span className="traffic-icon">🚦</span>
+            One-Way Traffic Control System
+          </h1>
+          <p className="app-subtitle">Management Portal</p>
+        </header>
+
+        <form className="login-panel" onSubmit={handleSubmit}>
+          <h2>Sign In</h2>
+          <label className="form-field">
+            <span className="status-label">Username</span>
+            <input
+              type="text"
+              value={username}
+              onChange={(event) => setUsername(event.target.value)}
+              autoComplete="username"
+              autoFocus
+              required
+            />
+          </label>
+          <label className="form-field">
+            <span className="status-label">Password</span>
+            <input
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          {error && <div className="form-error" role="alert">{error}</div>}
+          <button className="control-btn toggle" type="submit" disabled={loading}>
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,405 @@
+import { useState, useEffect } from 'react';
+
+import { apiFetch, sitePath } from './api';
+import { PLAN_TYPE_LABELS, describePlanSource } from './plans';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOURS = [0, 3, 6, 9, 12, 15, 18, 21];
+
+function planDetails(plan) {
+  switch (plan.type) {
+    case 'adaptive':
+      return plan.minGreenSeconds || plan.maxGreenSeconds
+        ? `green ${plan.minGreenSeconds ?? 'min'}-${plan.maxGreenSeconds ?? 'max'}s`
+        : 'configured green limits';
+    case 'actuated':
+      return `green ${plan.minGreenSeconds ?? 'min'}-${plan.maxGreenSeconds ?? 'max'}s, gap-out ${plan.gapSeconds ? `${plan.gapSeconds}s` : 'default'}`;
+    case 'fixed':
+      return Object.entries(plan.greenSeconds).map(([direction, seconds]) => `${direction} ${seconds}s`).join(', ');
+    case 'forced':
+      return `${plan.direction} held green`;
+    default:
+      return 'every light flashing yellow';
+  }
+}
+
+// Local midnight of today
+function startOfToday() {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+// Week calendar: one column per day, each block positioned by its start and end
+function WeekCalendar({ from, blocks, plans }) {
+  const planById = Object.fromEntries(plans.map(plan => [plan.id, plan]));
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const start = new Date(from);
+    start.setDate(start.getDate() + i);
+    return start;
+  });
+
+  return (
+    <div className="week-calendar">
+      <div className="calendar-hours">
+        {HOURS.map(hour => (
+          <span key={hour} style={{ top: `${(hour / 24) * 100}%` }}>{String(hour).padStart(2, '0')}:00</span>
+        ))}
+      </div>
+      {days.map(day => {
+        const dayStart = day.getTime();
+        const dayEnd = dayStart + DAY_MS;
+        return (
+          <div className="calendar-day" key={dayStart}>
+            <div className="calendar-day-name">
+              {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+            </div>
+            <div className="calendar-day-body">
+              {blocks
+                .filter(block => Date.parse(block.start) < dayEnd && Date.parse(block.end) > dayStart)
+                .map(block => {
+                  const start = Math.max(Date.parse(block.start), dayStart);
+                  const end = Math.min(Date.parse(block.end), dayEnd);
+                  const plan = planById[block.planId];
+                  return (
+                    <div
+                      key={block.start}
+                      className={`plan-block plan-${plan?.type} source-${block.source.type}`}
+                      style={{ top: `${((start - dayStart) / DAY_MS) * 100}%`, height: `${((end - start) / DAY_MS) * 100}%` }}
+                      title={`${plan?.name}: ${new Date(block.start).toLocaleString()} - ${new Date(block.end).toLocaleString()} (${describePlanSource(block.source)})`}
+                    >
+                      <span>{plan?.name}</span>
+                    </div>
+                  );
+                })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Plan fields as edited: numbers are kept as entered until saved
+function planForm(plan, directions) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    type: plan.type,
+    minGreenSeconds: plan.minGreenSeconds ?? '',
+    maxGreenSeconds: plan.maxGreenSeconds ?? '',
+    gapSeconds: plan.gapSeconds ?? '',
+    greenSeconds: Object.fromEntries(directions.map(direction => [direction, plan.greenSeconds?.[direction] ?? 20])),
+    direction: plan.direction ?? directions[0]
+  };
+}
+
+// Only the fields of the plan's type, as the server expects them
+function planBody(plan) {
+  const body = { id: plan.id.trim(), name: plan.name, type: plan.type };
+  if (plan.type === 'adaptive' || plan.type === 'actuated') {
+    if (plan.minGreenSeconds !== '') body.minGreenSeconds = Number(plan.minGreenSeconds);
+    if (plan.maxGreenSeconds !== '') body.maxGreenSeconds = Number(plan.maxGreenSeconds);
+    if (plan.type === 'actuated' && plan.gapSeconds !== '') body.gapSeconds = Number(plan.gapSeconds);
+  } else if (plan.type === 'fixed') {
+    body.greenSeconds = Object.fromEntries(Object.entries(plan.greenSeconds).map(([direction, seconds]) => [direction, Number(seconds)]));
+  } else if (plan.type === 'forced') {
+    body.direction = plan.direction;
+  }
+  return body;
+}
+
+// Time-of-day plans of a site: a week calendar of the plans the schedule calls
+// for, and for admins the plans, rules and exceptions behind it
+function ScheduleView({ siteId, directions, canEdit }) {
+  const [data, setData] = useState(null);
+  const [calendar, setCalendar] = useState(null);
+  // Edited copy of the schedule; null while not editing
+  const [draft, setDraft] = useState(null);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Bumped after a save so the calendar is reloaded
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const from = startOfToday().toISOString();
+        const [scheduleResponse, calendarResponse] = await Promise.all([
+          apiFetch(sitePath(siteId, '/schedule')),
+          apiFetch(sitePath(siteId, `/schedule/calendar?from=${encodeURIComponent(from)}&days=7`))
+        ]);
+        const [schedule, week] = await Promise.all([scheduleResponse.json(), calendarResponse.json()]);
+        if (!scheduleResponse.ok) throw new Error(schedule.error || `Request failed (${scheduleResponse.status})`);
+        if (!calendarResponse.ok) throw new Error(week.error || `Request failed (${calendarResponse.status})`);
+        if (!cancelled) {
+          setData(schedule);
+          setCalendar(week);
+        }
+      } catch (loadError) {
+        console.error('Error fetching schedule:', loadError);
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [siteId, revision]);
+
+  if (!data || !calendar) {
+    return <div className="admin-panel">{error ? <div className="form-error" role="alert">{error}</div> : 'Loading schedule...'}</div>;
+  }
+
+  const { schedule, active } = data;
+
+  const startEdit = () => {
+    setDraft({
+      ...schedule,
+      plans: schedule.plans.map(plan => planForm(plan, directions)),
+      rules: schedule.rules.map(rule => ({ ...rule })),
+      exceptions: schedule.exceptions.map(exception => ({ ...exception }))
+    });
+    setError(null);
+  };
+
+  const setList = (list, index, field, value) => {
+    setDraft(current => ({
+      ...current,
+      [list]: current[list].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+  const addItem = (list, item) => setDraft(current => ({ ...current, [list]: [...current[list], item] }));
+  const removeItem = (list, index) => setDraft(current => ({ ...current, [list]: current[list].filter((_, i) => i !== index) }));
+  // Rules are checked in order, so an earlier rule wins
+  const moveRuleUp = (index) => setDraft(current => {
+    const rules = [...current.rules];
+    [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+    return { ...current, rules };
+  });
+
+  const save = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSaving(true);
+    try {
+      const body = {
+        plans: draft.plans.map(planBody),
+        rules: draft.rules.map(rule => ({ ...rule, durationMinutes: Number(rule.durationMinutes) })),
+        exceptions: draft.exceptions.map(exception => ({ ...exception, planId: exception.planId || null })),
+        defaultPlanId: draft.defaultPlanId,
+        reason: reason.trim() || null
+      };
+      const response = await apiFetch(sitePath(siteId, '/schedule'), { method: 'PUT', body });
+      const saved = await response.json();
+      if (!response.ok) {
+        setError(saved.error || `Request failed (${response.status})`);
+        return;
+      }
+      setDraft(null);
+      setReason('');
+      setRevision(r => r + 1);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const planOptions = (draft ?? schedule).plans.filter(plan => plan.id).map(plan => (
+    <option key={plan.id} value={plan.id}>{plan.name || plan.id}</option>
+  ));
+
+  return (
+    <div className="admin-panel">
+      <h2>Schedule</h2>
+      <p className="site-form-note">
+        {active
+          ? <>Now: <strong>{active.name}</strong> ({PLAN_TYPE_LABELS[active.type]}, {describePlanSource(active.source)}). </>
+          : null}
+        Plans run while the site is in automatic mode. Times are the server&apos;s local time.
+      </p>
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      <WeekCalendar from={calendar.from} blocks={calendar.blocks} plans={calendar.plans} />
+
+      {!draft ? (
+        <>
+          <h3>Plans</h3>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Plan</th>
+                <th>Type</th>
+                <th>Timing</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.plans.map(plan => (
+                <tr key={plan.id}>
+                  <td>
+                    <span className={`plan-swatch plan-${plan.type}`}></span>
+                    {plan.name} <span className="site-id">{plan.id}</span>
+                    {plan.id === schedule.defaultPlanId && ' (default)'}
+                  </td>
+                  <td>{PLAN_TYPE_LABELS[plan.type]}</td>
+                  <td>{planDetails(plan)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Rules</h3>
+          {schedule.rules.length === 0 ? <p className="site-form-note">No rules: the default plan runs all the time.</p> : (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Plan</th>
+                  <th>Starts (cron)</th>
+                  <th>For</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td>{rule.name}</td>
+                    <td>{schedule.plans.find(plan => plan.id === rule.planId)?.name}</td>
+                    <td><code>{rule.cron}</code></td>
+                    <td>{rule.durationMinutes} min</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Exceptions</h3>
+          {schedule.exceptions.length === 0 ? <p className="site-form-note">No exceptions.</p> : (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Name</th>
+                  <th>Plan</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.exceptions.map(exception => (
+                  <tr key={exception.date}>
+                    <td>{exception.date}</td>
+                    <td>{exception.name}</td>
+                    <td>{schedule.plans.find(plan => plan.id === (exception.planId ?? schedule.defaultPlanId))?.name}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {canEdit && <button className="control-btn toggle" onClick={startEdit}>Edit Schedule</button>}
+        </>
+      ) : (
+        <form className="site-form" onSubmit={save}>
+          <h3>Plans</h3>
+          {draft.plans.map((plan, index) => (
+            <div className="admin-form site-light-row" key={index}>
+              <input placeholder="Plan id" value={plan.id} onChange={(event) => setList('plans', index, 'id', event.target.value)} required />
+              <input placeholder="Name" value={plan.name} onChange={(event) => setList('plans', index, 'name', event.target.value)} required />
+              <select value={plan.type} onChange={(event) => setList('plans', index, 'type', event.target.value)}>
+                {data.planTypes.map(type => <option key={type} value={type}>{PLAN_TYPE_LABELS[type] ?? type}</option>)}
+              </select>
+              {(plan.type === 'adaptive' || plan.type === 'actuated') && (
+                <>
+                  <input type="number" min="5" max="300" placeholder="Min green (s)" value={plan.minGreenSeconds}
+                    onChange={(event) => setList('plans', index, 'minGreenSeconds', event.target.value)} />
+                  <input type="number" min="5" max="300" placeholder="Max green (s)" value={plan.maxGreenSeconds}
+                    onChange={(event) => setList('plans', index, 'maxGreenSeconds', event.target.value)} />
+                </>
+              )}
+              {plan.type === 'actuated' && (
+                <input type="number" min="1" max="30" placeholder="Gap-out (s)" value={plan.gapSeconds}
+                  onChange={(event) => setList('plans', index, 'gapSeconds', event.target.value)} />
+              )}
+              {plan.type === 'fixed' && directions.map(direction => (
+                <input key={direction} type="number" min="5" max="300" title={`${direction} green (s)`} value={plan.greenSeconds[direction]}
+                  onChange={(event) => setList('plans', index, 'greenSeconds', { ...plan.greenSeconds, [direction]: event.target.value })} required />
+              ))}
+              {plan.type === 'forced' && (
+                <select value={plan.direction} onChange={(event) => setList('plans', index, 'direction', event.target.value)}>
+                  {directions.map(direction => <option key={direction} value={direction}>{direction}</option>)}
+                </select>
+              )}
+              <button className="range-btn danger" type="button" onClick={() => removeItem('plans', index)} disabled={draft.plans.length <= 1}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button className="range-btn" type="button" onClick={() => addItem('plans', planForm({ id: '', name: '', type: 'fixed' }, directions))}>
+            + Add Plan
+          </button>
+
+          <div className="admin-form">
+            <label className="site-form-note" htmlFor="default-plan">Default plan</label>
+            <select id="default-plan" value={draft.defaultPlanId} onChange={(event) => setDraft({ ...draft, defaultPlanId: event.target.value })}>
+              {planOptions}
+            </select>
+          </div>
+
+          <h3>Rules</h3>
+          <p className="site-form-note">
+            A rule starts its plan whenever its cron expression (minute hour day-of-month month day-of-week) matches,
+            e.g. <code>0 22 * * *</code> every day at 22:00 or <code>30 5 * * 1-5</code> weekdays at 05:30.
+            The first active rule wins.
+          </p>
+          {draft.rules.map((rule, index) => (
+            <div className="admin-form site-light-row" key={index}>
+              <input placeholder="Name" value={rule.name} onChange={(event) => setList('rules', index, 'name', event.target.value)} required />
+              <select value={rule.planId} onChange={(event) => setList('rules', index, 'planId', event.target.value)}>
+                {planOptions}
+              </select>
+              <input placeholder="Cron, e.g. 0 22 * * *" value={rule.cron} onChange={(event) => setList('rules', index, 'cron', event.target.value)} required />
+              <input type="number" min="1" max="10080" title="Duration (minutes)" value={rule.durationMinutes}
+                onChange={(event) => setList('rules', index, 'durationMinutes', event.target.value)} required />
+              <button className="range-btn" type="button" onClick={() => moveRuleUp(index)} disabled={index === 0}>↑</button>
+              <button className="range-btn danger" type="button" onClick={() => removeItem('rules', index)}>Remove</button>
+            </div>
+          ))}
+          <button className="range-btn" type="button" onClick={() => addItem('rules', { name: '', planId: draft.defaultPlanId, cron: '0 22 * * *', durationMinutes: 480 })}>
+            + Add Rule
+          </button>
+
+          <h3>Exceptions</h3>
+          <p className="site-form-note">On an exception day (e.g. a public holiday) the rules are ignored and its plan runs all day.</p>
+          {draft.exceptions.map((exception, index) => (
+            <div className="admin-form site-light-row" key={index}>
+              <input type="date" value={exception.date} onChange={(event) => setList('exceptions', index, 'date', event.target.value)} required />
+              <input placeholder="Name" value={exception.name} onChange={(event) => setList('exceptions', index, 'name', event.target.value)} required />
+              <select value={exception.planId ?? ''} onChange={(event) => setList('exceptions', index, 'planId', event.target.value)}>
+                <option value="">Default plan</option>
+                {planOptions}
+              </select>
+              <button className="range-btn danger" type="button" onClick={() => removeItem('exceptions', index)}>Remove</button>
+            </div>
+          ))}
+          <button className="range-btn" type="button" onClick={() => addItem('exceptions', { date: '', name: '', planId: null })}>
+            + Add Exception
+          </button>
+
+          <div className="admin-form">
+            <input placeholder="Reason for the change (kept in the event log)" value={reason} onChange={(event) => setReason(event.target.value)} />
+            <button className="control-btn toggle" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Schedule'}
+            </button>
+            <button className="range-btn" type="button" onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ScheduleView;
@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+
+import { apiFetch } from './api';
+
+// "Section field: before → after" for every setting that differs
+function describeChanges(schema, previous, next) {
+  const lines = [];
+  Object.entries(schema).forEach(([section, { fields }]) => {
+    Object.entries(fields).forEach(([field, spec]) => {
+      const before = previous?.[section]?.[field];
+      const after = next?.[section]?.[field];
+      if (before !== after) {
+        lines.push(`${spec.label}: ${before ?? '—'} → ${after ?? '—'}${spec.unit ? ` ${spec.unit}` : ''}`);
+      }
+    });
+  });
+  return lines;
+}
+
+// Admin page: timings, green limits, clearance, topics and their saved versions.
+// config is the active version ({ version, config, schema, ... }); onChange(current)
+// is called with the new active version after a save or rollback.
+function SettingsView({ config, onChange }) {
+  const { schema } = config;
+  // Edited values; null while nothing has been changed
+  const [draft, setDraft] = useState(null);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Saved versions, newest first; reloaded whenever the active version changes
+  const [versions, setVersions] = useState([]);
+
+  const values = draft ?? config.config;
+  const changes = {};
+  Object.entries(values).forEach(([section, fields]) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      if (String(value) !== String(config.config[section][field])) {
+        changes[section] = { ...changes[section], [field]: value };
+      }
+    });
+  });
+  const changed = Object.keys(changes).length > 0;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await apiFetch('/config/versions');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        if (!cancelled) setVersions(data.versions);
+      } catch (loadError) {
+        console.error('Error fetching configuration versions:', loadError);
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [config.version]);
+
+  const setValue = (section, field, value) => {
+    setDraft({ ...values, [section]: { ...values[section], [field]: value } });
+  };
+
+  // Send a change; returns whether it succeeded
+  const submit = async (path, options) => {
+    setError(null);
+    setSaving(true);
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.errors ? data.errors.join('; ') : data.error || `Request failed (${response.status})`);
+        return false;
+      }
+      onChange(data);
+      return true;
+    } catch (submitError) {
+      setError(submitError.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    const body = { config: changes, version: config.version, reason: reason.trim() || null };
+    if (await submit('/config', { method: 'PUT', body })) {
+      setDraft(null);
+      setReason('');
+    }
+  };
+
+  const rollback = (version) => {
+    if (window.confirm(`Restore the settings of version ${version.version}? They take effect immediately.`)) {
+      submit('/config/rollback', { method: 'POST', body: { version: version.version } }).then(done => {
+        if (done) setDraft(null);
+      });
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <h2>Settings</h2>
+      <p className="site-form-note">
+        Version {config.version}, saved {new Date(config.savedAt).toLocaleString()} by {config.actor}.
+        Changes take effect immediately: timings from the next phase, a new broker or topic after reconnecting.
+      </p>
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      <form className="settings-form" onSubmit={save}>
+        {Object.entries(schema).map(([section, { label, fields }]) => (
+          <fieldset key={section} className="settings-section">
+            <legend>{label}</legend>
+            {Object.entries(fields).map(([field, spec]) => (
+              <label key={field} className={`settings-field ${changes[section]?.[field] !== undefined ? 'changed' : ''}`}>
+                <span>{spec.label}</span>
+                <span className="settings-input">
+                  <input
+                    type={spec.type === 'integer' || spec.type === 'number' ? 'number' : 'text'}
+                    min={spec.min}
+                    max={spec.max}
+                    step={spec.type === 'number' ? 'any' : 1}
+                    value={values[section][field]}
+                    onChange={(event) => setValue(section, field, event.target.value)}
+                    required
+                  />
+                  {spec.unit && <span className="settings-unit">{spec.unit}</span>}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+        ))}
+
+        <div className="admin-form">
+          <input
+            placeholder="Reason for the change (kept in the event log)"
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+          />
+          <button className="control-btn toggle" type="submit" disabled={!changed || saving}>
+            {saving ? 'Saving...' : 'Save as New Version'}
+          </button>
+          <button className="range-btn" type="button" onClick={() => setDraft(null)} disabled={!changed}>
+            Discard Changes
+          </button>
+        </div>
+      </form>
+
+      <h3>Versions</h3>
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Saved</th>
+            <th>By</th>
+            <th>Changes</th>
+            <th>Reason</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {versions.map((version, index) => (
+            <tr key={version.version}>
+              <td>
+                {version.version}
+                {version.version === config.version && ' (active)'}
+              </td>
+              <td>{new Date(version.savedAt).toLocaleString()}</td>
+              <td>{version.actor}</td>
+              <td className="event-change">
+                {version.rollbackOf && <div>Restored version {version.rollbackOf}</div>}
+                {versions[index + 1] && describeChanges(schema, versions[index + 1].config, version.config).map(line => <div key={line}>{line}</div>)}
+              </td>
+              <td>{version.reason || '—'}</td>
+              <td className="admin-actions">
+                {version.version !== config.version && (
+                  <button className="range-btn" onClick={() => rollback(version)} disabled={saving}>Roll Back</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default SettingsView;
@@ -0,0 +1,272 @@
+import { useState } from 'react';
+
+import { apiFetch } from './api';
+
+const NEW_SITE = {
+  id: '',
+  name: '',
+  topicBase: '',
+  lights: [
+    { id: '', name: '', direction: 'inbound' },
+    { id: '', name: '', direction: 'outbound' }
+  ],
+  conflicts: []
+};
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Every pair of lights serving different directions, as on the server
+function defaultConflicts(lights) {
+  return lights.flatMap((a, i) => lights.slice(i + 1)
+    .filter(b => a.direction !== b.direction)
+    .map(b => pairKey(a.id, b.id)));
+}
+
+// Admin page: the sites this server controls, their lights and conflicting lights
+function SitesView({ sites, onChange }) {
+  // Site being edited (its id) or 'new'; null while only the list is shown
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(NEW_SITE);
+  // Conflicting pairs as 'lightA|lightB' keys
+  const [conflicts, setConflicts] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startCreate = () => {
+    setEditing('new');
+    setForm(NEW_SITE);
+    setConflicts([]);
+    setError(null);
+  };
+
+  const startEdit = (site) => {
+    setEditing(site.id);
+    setForm({ ...site, lights: site.lights.map(light => ({ ...light })) });
+    setConflicts(site.conflicts.map(([a, b]) => pairKey(a, b)));
+    setError(null);
+  };
+
+  const setLight = (index, field, value) => {
+    setForm(current => ({
+      ...current,
+      lights: current.lights.map((light, i) => (i === index ? { ...light, [field]: value } : light))
+    }));
+  };
+
+  const addLight = () => {
+    setForm(current => ({ ...current, lights: [...current.lights, { id: '', name: '', direction: '' }] }));
+  };
+
+  const removeLight = (index) => {
+    setForm(current => ({ ...current, lights: current.lights.filter((_, i) => i !== index) }));
+  };
+
+  const toggleConflict = (key) => {
+    setConflicts(current => (current.includes(key) ? current.filter(k => k !== key) : [...current, key]));
+  };
+
+  // Send a change and reload the site list; returns whether it succeeded
+  const submit = async (path, options) => {
+    setError(null);
+    setSaving(true);
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || `Request failed (${response.status})`);
+        return false;
+      }
+      onChange();
+      return true;
+    } catch (submitError) {
+      setError(submitError.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    const lights = form.lights.map(light => ({
+      id: light.id.trim(),
+      name: light.name.trim(),
+      direction: light.direction.trim()
+    }));
+    // Only pairs of lights still on the site that serve different directions
+    const body = {
+      name: form.name,
+      topicBase: form.topicBase,
+      lights,
+      conflicts: lights.flatMap((a, i) => lights.slice(i + 1)
+        .filter(b => a.direction !== b.direction && conflicts.includes(pairKey(a.id, b.id)))
+        .map(b => [a.id, b.id]))
+    };
+
+    const saved = editing === 'new'
+      ? await submit('/sites', { method: 'POST', body: { id: form.id.trim(), ...body } })
+      : await submit(`/sites/${editing}`, { method: 'PUT', body });
+    if (saved) setEditing(null);
+  };
+
+  const deleteSite = (site) => {
+    if (window.confirm(`Delete site ${site.name}? Its lights stop being controlled.`)) {
+      submit(`/sites/${site.id}`, { method: 'DELETE' });
+    }
+  };
+
+  const lights = form.lights;
+
+  return (
+    <div className="admin-panel">
+      <h2>Sites</h2>
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Site</th>
+            <th>Feed Topic</th>
+            <th>Lights</th>
+            <th>Status</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sites.map(site => (
+            <tr key={site.id}>
+              <td>{site.name} <span className="site-id">{site.id}</span></td>
+              <td><code>{site.topicBase}</code></td>
+              <td>
+                {site.lights.map(light => (
+                  <div key={light.id}>{light.name} <span className="direction-tag">{light.direction}</span></div>
+                ))}
+              </td>
+              <td>{site.status ? `${site.status.mode}, ${site.status.phase}` : '—'}</td>
+              <td className="admin-actions">
+                <button className="range-btn" onClick={() => startEdit(site)}>Edit</button>
+                <button className="range-btn danger" onClick={() => deleteSite(site)} disabled={sites.length === 1}>
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {editing === null ? (
+        <button className="control-btn toggle" onClick={startCreate}>Add Site</button>
+      ) : (
+        <form className="site-form" onSubmit={save}>
+          <h3>{editing === 'new' ? 'New Site' : `Edit ${form.name}`}</h3>
+          {editing !== 'new' && (
+            <p className="site-form-note">
+              Lights, directions, conflicts and the feed topic can only change while the site is stopped
+              (every light red, manual mode). Names can change at any time.
+            </p>
+          )}
+
+          <div className="admin-form">
+            <input
+              placeholder="Site id (e.g. north-bridge)"
+              value={form.id}
+              onChange={(event) => setForm({ ...form, id: event.target.value })}
+              disabled={editing !== 'new'}
+              required
+            />
+            <input
+              placeholder="Site name"
+              value={form.name}
+              onChange={(event) => setForm({ ...form, name: event.target.value })}
+              required
+            />
+            <input
+              placeholder={`Feed topic (default traffic/sites/${form.id || '<id>'}/vehicles)`}
+              value={form.topicBase}
+              onChange={(event) => setForm({ ...form, topicBase: event.target.value })}
+            />
+          </div>
+
+          <h4>Lights</h4>
+          {lights.map((light, index) => (
+            <div className="admin-form site-light-row" key={index}>
+              <input
+                placeholder="Light id"
+                value={light.id}
+                onChange={(event) => setLight(index, 'id', event.target.value)}
+                required
+              />
+              <input
+                placeholder="Name"
+                value={light.name}
+                onChange={(event) => setLight(index, 'name', event.target.value)}
+                required
+              />
+              <input
+                placeholder="Direction"
+                value={light.direction}
+                onChange={(event) => setLight(index, 'direction', event.target.value)}
+                required
+              />
+              <button
+                className="range-btn danger"
+                type="button"
+                onClick={() => removeLight(index)}
+                disabled={lights.length <= 2}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button className="range-btn" type="button" onClick={addLight} disabled={lights.length >= 12}>
+            + Add Light
+          </button>
+
+          <h4>Conflicting Lights</h4>
+          <p className="site-form-note">
+            Conflicting lights are never green or yellow together. Lights with the same direction are served together.
+          </p>
+          <table className="admin-table conflict-matrix">
+            <thead>
+              <tr>
+                <th></th>
+                {lights.map((light, index) => <th key={index}>{light.id || `#${index + 1}`}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {lights.map((a, i) => (
+                <tr key={i}>
+                  <th>{a.id || `#${i + 1}`}</th>
+                  {lights.map((b, j) => (
+                    <td key={j}>
+                      {j > i && a.id && b.id && a.direction !== b.direction && (
+                        <input
+                          type="checkbox"
+                          checked={conflicts.includes(pairKey(a.id, b.id))}
+                          onChange={() => toggleConflict(pairKey(a.id, b.id))}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button className="range-btn" type="button" onClick={() => setConflicts(defaultConflicts(lights))}>
+            Every Direction Conflicts
+          </button>
+
+          <div className="admin-form">
+            <button className="control-btn toggle" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Site'}
+            </button>
+            <button className="range-btn" type="button" onClick={() => setEditing(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SitesView;
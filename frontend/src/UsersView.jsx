@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+
+import { apiFetch, ROLES } from './api';
+
+// Admin page: user accounts and the API tokens used by scripts and field devices
+function UsersView({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [tokens, setTokens] = useState([]);
+  const [error, setError] = useState(null);
+  const [issuedToken, setIssuedToken] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'viewer' });
+  const [newToken, setNewToken] = useState({ name: '', role: 'operator' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const [usersResponse, tokensResponse] = await Promise.all([apiFetch('/users'), apiFetch('/tokens')]);
+        const usersData = await usersResponse.json();
+        const tokensData = await tokensResponse.json();
+        if (cancelled) return;
+        setUsers(usersData.users || []);
+        setTokens(tokensData.tokens || []);
+      } catch (loadError) {
+        console.error('Error fetching users:', loadError);
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshCount]);
+
+  // Send a change and reload the lists; returns the response data, or null on error
+  const submit = async (path, options) => {
+    setError(null);
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || `Request failed (${response.status})`);
+        return null;
+      }
+      setRefreshCount(count => count + 1);
+      return data;
+    } catch (submitError) {
+      setError(submitError.message);
+      return null;
+    }
+  };
+
+  const createUser = async (event) => {
+    event.preventDefault();
+    if (await submit('/users', { method: 'POST', body: newUser })) {
+      setNewUser({ username: '', password: '', role: 'viewer' });
+    }
+  };
+
+  const changeRole = (username, role) => submit(`/users/${username}`, { method: 'PUT', body: { role } });
+
+  const resetPassword = (username) => {
+    const password = window.prompt(`New password for ${username}:`);
+    if (password) submit(`/users/${username}`, { method: 'PUT', body: { password } });
+  };
+
+  const deleteUser = (username) => {
+    if (window.confirm(`Delete user ${username}?`)) {
+      submit(`/users/${username}`, { method: 'DELETE' });
+    }
+  };
+
+  const createToken = async (event) => {
+    event.preventDefault();
+    const data = await submit('/tokens', { method: 'POST', body: newToken });
+    if (data) {
+      setIssuedToken(data);
+      setNewToken({ name: '', role: 'operator' });
+    }
+  };
+
+  const revokeToken = (token) => {
+    if (window.confirm(`Revoke API token ${token.name}?`)) {
+      submit(`/tokens/${token.id}`, { method: 'DELETE' });
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <h2>Users &amp; Access</h2>
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      <h3>Users</h3>
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Role</th>
+            <th>Created</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(u => (
+            <tr key={u.username}>
+              <td>{u.username}{u.username === currentUser.username && ' (you)'}</td>
+              <td>
+                <select value={u.role} onChange={(event) => changeRole(u.username, event.target.value)}>
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </td>
+              <td>{new Date(u.createdAt).toLocaleString()}</td>
+              <td className="admin-actions">
+                <button className="range-btn" onClick={() => resetPassword(u.username)}>Reset Password</button>
+                <button className="range-btn danger" onClick={() => deleteUser(u.username)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form className="admin-form" onSubmit={createUser}>
+        <input
+          placeholder="Username"
+          value={newUser.username}
+          onChange={(event) => setNewUser({ ...newUser, username: event.target.value })}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password (min. 8 characters)"
+          value={newUser.password}
+          onChange={(event) => setNewUser({ ...newUser, password: event.target.value })}
+          autoComplete="new-password"
+          required
+        />
+        <select value={newUser.role} onChange={(event) => setNewUser({ ...newUser, role: event.target.value })}>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button className="control-btn toggle" type="submit">Add User</button>
+      </form>
+
+      <h3>API Tokens</h3>
+      {issuedToken && (
+        <div className="issued-token">
+          Token for <strong>{issuedToken.name}</strong> (shown only once):
+          <code>{issuedToken.token}</code>
+        </div>
+      )}
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Issued</th>
+            <th>Last Used</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {tokens.map(t => (
+            <tr key={t.id}>
+              <td>{t.name}</td>
+              <td><span className={`role-badge ${t.role}`}>{t.role}</span></td>
+              <td>{new Date(t.createdAt).toLocaleString()} by {t.createdBy}</td>
+              <td>{t.lastUsedAt ? new Date(t.lastUsedAt).toLocaleString() : 'Never'}</td>
+              <td className="admin-actions">
+                <button className="range-btn danger" onClick={() => revokeToken(t)}>Revoke</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form className="admin-form" onSubmit={createToken}>
+        <input
+          placeholder="Token name (e.g. vision-feed)"
+          value={newToken.name}
+          onChange={(event) => setNewToken({ ...newToken, name: event.target.value })}
+          required
+        />
+        <select value={newToken.role} onChange={(event) => setNewToken({ ...newToken, role: event.target.value })}>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button className="control-btn toggle" type="submit">Issue Token</button>
+      </form>
+    </div>
+  );
+}
+
+export default UsersView;
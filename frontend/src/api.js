@@ -0,0 +1,110 @@
+export const API_BASE_URL = 'http://localhost:3001/api';
+
+const SESSION_KEY = 'traffic-portal-session';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Whether the user has at least the given role
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Saved session ({ token, user, expiresAt }) or null
+export function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+}
+
+// Called when the server rejects the session (401)
+let onUnauthorized = () => {};
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+// fetch() against the API with the session token and a JSON body
+export async function apiFetch(path, { body, headers, ...options } = {}) {
+  const session = loadSession();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(session && { Authorization: `Bearer ${session.token}` }),
+      // Lets the server tell portal actions from other REST clients in the audit trail
+      'X-Client': 'portal',
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  if (response.status === 401 && session) {
+    onUnauthorized();
+  }
+  return response;
+}
+
+// Log in and save the session; throws with the server's message on failure
+export async function login(username, password) {
+  const response = await apiFetch('/auth/login', { method: 'POST', body: { username, password } });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Login failed (${response.status})`);
+  }
+  saveSession(data);
+  return data;
+}
+
+export async function logout() {
+  try {
+    await apiFetch('/auth/logout', { method: 'POST' });
+  } finally {
+    saveSession(null);
+  }
+}
+
+// Path of a site's route, e.g. sitePath('bridge', '/lights') -> /sites/bridge/lights
+export const sitePath = (siteId, path) => `/sites/${encodeURIComponent(siteId)}${path}`;
+
+// URL of a site's live stream; EventSource cannot send headers, so the token goes in the query
+export function streamUrl(siteId) {
+  const session = loadSession();
+  return `${API_BASE_URL}${sitePath(siteId, '/stream')}${session ? `?access_token=${encodeURIComponent(session.token)}` : ''}`;
+}
+
+// Fetch a site's aggregated history from GET /api/sites/:siteId/history.
+// params: { siteId, from, to, bucket, metrics } - from/to as epoch milliseconds
+export async function fetchHistory({ siteId, from, to, bucket, metrics }) {
+  const query = new URLSearchParams();
+  if (from) query.set('from', String(from));
+  if (to) query.set('to', String(to));
+  if (bucket) query.set('bucket', bucket);
+  if (metrics) query.set('metrics', metrics.join(','));
+
+  const response = await apiFetch(`${sitePath(siteId, '/history')}?${query}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `History request failed (${response.status})`);
+  }
+  return data;
+}
+
+// Average length of the greens actually served across history buckets,
+// weighted by the number of greens in each bucket; null if none ended
+export function averageGreenSeconds(buckets) {
+  let total = 0;
+  let count = 0;
+  buckets.forEach(({ green }) => {
+    if (green?.count > 0) {
+      total += green.avg * green.count;
+      count += green.count;
+    }
+  });
+  return count > 0 ? Math.round(total / count) : null;
+}
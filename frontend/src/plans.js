@@ -0,0 +1,42 @@
+// Labels for the time-of-day plans a site's schedule runs (see ScheduleView)
+
+export const PLAN_TYPE_LABELS = {
+  adaptive: 'Adaptive',
+  fixed: 'Fixed-time',
+  actuated: 'Actuated',
+  'flashing-yellow': 'Flashing yellow',
+  forced: 'Forced direction'
+};
+
+// Modes a site runs in; automatic follows the schedule, fixed-time and
+// actuated run their own timing and the flashing and dark modes hold every
+// light, until another mode is selected
+export const FLOW_MODE_LABELS = {
+  automatic: 'Automatic',
+  'fixed-time': 'Fixed-time',
+  actuated: 'Actuated',
+  manual: 'Manual',
+  'flashing-yellow': 'Flashing yellow',
+  'flashing-red': 'Flashing red',
+  dark: 'Dark',
+  failsafe: 'Fail-safe'
+};
+
+// Why the current green is held, extended or ended
+export const PHASE_DECISION_LABELS = {
+  timed: 'Timed',
+  'min-green': 'Minimum green',
+  extending: 'Extending',
+  'gap-out': 'Gap-out',
+  'max-out': 'Max-out'
+};
+
+// Why a plan runs, e.g. "rule Night until 06:00"
+export function describePlanSource(source) {
+  switch (source?.type) {
+    case 'exception': return `exception ${source.name}`;
+    case 'rule': return `rule ${source.name} until ${new Date(source.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    case 'default': return 'default plan';
+    default: return '';
+  }
+}